@@ -0,0 +1,79 @@
+/**
+ * Web Guide Extension - API Key Store
+ *
+ * Keeps provider API keys in chrome.storage.local so they never ship inside
+ * config.js or reach the page through content scripts.
+ *
+ * Loaded by the guide panel, the options and history pages and the
+ * background worker (importScripts), never by content scripts. Keys are entered on the
+ * options page and checked there with a live "Test connection" call for
+ * model keys (LLMProviders.testConnection) or "Preview voice" for speech
+ * keys (TTSProviders.preview).
+ */
+
+const ApiKeyStore = {
+    STORAGE_KEY: 'apiKeys',
+
+    /**
+     * Providers that need a key, with the label shown in the UI.
+     */
+    PROVIDERS: {
+        gemini: 'Google Gemini',
+        openai: 'OpenAI-compatible API',
+        elevenlabs: 'ElevenLabs voice',
+        openaiSpeech: 'OpenAI-compatible speech API',
+    },
+
+    /**
+     * Read all stored keys.
+     * @returns {Promise<{gemini: string, openai: string, elevenlabs: string, openaiSpeech: string}>}
+     */
+    async getAll() {
+        const data = await chrome.storage.local.get(this.STORAGE_KEY);
+        const stored = data?.[this.STORAGE_KEY] || {};
+        const keys = {};
+        Object.keys(this.PROVIDERS).forEach((provider) => {
+            keys[provider] = typeof stored[provider] === 'string' ? stored[provider] : '';
+        });
+        return keys;
+    },
+
+    /**
+     * Read a single provider key.
+     * @param {'gemini'|'openai'|'elevenlabs'|'openaiSpeech'} provider
+     * @returns {Promise<string>} Trimmed key, or '' when not configured.
+     */
+    async get(provider) {
+        const keys = await this.getAll();
+        return (keys[provider] || '').trim();
+    },
+
+    /**
+     * Merge and persist keys. Empty strings clear a key.
+     * @param {Object<string, string>} keys
+     */
+    async save(keys) {
+        const current = await this.getAll();
+        const next = { ...current };
+
+        Object.keys(this.PROVIDERS).forEach((provider) => {
+            if (typeof keys?.[provider] === 'string') {
+                next[provider] = keys[provider].trim();
+            }
+        });
+
+        await chrome.storage.local.set({ [this.STORAGE_KEY]: next });
+        return next;
+    },
+
+    /**
+     * List which of the given providers have no key yet. Speech keys are
+     * optional: voices without one are skipped, down to the browser voice.
+     * @param {string[]} required - Key names the current setup needs.
+     * @returns {Promise<string[]>}
+     */
+    async getMissing(required) {
+        const keys = await this.getAll();
+        return required.filter(provider => !keys[provider]?.trim());
+    },
+};
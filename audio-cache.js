@@ -0,0 +1,139 @@
+/**
+ * Web Guide Extension - Speech Audio Cache
+ *
+ * Keeps synthesized speech in IndexedDB so phrases the guide says often
+ * ("I could not match that to anything on this page...") play at once
+ * instead of being sent to the voice provider again. Entries are keyed by a
+ * hash of the provider, its voice settings, the language and the text; the
+ * least recently used are evicted beyond the CONFIG.AUDIO_CACHE limits.
+ *
+ * Lookups never throw: without IndexedDB the guide synthesizes every time.
+ *
+ * Depends on CONFIG (config.js) and TTSProviders (tts-providers.js).
+ */
+
+const AudioCache = {
+    DB_NAME: 'webguide-audio',
+    STORE_NAME: 'clips',
+    dbPromise: null,
+
+    /**
+     * Build the cache key for a piece of speech.
+     * @param {string} providerId - TTSProviders id.
+     * @param {string} text
+     * @param {string} lang
+     * @returns {Promise<string>}
+     */
+    async buildKey(providerId, text, lang) {
+        // A different voice or model must not reuse old audio
+        const settings = await TTSProviders.getSettings();
+        return this.hash(JSON.stringify([providerId, settings[providerId], lang || '', text]));
+    },
+
+    /**
+     * Look up audio; refreshes its last-used time on a hit.
+     * @param {string} key
+     * @returns {Promise<Blob|null>}
+     */
+    async get(key) {
+        if (!CONFIG.AUDIO_CACHE.ENABLED) return null;
+
+        try {
+            const db = await this.open();
+            const entry = await this.request(this.store(db, 'readonly').get(key));
+            if (!entry) return null;
+
+            entry.lastUsed = Date.now();
+            this.store(db, 'readwrite').put(entry);
+            return entry.blob;
+        } catch (error) {
+            console.warn('Audio cache unavailable:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Store audio, then evict the least recently used clips beyond the limits.
+     * @param {string} key
+     * @param {Blob} blob
+     */
+    async set(key, blob) {
+        if (!CONFIG.AUDIO_CACHE.ENABLED) return;
+
+        const db = await this.open();
+        await this.request(this.store(db, 'readwrite').put({ key, blob, size: blob.size, lastUsed: Date.now() }));
+        await this.evict(db);
+    },
+
+    async clear() {
+        const db = await this.open();
+        await this.request(this.store(db, 'readwrite').clear());
+    },
+
+    // ============================================
+    // HELPERS
+    // ============================================
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.STORE_NAME, { keyPath: 'key' });
+                    store.createIndex('lastUsed', 'lastUsed');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch((error) => {
+                // Let the next call try again
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+        return this.dbPromise;
+    },
+
+    store(db, mode) {
+        return db.transaction(this.STORE_NAME, mode).objectStore(this.STORE_NAME);
+    },
+
+    request(idbRequest) {
+        return new Promise((resolve, reject) => {
+            idbRequest.onsuccess = () => resolve(idbRequest.result);
+            idbRequest.onerror = () => reject(idbRequest.error);
+        });
+    },
+
+    /**
+     * Walk the clips from most to least recently used and delete everything
+     * past the entry or size limit.
+     */
+    evict(db) {
+        const maxBytes = CONFIG.AUDIO_CACHE.MAX_MEGABYTES * 1024 * 1024;
+        let count = 0;
+        let bytes = 0;
+
+        return new Promise((resolve, reject) => {
+            const cursorRequest = this.store(db, 'readwrite').index('lastUsed').openCursor(null, 'prev');
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+                count += 1;
+                bytes += cursor.value.size;
+                if (count > CONFIG.AUDIO_CACHE.MAX_ENTRIES || bytes > maxBytes) {
+                    cursor.delete();
+                }
+                cursor.continue();
+            };
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+        });
+    },
+
+    async hash(text) {
+        const bytes = new TextEncoder().encode(text);
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+};
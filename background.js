@@ -4,10 +4,14 @@
  * Handles:
  * - Extension lifecycle events
  * - Cross-tab communication
- * - Context menu integration (future)
- * - Keyboard shortcuts (future)
+ * - Per-tab conversation memory
+ * - Context menu integration ("Explain this element", "Guide me from here")
+ * - Keyboard shortcuts (listen, summarize, what next, next suggestion, clear)
  */
 
+// Shared with the guide panel: settings, keys, model providers and prompt building
+importScripts('config.js', 'api-keys.js', 'llm-providers.js', 'languages.js', 'guide-response.js', 'guide-assistant.js', 'command-router.js');
+
 // ============================================
 // EXTENSION LIFECYCLE
 // ============================================
@@ -26,6 +30,11 @@ chrome.runtime.onInstalled.addListener((details) => {
                 voiceOutput: true,
                 visualArrows: true,
                 autoSummarize: false,
+                actionMode: false,
+                handsFree: false,
+                wakePhrase: CONFIG.VOICE.WAKE_PHRASE,
+                language: CONFIG.VOICE.LANGUAGE,
+                translateSummaries: true,
             },
             stats: {
                 pagesAnalyzed: 0,
@@ -76,76 +85,872 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                 sendResponse(data.stats || { pagesAnalyzed: 0, commandsProcessed: 0 });
             });
             return true;
+
+        case 'recordCommand':
+            recordCommand(message.entry || {}).then(() => sendResponse({ success: true }));
+            return true;
+
+        case 'updateHistoryEntry':
+            updateHistoryEntry(message.id, message.changes || {}).then(() => sendResponse({ success: true }));
+            return true;
+
+        case 'getHistory':
+            chrome.storage.local.get([HISTORY_KEY, 'stats'], (data) => {
+                sendResponse({
+                    entries: data[HISTORY_KEY] || [],
+                    stats: data.stats || { pagesAnalyzed: 0, commandsProcessed: 0 },
+                });
+            });
+            return true;
+
+        case 'clearHistory':
+            clearHistory().then(() => sendResponse({ success: true }));
+            return true;
+
+        case 'pageChanged':
+            // Handled by the guide panel; answered here so the sender's port closes
+            sendResponse({ success: true });
+            break;
+
+        case 'getConversation':
+            getConversation(message.tabId, (conversation) => {
+                // A conversation only carries over while the user stays on the same site
+                if (conversation.site && conversation.site !== message.site) {
+                    resetConversation(message.tabId, () => sendResponse({ site: message.site, turns: [] }));
+                    return;
+                }
+                sendResponse(conversation);
+            });
+            return true;
+
+        case 'appendConversation':
+            appendConversation(message.tabId, message.site, message.turns || [], (conversation) => {
+                sendResponse(conversation);
+            });
+            return true;
+
+        case 'voiceProgress':
+            // The offscreen listener's progress, shown in the page it listens for
+            sendToTab(message.tabId, { action: 'showBubble', text: message.text, busy: message.busy });
+            sendResponse({ success: true });
+            break;
+
+        case 'voiceCommand':
+            // Speech heard by the offscreen listener started from a shortcut
+            chrome.tabs.get(message.tabId, (tab) => {
+                if (!chrome.runtime.lastError && tab) {
+                    handleSpokenCommand(tab, message.transcript || '');
+                }
+            });
+            sendResponse({ success: true });
+            break;
+
+        case 'runGuidance':
+            // Quick actions from the toolbar launcher, answered on the page
+            chrome.tabs.get(message.tabId, (tab) => {
+                if (chrome.runtime.lastError || !tab || isRestrictedUrl(tab.url)) {
+                    sendResponse({ success: false });
+                    return;
+                }
+                runShortcutGuidance(tab, message.type === 'guide' ? 'guide' : 'summarize');
+                sendResponse({ success: true });
+            });
+            return true;
+
+        case 'setSuggestions':
+            setSuggestions(message.tabId, message.suggestions || [], () => sendResponse({ success: true }));
+            return true;
+
+        case 'resetConversation':
+            resetConversation(message.tabId, () => sendResponse({ success: true }));
+            return true;
             
         default:
             sendResponse({ error: 'Unknown action' });
     }
 });
 
+// ============================================
+// USAGE HISTORY
+// ============================================
+// One entry per command, from the guide panel and from the page (shortcuts,
+// context menu, in-page listener), shown on the history page. Entries keep
+// the site and the kind of request, never what was said.
+
+const HISTORY_KEY = 'usageHistory';
+let historyWrites = Promise.resolve();
+
+/**
+ * Apply a change to the stored history and stats. Changes run one at a time
+ * so messages arriving together do not overwrite each other.
+ * @param {Function} change - (entries, stats) => void; may mutate both.
+ * @returns {Promise<void>}
+ */
+function changeHistory(change) {
+    historyWrites = historyWrites.then(() => new Promise((resolve) => {
+        chrome.storage.local.get([HISTORY_KEY, 'stats'], (data) => {
+            const entries = data[HISTORY_KEY] || [];
+            const stats = data.stats || { pagesAnalyzed: 0, commandsProcessed: 0 };
+            change(entries, stats);
+            chrome.storage.local.set({
+                [HISTORY_KEY]: entries.slice(-CONFIG.HISTORY.MAX_ENTRIES),
+                stats,
+            }, resolve);
+        });
+    }));
+    return historyWrites;
+}
+
+/**
+ * @param {Object} entry
+ * @param {string} [entry.id] - Lets the sender update the entry later.
+ * @param {string|null} entry.site - Hostname.
+ * @param {string} entry.type - Prompt type ('summarize', 'guide', 'navigate',
+ *   'explain') or 'command' for commands handled without the model.
+ * @param {string} [entry.intent] - CommandRouter intent, for 'command'.
+ * @param {'panel'|'page'|'auto'} entry.source - Guide panel, shortcuts and menus on
+ *   the page, or a summary on page load.
+ * @param {boolean|null} [entry.found] - Whether the element asked for was
+ *   found and highlighted; null when nothing was being looked for.
+ * @param {boolean} [entry.cached] - Answered from the response cache.
+ * @param {number|null} [entry.latencyMs] - Time until the answer was shown.
+ * @param {string|null} [entry.tts] - TTSProviders id of the voice that spoke.
+ * @param {string|null} [entry.error] - Error message when the command failed.
+ */
+function recordCommand(entry) {
+    if (!CONFIG.HISTORY.ENABLED) return Promise.resolve();
+
+    return changeHistory((entries, stats) => {
+        entries.push({
+            id: entry.id || crypto.randomUUID(),
+            time: Date.now(),
+            site: entry.site || null,
+            type: entry.type,
+            intent: entry.intent || null,
+            source: entry.source || 'panel',
+            found: typeof entry.found === 'boolean' ? entry.found : null,
+            cached: Boolean(entry.cached),
+            latencyMs: Number.isFinite(entry.latencyMs) ? Math.round(entry.latencyMs) : null,
+            tts: entry.tts || null,
+            error: entry.error || null,
+        });
+        // Automatic summaries analyze a page but were not asked for
+        if (entry.source !== 'auto') {
+            stats.commandsProcessed++;
+        }
+        if (entry.type !== 'command') {
+            stats.pagesAnalyzed++;
+        }
+    });
+}
+
+/**
+ * Fill in details known only after the entry was recorded (the voice).
+ */
+function updateHistoryEntry(id, changes) {
+    return changeHistory((entries) => {
+        const entry = entries.find(item => item.id === id);
+        if (entry) Object.assign(entry, changes);
+    });
+}
+
+function clearHistory() {
+    return changeHistory((entries, stats) => {
+        entries.length = 0;
+        stats.pagesAnalyzed = 0;
+        stats.commandsProcessed = 0;
+    });
+}
+
+// ============================================
+// CONVERSATION MEMORY
+// ============================================
+
+// Keep the last few exchanges; the page itself is re-sent with every prompt.
+const CONVERSATION_TURN_LIMIT = 12;
+
+function conversationKey(tabId) {
+    return `conversation:${tabId}`;
+}
+
+function getSiteFromUrl(url) {
+    try {
+        return new URL(url).hostname;
+    } catch (e) {
+        return null;
+    }
+}
+
+function getConversation(tabId, callback) {
+    const key = conversationKey(tabId);
+    chrome.storage.session.get(key, (data) => {
+        callback(data[key] || { site: null, turns: [] });
+    });
+}
+
+function appendConversation(tabId, site, turns, callback) {
+    getConversation(tabId, (conversation) => {
+        const existingTurns = conversation.site === site ? conversation.turns : [];
+        const updated = {
+            site,
+            turns: [...existingTurns, ...turns].slice(-CONVERSATION_TURN_LIMIT),
+        };
+        chrome.storage.session.set({ [conversationKey(tabId)]: updated }, () => callback(updated));
+    });
+}
+
+function resetConversation(tabId, callback) {
+    chrome.storage.session.remove(conversationKey(tabId), callback);
+}
+
 // ============================================
 // TAB EVENTS
 // ============================================
 
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (changeInfo.url) {
+        // Navigating to a different site starts a fresh conversation
+        const site = getSiteFromUrl(changeInfo.url);
+        getConversation(tabId, (conversation) => {
+            if (conversation.site && conversation.site !== site) {
+                resetConversation(tabId, () => {});
+            }
+        });
+        // Suggestions point at elements of the old page
+        clearSuggestions(tabId);
+        // A single-page app changing view has no load of its own to wait for
+        if (tab.status === 'complete') {
+            scheduleAutoSummary(tab);
+        } else {
+            cancelAutoSummary(tabId);
+        }
+    }
+
     if (changeInfo.status === 'complete' && tab.url) {
-        // Page finished loading - could trigger auto-summarize here
-        console.log('Page loaded:', tab.url);
+        scheduleAutoSummary(tab);
     }
 });
 
+chrome.tabs.onRemoved.addListener((tabId) => {
+    resetConversation(tabId, () => {});
+    clearSuggestions(tabId);
+    chrome.storage.session.remove(announcementKey(tabId));
+    cancelAutoSummary(tabId);
+});
+
 // ============================================
-// KEYBOARD SHORTCUTS (Future Feature)
+// AUTO-SUMMARIZE
 // ============================================
+// With the autoSummarize setting on, each page the user is looking at is
+// summarized once it finishes loading, or once a single-page app has moved
+// to another view, and the summary is announced in the page. Loads in quick
+// succession (redirects, clicking through pages) only summarize the page the
+// tab settles on, and leaving a page cancels its summary. The
+// CONFIG.FEATURES.AUTO_SUMMARIZE flag only switches the feature off for a build.
+
+const autoSummaries = new Map(); // tabId -> { timer, controller }
+
+function scheduleAutoSummary(tab) {
+    cancelAutoSummary(tab.id);
+    if (!CONFIG.FEATURES.AUTO_SUMMARIZE || !/^https?:/.test(tab.url) || isRestrictedUrl(tab.url)) return;
+
+    const pending = { timer: null, controller: null };
+    pending.timer = setTimeout(() => runAutoSummary(tab.id, tab.url, pending), CONFIG.AUTO_SUMMARIZE.DEBOUNCE_MS);
+    autoSummaries.set(tab.id, pending);
+}
+
+function cancelAutoSummary(tabId) {
+    const pending = autoSummaries.get(tabId);
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    pending.controller?.abort();
+    autoSummaries.delete(tabId);
+}
 
-chrome.commands?.onCommand?.addListener((command) => {
+async function runAutoSummary(tabId, url, pending) {
+    const isCurrent = () => autoSummaries.get(tabId) === pending;
+    const { settings } = await chrome.storage.local.get('settings');
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+
+    // Only the page the user is looking at, if it is still there
+    if (!isCurrent() || !settings?.autoSummarize || !isAutoSummarySite(url, settings.autoSummarizeSites) ||
+        !tab?.active || tab.url !== url || !await ensureContentScript(tabId)) {
+        if (isCurrent()) autoSummaries.delete(tabId);
+        return;
+    }
+
+    pending.controller = new AbortController();
+    try {
+        await runGuidance(tab, 'summarize', { signal: pending.controller.signal, source: 'auto' });
+    } catch (error) {
+        // Nobody asked for this summary, so a failure is not announced
+        if (error?.name !== 'AbortError') {
+            console.error('Auto-summary failed:', error);
+        }
+    } finally {
+        if (isCurrent()) autoSummaries.delete(tabId);
+    }
+}
+
+/**
+ * With no sites listed every page is summarized; otherwise only pages on a
+ * listed domain or one of its subdomains.
+ * @param {string} url
+ * @param {string[]} [sites] - Domains saved on the options page.
+ */
+function isAutoSummarySite(url, sites) {
+    const domains = (sites || []).map(site => String(site).toLowerCase().replace(/^www\./, '')).filter(Boolean);
+    if (!domains.length) return true;
+
+    const host = (getSiteFromUrl(url) || '').replace(/^www\./, '');
+    return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+// ============================================
+// KEYBOARD SHORTCUTS
+// ============================================
+// Declared under "commands" in manifest.json; users can rebind them at
+// chrome://extensions/shortcuts.
+
+chrome.commands.onCommand.addListener((command, tab) => {
     console.log('Command received:', command);
-    
+    if (!tab?.id || isRestrictedUrl(tab.url)) return;
+
     switch (command) {
-        case 'toggle-guide':
-            // Toggle guide mode
-            chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-                if (tabs[0]) {
-                    chrome.tabs.sendMessage(tabs[0].id, { action: 'toggleGuide' });
-                }
-            });
+        case 'start-listening':
+            startInPageListening(tab);
             break;
-            
+
         case 'summarize-page':
-            // Quick summarize
-            chrome.action.openPopup();
+            runShortcutGuidance(tab, 'summarize');
+            break;
+
+        case 'what-next':
+            runShortcutGuidance(tab, 'guide');
+            break;
+
+        case 'next-suggestion':
+            cycleSuggestion(tab);
+            break;
+
+        case 'clear-guidance':
+            clearGuidance(tab);
             break;
     }
 });
 
+// Speech recognition runs in an offscreen document (offscreen.js) so it uses
+// the extension's microphone permission; only the bubble is in the page.
+let creatingOffscreen = null;
+
+async function startInPageListening(tab) {
+    if (!await ensureContentScript(tab.id)) return;
+    chrome.tts.stop();
+
+    try {
+        const { language } = await Languages.getSettings();
+        await ensureOffscreenDocument();
+        await chrome.runtime.sendMessage({
+            target: 'offscreen',
+            action: 'startListening',
+            tabId: tab.id,
+            lang: language,
+        });
+    } catch (error) {
+        console.error('Could not start listening:', error);
+        sendToTab(tab.id, { action: 'showBubble', text: 'Voice commands are not available right now.' });
+    }
+}
+
+async function ensureOffscreenDocument() {
+    const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+    if (contexts.length) return;
+
+    if (!creatingOffscreen) {
+        creatingOffscreen = chrome.offscreen.createDocument({
+            url: 'offscreen.html',
+            reasons: ['USER_MEDIA'],
+            justification: 'Listen for a voice command started with a keyboard shortcut',
+        }).finally(() => {
+            creatingOffscreen = null;
+        });
+    }
+    await creatingOffscreen;
+}
+
+async function stopInPageListening() {
+    const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+    if (!contexts.length) return;
+    await chrome.runtime.sendMessage({ target: 'offscreen', action: 'stopListening' }).catch(() => {});
+}
+
+/**
+ * Run a guide request from a shortcut or spoken command, with a busy bubble
+ * while the model works.
+ */
+async function runShortcutGuidance(tab, type, options = {}) {
+    if (!await ensureContentScript(tab.id)) return;
+
+    const pendingText = {
+        summarize: 'Reading this page...',
+        guide: 'Looking for your best next step...',
+        navigate: 'Looking for that...',
+    }[type];
+    sendToTab(tab.id, { action: 'showBubble', text: pendingText, busy: true });
+
+    try {
+        await runGuidance(tab, type, options);
+    } catch (error) {
+        console.error('Shortcut guidance failed:', error);
+        announceInPage(tab.id, describeGuidanceError(error), null);
+    }
+}
+
+/**
+ * Route speech from the shortcut listener: local commands first, then a few
+ * fixed phrases, otherwise a navigation request.
+ */
+function handleSpokenCommand(tab, transcript) {
+    const normalized = Languages.normalizeUtterance(transcript);
+    if (!normalized) return;
+
+    const localCommand = CommandRouter.match(transcript);
+    if (localCommand) {
+        runLocalCommand(tab, localCommand);
+    } else if (/^(clear the page|never mind|cancel)$/.test(normalized)) {
+        clearGuidance(tab);
+    } else if (/\b(summari[sz]e|where am i|what is this page|what's this page|what is on this page)\b/.test(normalized)) {
+        runShortcutGuidance(tab, 'summarize');
+    } else if (/^(what next|what now|what should i do( next| now)?|what can i do( here)?|next action)$/.test(normalized)) {
+        runShortcutGuidance(tab, 'guide');
+    } else {
+        runShortcutGuidance(tab, 'navigate', { customQuery: transcript.trim() });
+    }
+}
+
+/**
+ * Carry out a command matched by CommandRouter without calling the model.
+ * @param {chrome.tabs.Tab} tab
+ * @param {{intent: string, isPageCommand: boolean}} command
+ */
+async function runLocalCommand(tab, command) {
+    recordCommand({ site: getSiteFromUrl(tab.url), type: 'command', intent: command.intent, source: 'page' });
+
+    if (command.isPageCommand) {
+        const result = await sendToTab(tab.id, { action: 'pageCommand', intent: command.intent });
+        if (result) announceInPage(tab.id, result.message, null);
+        return;
+    }
+
+    switch (command.intent) {
+        case 'goBack':
+            chrome.tabs.goBack(tab.id, () => {
+                if (chrome.runtime.lastError) announceInPage(tab.id, 'There is no earlier page to go back to.', null);
+            });
+            break;
+
+        case 'goForward':
+            chrome.tabs.goForward(tab.id, () => {
+                if (chrome.runtime.lastError) announceInPage(tab.id, 'There is no page to go forward to.', null);
+            });
+            break;
+
+        case 'reload':
+            chrome.tabs.reload(tab.id);
+            break;
+
+        case 'stopSpeaking':
+            chrome.tts.stop();
+            break;
+
+        case 'repeat':
+            repeatAnnouncement(tab.id);
+            break;
+
+        case 'skipSpeech':
+            // In-page answers are spoken in one piece, so skipping ends them
+            chrome.tts.stop();
+            break;
+
+        case 'slower':
+        case 'faster':
+            changeSpeechRate(command.intent === 'slower' ? -1 : 1, () => repeatAnnouncement(tab.id));
+            break;
+
+        case 'clearHighlights':
+            clearGuidance(tab);
+            break;
+    }
+}
+
+function repeatAnnouncement(tabId) {
+    chrome.storage.session.get(announcementKey(tabId), (data) => {
+        const last = data[announcementKey(tabId)];
+        if (last) {
+            announceInPage(tabId, last.text, null, last.spokenText, last.lang || undefined);
+        } else {
+            announceInPage(tabId, "I haven't said anything on this page yet.", null);
+        }
+    });
+}
+
+/**
+ * Step the user's speech rate (shared with the guide panel's Slower and
+ * Faster buttons) up or down.
+ * @param {number} direction - -1 for slower, 1 for faster.
+ * @param {Function} callback - Called once the new rate is saved.
+ */
+function changeSpeechRate(direction, callback) {
+    chrome.storage.local.get('settings', (data) => {
+        const settings = data.settings || {};
+        const stepped = (settings.speechRate || 1) + direction * CONFIG.VOICE.RATE_STEP;
+        const rate = Math.min(CONFIG.VOICE.MAX_RATE, Math.max(CONFIG.VOICE.MIN_RATE, Math.round(stepped * 100) / 100));
+        chrome.storage.local.set({ settings: { ...settings, speechRate: rate } }, callback);
+    });
+}
+
+async function clearGuidance(tab) {
+    chrome.tts.stop();
+    await stopInPageListening();
+    await sendToTab(tab.id, { action: 'clearHighlights' });
+}
+
 // ============================================
-// CONTEXT MENU (Future Feature)
+// SUGGESTION CYCLING
 // ============================================
+// The last recommendation and its alternatives, so a shortcut can move the
+// highlight from one suggestion to the next.
 
-// Uncomment to add right-click context menu
-/*
-chrome.runtime.onInstalled.addListener(() => {
-    chrome.contextMenus.create({
-        id: 'webguide-explain',
-        title: 'Explain this element',
-        contexts: ['all']
+function suggestionsKey(tabId) {
+    return `suggestions:${tabId}`;
+}
+
+function setSuggestions(tabId, suggestions, callback) {
+    chrome.storage.session.set({ [suggestionsKey(tabId)]: { items: suggestions, index: 0 } }, callback);
+}
+
+function clearSuggestions(tabId) {
+    chrome.storage.session.remove(suggestionsKey(tabId));
+}
+
+function cycleSuggestion(tab) {
+    const key = suggestionsKey(tab.id);
+    chrome.storage.session.get(key, async (data) => {
+        const suggestions = data[key];
+        if (!suggestions?.items?.length) {
+            // Nothing suggested yet: ask for one first
+            runShortcutGuidance(tab, 'guide');
+            return;
+        }
+
+        const index = (suggestions.index + 1) % suggestions.items.length;
+        const target = suggestions.items[index];
+        chrome.storage.session.set({ [key]: { ...suggestions, index } });
+
+        if (!await ensureContentScript(tab.id)) return;
+        const result = await sendToTab(tab.id, {
+            action: 'highlightElement',
+            selector: target.selector,
+            description: target.description,
+            locator: target.locator,
+        });
+
+        const label = `Suggestion ${index + 1} of ${suggestions.items.length}: ${target.description}`;
+        announceInPage(
+            tab.id,
+            result?.success ? label : `${label}. I cannot find it on the page anymore.`,
+            result?.success ? 'target' : null
+        );
     });
-    
-    chrome.contextMenus.create({
-        id: 'webguide-navigate',
-        title: 'Guide me from here',
-        contexts: ['all']
+}
+
+// ============================================
+// IN-PAGE GUIDANCE
+// ============================================
+// Guide requests that start outside the guide panel: page data comes from the
+// content script, results are shown in an in-page bubble and spoken with
+// chrome.tts.
+
+function sendToTab(tabId, message) {
+    return new Promise((resolve) => {
+        chrome.tabs.sendMessage(tabId, message, { frameId: 0 }, (response) => {
+            if (chrome.runtime.lastError) {
+                resolve(null);
+                return;
+            }
+            resolve(response);
+        });
+    });
+}
+
+function isRestrictedUrl(url) {
+    return !url ||
+        /^(chrome|chrome-extension|edge|about|devtools|view-source):/.test(url) ||
+        url.startsWith('https://chrome.google.com/webstore');
+}
+
+/**
+ * Inject the content script into tabs that were open before the extension loaded.
+ */
+function ensureContentScript(tabId) {
+    return sendToTab(tabId, { action: 'ping' }).then((response) => {
+        if (response?.ready) return true;
+        return new Promise((resolve) => {
+            chrome.scripting.executeScript({ target: { tabId }, files: ['content.js'] }, () => {
+                if (chrome.runtime.lastError) {
+                    resolve(false);
+                    return;
+                }
+                chrome.scripting.insertCSS({ target: { tabId }, files: ['content.css'] }, () => {
+                    resolve(!chrome.runtime.lastError);
+                });
+            });
+        });
+    });
+}
+
+/**
+ * @param {string} text
+ * @param {string} [lang] - Language of the text; the extension's own messages are English.
+ */
+function speakText(text, lang = CONFIG.VOICE.LANGUAGE) {
+    chrome.storage.local.get('settings', (data) => {
+        if (data.settings?.voiceOutput === false) return;
+        chrome.tts.stop();
+        chrome.tts.speak(text, {
+            rate: CONFIG.VOICE.SPEECH_RATE * (data.settings?.speechRate || 1),
+            pitch: CONFIG.VOICE.SPEECH_PITCH,
+            lang,
+        });
+    });
+}
+
+/**
+ * Show text in the page bubble and read it aloud.
+ * @param {number} tabId
+ * @param {string} text - Shown in the bubble.
+ * @param {'context'|'target'|null} anchor - Element the bubble sits next to.
+ * @param {string} [spokenText] - Spoken instead of text when given.
+ * @param {string} [lang] - Language of the text, for model replies.
+ */
+function announceInPage(tabId, text, anchor, spokenText, lang) {
+    sendToTab(tabId, { action: 'showBubble', text, anchor });
+    speakText(spokenText || text, lang);
+    // Kept so "repeat" can say it again
+    chrome.storage.session.set({ [announcementKey(tabId)]: { text, spokenText: spokenText || null, lang: lang || null } });
+}
+
+function announcementKey(tabId) {
+    return `announcement:${tabId}`;
+}
+
+/**
+ * Friendly text for a failed guide request; opens settings when a key is missing.
+ */
+function describeGuidanceError(error) {
+    if (error?.code === 'missing_key') {
+        chrome.runtime.openOptionsPage();
+        return 'Add your API key in the Web Guide settings first. I opened them for you.';
+    }
+    return `Sorry, I encountered an error: ${error?.message || error}`;
+}
+
+/**
+ * Run one guide request against a tab, show the result in the page and add
+ * it to the usage history.
+ * @param {chrome.tabs.Tab} tab
+ * @param {'summarize'|'guide'|'navigate'|'explain'} type
+ * @param {{customQuery?: string, focusElement?: Object, anchor?: 'context'|null, signal?: AbortSignal, source?: 'page'|'auto'}} options
+ * @returns {Promise<Object>} Validated guide response.
+ */
+async function runGuidance(tab, type, options = {}) {
+    const startedAt = Date.now();
+    const record = (details) => recordCommand({
+        site: getSiteFromUrl(tab.url),
+        type,
+        source: options.source || 'page',
+        latencyMs: Date.now() - startedAt,
+        ...details,
+    });
+
+    let result;
+    try {
+        result = await generateGuidance(tab, type, options);
+    } catch (error) {
+        record({ error: error?.name === 'AbortError' ? 'Stopped before the answer finished' : error?.message || String(error) });
+        throw error;
+    }
+
+    const { settings } = await chrome.storage.local.get('settings');
+    record({
+        found: ['guide', 'navigate'].includes(type) ? Boolean(result.highlightedLabel) : null,
+        tts: settings?.voiceOutput === false ? null : 'browser',
+    });
+    return result.response;
+}
+
+/**
+ * Ask the model about the page and apply its answer; see runGuidance().
+ * @returns {Promise<{response: Object, highlightedLabel: string|null}>}
+ */
+async function generateGuidance(tab, type, options) {
+    const pageData = await sendToTab(tab.id, { action: 'getPageContent' });
+    if (!pageData) {
+        throw new Error('I could not read this page. Please refresh it and try again.');
+    }
+
+    const site = getSiteFromUrl(pageData.url);
+    const history = await new Promise((resolve) => {
+        getConversation(tab.id, conversation => resolve(conversation.site === site ? conversation.turns : []));
+    });
+
+    const language = await Languages.resolve(type, pageData);
+    const prompt = GuideAssistant.buildPrompt(
+        type,
+        pageData,
+        options.customQuery || null,
+        history.length > 0,
+        options.focusElement || null,
+        language
+    );
+    const response = await GuideAssistant.getGuideResponse(prompt, pageData, history, null, { signal: options.signal });
+    const highlightedLabel = await applyGuidance(tab.id, response, type, pageData, options.anchor || null, language.reply);
+
+    // Nobody asked for an automatic summary, so it must not shape the next question
+    if (options.source !== 'auto') {
+        appendConversation(tab.id, site, [
+            { role: 'user', text: GuideAssistant.describeUserTurn(type, options.customQuery) },
+            { role: 'assistant', text: GuideAssistant.describeAssistantTurn(response, highlightedLabel) },
+        ], () => {});
+    }
+
+    return { response, highlightedLabel };
+}
+
+/**
+ * Highlight what the response points at and announce it. Mirrors the
+ * guide panel's handleModelResponse for the in-page bubble.
+ * @returns {Promise<string|null>} Label of what was highlighted.
+ */
+async function applyGuidance(tabId, response, type, pageData, anchor, lang) {
+    if (response.clarification) {
+        announceInPage(tabId, response.clarification, anchor, null, lang);
+        return null;
+    }
+
+    const isActionType = ['guide', 'navigate'].includes(type);
+    const displayText = isActionType
+        ? GuideAssistant.formatActionStepResponse(response.display)
+        : response.display;
+    const alternativesNote = isActionType ? GuideAssistant.describeAlternatives(response) : '';
+    let highlightedLabel = null;
+    let bubbleAnchor = anchor;
+
+    if (isActionType) {
+        await sendToTab(tabId, { action: 'clearHighlights' });
+        const pathSteps = response.steps.length >= 2
+            ? GuideAssistant.resolvePathSteps(response.steps, pageData)
+            : [];
+
+        setSuggestions(tabId, pathSteps.length >= 2 ? [] : GuideAssistant.collectSuggestions(response, pageData), () => {});
+
+        if (pathSteps.length >= 2) {
+            await sendToTab(tabId, { action: 'showPath', steps: pathSteps });
+            highlightedLabel = pathSteps.map(step => step.description).join(' > ');
+            bubbleAnchor = 'target';
+        } else {
+            const target = GuideAssistant.resolveHighlightTarget(
+                { elementIndex: response.elementIndex, description: response.elementLabel },
+                pageData
+            );
+            if (target) {
+                const result = await sendToTab(tabId, {
+                    action: 'highlightElement',
+                    selector: target.selector,
+                    description: target.description,
+                    locator: target.locator,
+                });
+                if (result?.success) {
+                    highlightedLabel = target.description;
+                    bubbleAnchor = 'target';
+                }
+            }
+        }
+    }
+
+    announceInPage(
+        tabId,
+        [displayText, alternativesNote].filter(Boolean).join('\n'),
+        bubbleAnchor,
+        [response.speech, alternativesNote].filter(Boolean).join(' '),
+        lang
+    );
+    return highlightedLabel;
+}
+
+// ============================================
+// CONTEXT MENU
+// ============================================
+
+chrome.runtime.onInstalled.addListener(() => {
+    chrome.contextMenus.removeAll(() => {
+        chrome.contextMenus.create({
+            id: 'webguide-explain',
+            title: 'Explain this element',
+            contexts: ['all']
+        });
+
+        chrome.contextMenus.create({
+            id: 'webguide-navigate',
+            title: 'Guide me from here',
+            contexts: ['all']
+        });
     });
 });
 
 chrome.contextMenus.onClicked.addListener((info, tab) => {
+    if (!tab?.id || isRestrictedUrl(tab.url)) return;
+
     if (info.menuItemId === 'webguide-explain') {
-        chrome.tabs.sendMessage(tab.id, { 
-            action: 'explainElement',
-            x: info.x,
-            y: info.y
-        });
+        handleContextMenuRequest(tab, info, 'explain');
+    } else if (info.menuItemId === 'webguide-navigate') {
+        handleContextMenuRequest(tab, info, 'guide');
     }
 });
-*/
+
+/**
+ * Explain the right-clicked element, or use it as the starting point for
+ * guidance. The content script resolves which element was clicked.
+ */
+async function handleContextMenuRequest(tab, info, type) {
+    if (!await ensureContentScript(tab.id)) return;
+
+    // The content script only runs in the top frame; a right-click inside
+    // an embedded frame would otherwise explain a stale element.
+    if (info.frameId) {
+        announceInPage(tab.id, 'I can only explain elements in the main page, not inside embedded frames.', null);
+        return;
+    }
+
+    const clicked = await sendToTab(tab.id, {
+        action: 'explainElement',
+        pendingText: type === 'explain' ? 'Let me take a look at this...' : 'Working out where to go from here...',
+    });
+    if (!clicked?.success) {
+        announceInPage(tab.id, 'I could not tell which element you right-clicked. Please try again.', null);
+        return;
+    }
+
+    // Selectors and locators are for finding the element again, not for the model.
+    const { selector, locator, ...focusElement } = clicked.target;
+
+    try {
+        await runGuidance(tab, type, { focusElement, anchor: 'context' });
+    } catch (error) {
+        console.error('Context menu guidance failed:', error);
+        announceInPage(tab.id, describeGuidanceError(error), 'context');
+    }
+}
 
 console.log('Web Guide background service worker initialized');
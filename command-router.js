@@ -0,0 +1,74 @@
+/**
+ * Web Guide Extension - Local Command Router
+ *
+ * Recognises a fixed vocabulary of navigation and control commands ("scroll
+ * down", "go back", "stop talking", "next heading", ...) so they run
+ * immediately, without a model call, and keep working when the model is
+ * unreachable or over quota. Anything not matched here is an open-ended
+ * request and goes to the model as before.
+ *
+ * Only matching lives here; the guide panel and the background worker each
+ * carry out the matched intent in their own way.
+ *
+ * Depends on Languages (languages.js) to normalize utterances.
+ */
+
+const CommandRouter = {
+    // Checked in order; each pattern must match the whole (normalized) utterance
+    COMMANDS: [
+        { intent: 'scrollDown', patterns: [/^scroll( down)?( a bit)?$/, /^(move|go) down( a bit)?$/, /^down$/] },
+        { intent: 'scrollUp', patterns: [/^(scroll|move|go) up( a bit)?$/, /^up$/] },
+        { intent: 'pageDown', patterns: [/^(page|screen) down$/, /^next screen$/, /^scroll down a (page|screen)$/] },
+        { intent: 'pageUp', patterns: [/^(page|screen) up$/, /^previous screen$/, /^scroll up a (page|screen)$/] },
+        { intent: 'scrollTop', patterns: [/^(scroll |go |take me )?(to )?the top( of (the )?page)?$/, /^top of (the )?page$/] },
+        { intent: 'scrollBottom', patterns: [/^(scroll |go |take me )?(to )?the bottom( of (the )?page)?$/, /^bottom of (the )?page$/] },
+        { intent: 'goBack', patterns: [/^(go )?back( a page)?$/, /^previous page$/, /^go to the previous page$/] },
+        { intent: 'goForward', patterns: [/^(go )?forward( a page)?$/] },
+        { intent: 'reload', patterns: [/^(reload|refresh)( the)?( page)?$/] },
+        { intent: 'stopSpeaking', patterns: [/^(stop|stop talking|stop speaking|be quiet|quiet|shh+|hush|silence)$/] },
+        { intent: 'repeat', patterns: [/^(repeat|repeat that|say that again|say it again|what did you say|come again)$/] },
+        { intent: 'skipSpeech', patterns: [/^skip( (it|that|this|ahead))?$/, /^(next part|move on)$/] },
+        { intent: 'slower', patterns: [/^(slower|slow down|more slowly)$/, /^(speak|talk|say it|say that) (more )?slowly$/, /^(speak|talk) slower$/] },
+        { intent: 'faster', patterns: [/^(faster|speed up|more quickly)$/, /^(speak|talk) (faster|more quickly)$/] },
+        { intent: 'nextHeading', patterns: [/^(next|go to the next|jump to the next) (heading|section|title)$/] },
+        { intent: 'previousHeading', patterns: [/^(previous|last|go to the previous) (heading|section|title)$/] },
+        { intent: 'nextLink', patterns: [/^(next|go to the next|jump to the next) link$/] },
+        { intent: 'previousLink', patterns: [/^(previous|last|go to the previous) link$/] },
+        { intent: 'clearHighlights', patterns: [/^(clear|hide|remove)( the)? (highlights?|arrows?|guidance)$/, /^clear( it| that)?$/, /^dismiss$/] },
+    ],
+
+    // Intents carried out by the content script's PageNavigator
+    PAGE_INTENTS: [
+        'scrollDown', 'scrollUp', 'pageDown', 'pageUp', 'scrollTop', 'scrollBottom',
+        'nextHeading', 'previousHeading', 'nextLink', 'previousLink',
+    ],
+
+    /**
+     * Lowercase, drop punctuation and polite padding ("please", "can you").
+     * @param {string} text
+     * @returns {string}
+     */
+    normalize(text) {
+        return Languages.normalizeUtterance(text)
+            .replace(/^(please |can you |could you |would you |will you |hey |ok |okay )+/, '')
+            .replace(/( please| for me| now| thanks| thank you)+$/, '')
+            .trim();
+    },
+
+    /**
+     * @param {string} text - What the user said or typed.
+     * @returns {{intent: string, isPageCommand: boolean}|null} null for open-ended requests.
+     */
+    match(text) {
+        const normalized = this.normalize(text);
+        if (!normalized) return null;
+
+        const command = this.COMMANDS.find(entry => entry.patterns.some(pattern => pattern.test(normalized)));
+        if (!command) return null;
+
+        return {
+            intent: command.intent,
+            isPageCommand: this.PAGE_INTENTS.includes(command.intent),
+        };
+    },
+};
@@ -9,692 +9,3161 @@
  * Architecture: Feature-first, easily extensible
  */
 
+// ============================================
+// FEATURE: DEEP DOM TRAVERSAL
+// ============================================
+/**
+ * Walks the page including open shadow roots and same-origin iframes.
+ *
+ * Selectors for elements inside those boundaries encode the host path:
+ *   "my-app >>> button.save"          - button inside my-app's shadow root
+ *   "iframe#checkout |> #card-number" - input inside a same-origin iframe
+ */
+const DeepDOM = {
+    SHADOW_SEPARATOR: ' >>> ',
+    FRAME_SEPARATOR: ' |> ',
+
+    /**
+     * Document of a same-origin frame, or null when it is not accessible.
+     */
+    getFrameDocument(frame) {
+        try {
+            return frame.contentDocument || null;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Visit every element under root in document order, descending into
+     * open shadow roots and accessible frames.
+     * @param {Document|ShadowRoot|Element} root
+     * @param {(el: Element) => boolean|void} visitor - Return false to stop.
+     * @returns {boolean} false when the walk was stopped early.
+     */
+    walk(root, visitor) {
+        const doc = root.ownerDocument || root;
+        const walker = doc.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+        let node = walker.nextNode();
+
+        while (node) {
+            if (visitor(node) === false) return false;
+
+            if (node.shadowRoot && this.walk(node.shadowRoot, visitor) === false) {
+                return false;
+            }
+
+            if (node.tagName === 'IFRAME' || node.tagName === 'FRAME') {
+                const frameDoc = this.getFrameDocument(node);
+                if (frameDoc?.documentElement && this.walk(frameDoc.documentElement, visitor) === false) {
+                    return false;
+                }
+            }
+
+            node = walker.nextNode();
+        }
+        return true;
+    },
+
+    /**
+     * querySelectorAll across shadow roots and frames, in document order.
+     */
+    querySelectorAll(selector, root = document) {
+        const matches = [];
+        this.walk(root, (el) => {
+            if (el.matches(selector)) matches.push(el);
+        });
+        return matches;
+    },
+
+    /**
+     * First element matching selector across shadow roots and frames.
+     */
+    querySelector(selector, root = document) {
+        let found = null;
+        this.walk(root, (el) => {
+            if (!el.matches(selector)) return true;
+            found = el;
+            return false;
+        });
+        return found;
+    },
+
+    /**
+     * Resolve a selector that may encode shadow/frame hops.
+     * @returns {Element|null}
+     */
+    resolveSelector(path) {
+        const parts = String(path).split(/ (>>>|\|>) /);
+        let scope = document;
+        let element = null;
+
+        for (let i = 0; i < parts.length; i += 2) {
+            element = scope.querySelector(parts[i].trim());
+            if (!element) return null;
+
+            const hop = parts[i + 1];
+            if (hop === '>>>') {
+                scope = element.shadowRoot;
+            } else if (hop === '|>') {
+                scope = this.getFrameDocument(element);
+            }
+            if (hop && !scope) return null;
+        }
+
+        return element;
+    },
+
+    /**
+     * Selector prefix locating the shadow root or frame document an element
+     * lives in, e.g. "my-app >>> " or "iframe#pay |> ". Empty for the page itself.
+     */
+    getHostPrefix(el) {
+        const root = el.getRootNode();
+        if (root instanceof ShadowRoot) {
+            return `${PageExtractor.generateSelector(root.host)}${this.SHADOW_SEPARATOR}`;
+        }
+        const frame = root.defaultView?.frameElement;
+        if (root !== document && frame) {
+            return `${PageExtractor.generateSelector(frame)}${this.FRAME_SEPARATOR}`;
+        }
+        return '';
+    },
+
+    /**
+     * Whether the element is still attached to a live document.
+     */
+    isAttached(el) {
+        return Boolean(el?.isConnected && el.ownerDocument?.defaultView);
+    },
+
+    /**
+     * Windows between the element and the top page (excluding the top page),
+     * so scroll listeners can be attached inside frames.
+     */
+    getFrameWindows(el) {
+        const windows = [];
+        let win = el?.ownerDocument?.defaultView;
+        while (win && win !== window) {
+            windows.push(win);
+            win = win.frameElement?.ownerDocument?.defaultView;
+        }
+        return windows;
+    },
+
+    /**
+     * Bounding rect in top-page viewport coordinates, adding the offsets of
+     * any frames the element is nested in.
+     */
+    getViewportRect(el) {
+        const rect = el.getBoundingClientRect();
+        let top = rect.top;
+        let left = rect.left;
+
+        let win = el.ownerDocument.defaultView;
+        while (win && win !== window && win.frameElement) {
+            const frame = win.frameElement;
+            const frameRect = frame.getBoundingClientRect();
+            top += frameRect.top + frame.clientTop;
+            left += frameRect.left + frame.clientLeft;
+            win = frame.ownerDocument.defaultView;
+        }
+
+        return {
+            top,
+            left,
+            width: rect.width,
+            height: rect.height,
+            right: left + rect.width,
+            bottom: top + rect.height,
+        };
+    },
+};
+
+// ============================================
+// FEATURE: ACCESSIBLE NAME & ROLE
+// ============================================
+/**
+ * Computes what assistive technology would announce for an element:
+ * accessible name and description (following the W3C accname algorithm),
+ * role (explicit or implicit) and common states.
+ */
+const AccessibleName = {
+    MAX_LENGTH: 150,
+
+    // Roles whose name may come from their content (accname step 2F)
+    NAME_FROM_CONTENT_ROLES: new Set([
+        'button', 'cell', 'checkbox', 'columnheader', 'gridcell', 'heading', 'link',
+        'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'row',
+        'rowheader', 'switch', 'tab', 'tooltip', 'treeitem', 'summary',
+    ]),
+
+    INPUT_ROLES: {
+        button: 'button', submit: 'button', reset: 'button', image: 'button',
+        checkbox: 'checkbox', radio: 'radio', range: 'slider', number: 'spinbutton',
+        search: 'searchbox', email: 'textbox', tel: 'textbox', text: 'textbox',
+        url: 'textbox', password: 'textbox',
+    },
+
+    /**
+     * Explicit ARIA role, or the implicit role of the HTML element.
+     */
+    getRole(el) {
+        const explicit = (el.getAttribute('role') || '').trim().split(/\s+/)[0];
+        if (explicit) return explicit;
+
+        const tag = el.tagName.toLowerCase();
+        switch (tag) {
+            case 'a':
+            case 'area':
+                return el.hasAttribute('href') ? 'link' : null;
+            case 'button':
+                return 'button';
+            case 'input': {
+                const type = (el.getAttribute('type') || 'text').toLowerCase();
+                if (type === 'hidden') return null;
+                if (el.hasAttribute('list') && ['text', 'search', 'email', 'tel', 'url'].includes(type)) {
+                    return 'combobox';
+                }
+                return this.INPUT_ROLES[type] || 'textbox';
+            }
+            case 'select':
+                return el.multiple || el.size > 1 ? 'listbox' : 'combobox';
+            case 'textarea':
+                return 'textbox';
+            case 'option':
+                return 'option';
+            case 'img':
+                return el.getAttribute('alt') === '' ? 'presentation' : 'img';
+            case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+                return 'heading';
+            case 'nav':
+                return 'navigation';
+            case 'main':
+                return 'main';
+            case 'header':
+                return el.closest('article, aside, main, nav, section') ? null : 'banner';
+            case 'footer':
+                return el.closest('article, aside, main, nav, section') ? null : 'contentinfo';
+            case 'aside':
+                return 'complementary';
+            case 'form':
+                return 'form';
+            case 'section':
+                return el.hasAttribute('aria-label') || el.hasAttribute('aria-labelledby') ? 'region' : null;
+            case 'fieldset':
+                return 'group';
+            case 'summary':
+                return 'button';
+            case 'dialog':
+                return 'dialog';
+            case 'ul':
+            case 'ol':
+                return 'list';
+            case 'li':
+                return 'listitem';
+            case 'table':
+                return 'table';
+            default:
+                return null;
+        }
+    },
+
+    /**
+     * Accessible name of an element.
+     */
+    getName(el) {
+        return this.clean(this.computeText(el, { root: el, visited: new Set() }));
+    },
+
+    /**
+     * Accessible description: aria-describedby, aria-description, then title
+     * when the title was not already used as the name.
+     */
+    getDescription(el) {
+        const describedBy = this.getReferencedElements(el, 'aria-describedby');
+        if (describedBy.length) {
+            return this.clean(describedBy
+                .map(ref => this.computeText(ref, { root: ref, visited: new Set(), inReference: true }))
+                .join(' '));
+        }
+
+        const description = el.getAttribute('aria-description');
+        if (description?.trim()) return this.clean(description);
+
+        const title = el.getAttribute('title');
+        if (title?.trim() && this.clean(title) !== this.getName(el)) {
+            return this.clean(title);
+        }
+        return '';
+    },
+
+    /**
+     * States that matter for deciding what to do next. Only states that apply
+     * to the element are included.
+     */
+    getStates(el) {
+        const states = {};
+
+        const expanded = el.getAttribute('aria-expanded');
+        if (expanded === 'true' || expanded === 'false') {
+            states.expanded = expanded === 'true';
+        } else if (el.tagName === 'DETAILS' || el.tagName === 'SUMMARY') {
+            const details = el.tagName === 'DETAILS' ? el : el.parentElement;
+            if (details?.tagName === 'DETAILS') states.expanded = details.open;
+        }
+
+        const ariaChecked = el.getAttribute('aria-checked');
+        if (ariaChecked === 'mixed') {
+            states.checked = 'mixed';
+        } else if (ariaChecked === 'true' || ariaChecked === 'false') {
+            states.checked = ariaChecked === 'true';
+        } else if (el.tagName === 'INPUT' && ['checkbox', 'radio'].includes(el.type)) {
+            states.checked = el.indeterminate ? 'mixed' : el.checked;
+        }
+
+        const pressed = el.getAttribute('aria-pressed');
+        if (pressed === 'true' || pressed === 'false' || pressed === 'mixed') {
+            states.pressed = pressed === 'mixed' ? 'mixed' : pressed === 'true';
+        }
+
+        if (el.matches(':disabled') || el.closest('[aria-disabled="true"]')) {
+            states.disabled = true;
+        }
+
+        if (el.required || el.getAttribute('aria-required') === 'true') {
+            states.required = true;
+        }
+
+        return states;
+    },
+
+    /**
+     * Text alternative computation (accname 1.2, steps 2A-2I, simplified).
+     * @param {Node} node
+     * @param {{root: Element, visited: Set<Node>, inReference?: boolean, inLabelledBy?: boolean, includeHidden?: boolean}} context
+     */
+    computeText(node, context) {
+        if (context.visited.has(node)) return '';
+        context.visited.add(node);
+
+        if (node.nodeType === Node.TEXT_NODE) {
+            return node.textContent;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+        const el = node;
+        const isRoot = el === context.root;
+
+        // 2A: hidden nodes are skipped unless directly referenced, in which
+        // case their whole subtree counts
+        if (!context.includeHidden && this.isHidden(el)) {
+            if (!(isRoot && context.inReference)) return '';
+            context = { ...context, includeHidden: true };
+        }
+
+        // 2B: aria-labelledby (not followed recursively)
+        if (!context.inLabelledBy) {
+            const labelledBy = this.getReferencedElements(el, 'aria-labelledby');
+            if (labelledBy.length) {
+                return labelledBy
+                    .map(ref => this.computeText(ref, {
+                        root: ref,
+                        visited: context.visited,
+                        inReference: true,
+                        inLabelledBy: true,
+                    }))
+                    .join(' ');
+            }
+        }
+
+        const role = this.getRole(el);
+
+        // 2C: embedded controls inside another element's name use their value
+        if (!isRoot) {
+            const controlValue = this.getEmbeddedControlValue(el, role);
+            if (controlValue !== null) return controlValue;
+        }
+
+        // 2D: aria-label
+        const ariaLabel = el.getAttribute('aria-label');
+        if (ariaLabel?.trim()) return ariaLabel;
+
+        // 2E: native host-language labels
+        if (role !== 'presentation' && role !== 'none') {
+            const nativeText = this.getNativeText(el, context);
+            if (nativeText?.trim()) return nativeText;
+        }
+
+        // 2F: name from content
+        if (!isRoot || this.NAME_FROM_CONTENT_ROLES.has(role) || context.inReference) {
+            const contentText = this.getContentText(el, context);
+            if (contentText.trim()) return contentText;
+        }
+
+        // 2I: tooltip attribute, then placeholder as a last resort
+        const title = el.getAttribute('title');
+        if (title?.trim()) return title;
+        if (isRoot && el.getAttribute('placeholder')?.trim()) return el.getAttribute('placeholder');
+
+        return '';
+    },
+
+    /**
+     * Labels provided by HTML itself (label elements, alt, legend, caption, value).
+     */
+    getNativeText(el, context) {
+        const tag = el.tagName.toLowerCase();
+
+        if (tag === 'input' && ['button', 'submit', 'reset'].includes(el.type)) {
+            return el.value || (el.type === 'submit' ? 'Submit' : el.type === 'reset' ? 'Reset' : '');
+        }
+
+        if (tag === 'input' && el.type === 'image') {
+            return el.getAttribute('alt') || el.value || 'Submit';
+        }
+
+        if (['input', 'select', 'textarea', 'meter', 'progress', 'output'].includes(tag) ||
+            (tag === 'button' && el.labels?.length)) {
+            const labels = Array.from(el.labels || []);
+            if (labels.length) {
+                return labels
+                    .map(label => this.computeText(label, { ...context, root: label, inReference: true }))
+                    .join(' ');
+            }
+        }
+
+        if (tag === 'img' || tag === 'area') {
+            return el.getAttribute('alt') || '';
+        }
+
+        if (tag === 'fieldset') {
+            const legend = Array.from(el.children).find(child => child.tagName === 'LEGEND');
+            return legend ? this.computeText(legend, { ...context, root: legend, inReference: true }) : '';
+        }
+
+        if (tag === 'figure') {
+            const caption = el.querySelector(':scope > figcaption');
+            return caption ? this.computeText(caption, { ...context, root: caption, inReference: true }) : '';
+        }
+
+        if (tag === 'table') {
+            return el.caption ? this.computeText(el.caption, { ...context, root: el.caption, inReference: true }) : '';
+        }
+
+        if (tag === 'svg') {
+            const svgTitle = el.querySelector(':scope > title');
+            return svgTitle?.textContent || '';
+        }
+
+        return '';
+    },
+
+    /**
+     * Value of a form control embedded in a label or other name source.
+     */
+    getEmbeddedControlValue(el, role) {
+        if (['textbox', 'searchbox'].includes(role) && 'value' in el) return el.value;
+        if (role === 'combobox' || role === 'listbox') {
+            if (el.tagName === 'SELECT') {
+                return Array.from(el.selectedOptions).map(option => option.textContent).join(' ');
+            }
+            const selected = el.querySelector('[aria-selected="true"]');
+            return selected ? selected.textContent : ('value' in el ? el.value : '');
+        }
+        if (['slider', 'spinbutton', 'progressbar', 'scrollbar'].includes(role)) {
+            return el.getAttribute('aria-valuetext') || el.getAttribute('aria-valuenow') || el.value || '';
+        }
+        return null;
+    },
+
+    /**
+     * Concatenate the text alternatives of child nodes, including CSS
+     * generated content and open shadow DOM.
+     */
+    getContentText(el, context) {
+        const parts = [this.getPseudoContent(el, '::before')];
+        const children = el.shadowRoot ? el.shadowRoot.childNodes : el.childNodes;
+
+        for (const child of children) {
+            if (child.nodeType === Node.ELEMENT_NODE && child.tagName === 'SLOT') {
+                child.assignedNodes({ flatten: true })
+                    .forEach(assigned => parts.push(this.computeText(assigned, context)));
+                continue;
+            }
+            const text = this.computeText(child, context);
+            const isBlock = child.nodeType === Node.ELEMENT_NODE && this.isBlock(child);
+            parts.push(isBlock ? ` ${text} ` : text);
+        }
+
+        parts.push(this.getPseudoContent(el, '::after'));
+        return parts.join('');
+    },
+
+    getPseudoContent(el, pseudo) {
+        const view = el.ownerDocument.defaultView || window;
+        const content = view.getComputedStyle(el, pseudo).content;
+        if (!content || content === 'none' || content === 'normal') return '';
+        const match = content.match(/^["'](.*)["']$/);
+        return match ? match[1] : '';
+    },
+
+    getReferencedElements(el, attribute) {
+        const ids = (el.getAttribute(attribute) || '').trim().split(/\s+/).filter(Boolean);
+        if (!ids.length) return [];
+
+        const root = el.getRootNode();
+        return ids
+            .map(id => (root.getElementById ? root.getElementById(id) : root.querySelector(`#${CSS.escape(id)}`)))
+            .filter(Boolean);
+    },
+
+    isHidden(el) {
+        if (el.hidden || el.closest('[aria-hidden="true"]')) return true;
+        const view = el.ownerDocument.defaultView || window;
+        const style = view.getComputedStyle(el);
+        return style.display === 'none' || style.visibility === 'hidden';
+    },
+
+    isBlock(el) {
+        const view = el.ownerDocument.defaultView || window;
+        const display = view.getComputedStyle(el).display;
+        return !display.startsWith('inline') && display !== 'contents';
+    },
+
+    clean(text) {
+        return String(text || '').replace(/\s+/g, ' ').trim().substring(0, this.MAX_LENGTH);
+    },
+};
+
+// ============================================
+// FEATURE: ELEMENT LOCATORS
+// ============================================
+/**
+ * Locator bundles describe an element several independent ways so it can be
+ * found again after frameworks re-render the DOM. Strategies are tried in
+ * order; every candidate is scored against the whole bundle and the first
+ * strategy whose best candidate scores high enough wins.
+ */
+const ElementLocator = {
+    MIN_SCORE: 0.6,
+    MAX_CANDIDATES: 700,
+
+    TEST_ID_ATTRIBUTES: ['data-testid', 'data-test-id', 'data-test', 'data-qa', 'data-cy'],
+
+    LANDMARK_ROLES: new Set([
+        'banner', 'navigation', 'main', 'complementary', 'contentinfo',
+        'form', 'search', 'region', 'dialog',
+    ]),
+
+    LANDMARK_SELECTOR: 'header, nav, main, aside, footer, form, section, dialog, [role="banner"], [role="navigation"], [role="main"], [role="complementary"], [role="contentinfo"], [role="form"], [role="search"], [role="region"], [role="dialog"]',
+
+    ROLE_CANDIDATE_SELECTOR: 'button, a[href], input, select, textarea, summary, [role], [onclick], [tabindex]',
+
+    /**
+     * Build the locator bundle for an element.
+     * @param {Element} el
+     * @param {{role?: string|null, name?: string, selector?: string}} known - Values the caller already computed.
+     */
+    createBundle(el, known = {}) {
+        const testIdAttribute = this.TEST_ID_ATTRIBUTES.find(attr => el.hasAttribute(attr));
+        const landmark = this.getLandmark(el);
+
+        return {
+            tag: el.tagName.toLowerCase(),
+            id: el.id || null,
+            testId: testIdAttribute ? { attribute: testIdAttribute, value: el.getAttribute(testIdAttribute) } : null,
+            role: known.role !== undefined ? known.role : AccessibleName.getRole(el),
+            name: known.name !== undefined ? known.name : AccessibleName.getName(el),
+            text: this.getText(el),
+            selector: known.selector || PageExtractor.generateSelector(el),
+            xpath: this.getXPath(el),
+            landmark: landmark ? {
+                selector: PageExtractor.generateSelector(landmark),
+                role: AccessibleName.getRole(landmark),
+                name: AccessibleName.getName(landmark),
+                index: this.getLandmarkCandidates(landmark, el.tagName.toLowerCase()).indexOf(el),
+            } : null,
+        };
+    },
+
+    /**
+     * Find the element a bundle describes.
+     * @returns {{element: Element, strategy: string, score: number}|null}
+     */
+    resolve(bundle) {
+        if (!bundle) return null;
+
+        const attempts = [];
+        for (const [strategy, findCandidates] of Object.entries(this.strategies)) {
+            let candidates;
+            try {
+                candidates = findCandidates.call(this, bundle);
+            } catch (e) {
+                candidates = [];
+            }
+            if (!candidates.length) continue;
+
+            let best = null;
+            let bestScore = 0;
+            candidates.forEach((candidate) => {
+                const score = this.score(candidate, bundle);
+                if (score > bestScore) {
+                    best = candidate;
+                    bestScore = score;
+                }
+            });
+
+            attempts.push({ strategy, candidates: candidates.length, score: Number(bestScore.toFixed(2)) });
+            if (best && bestScore >= this.MIN_SCORE) {
+                return { element: best, strategy, score: Number(bestScore.toFixed(2)) };
+            }
+        }
+
+        console.warn('Web Guide: no locator strategy matched', bundle, attempts);
+        return null;
+    },
+
+    /**
+     * Candidate finders, in the order they are tried.
+     */
+    strategies: {
+        id(bundle) {
+            if (!bundle.id) return [];
+            return DeepDOM.querySelectorAll(`#${CSS.escape(bundle.id)}`);
+        },
+
+        testId(bundle) {
+            if (!bundle.testId) return [];
+            const { attribute, value } = bundle.testId;
+            return DeepDOM.querySelectorAll(`[${attribute}="${CSS.escape(value)}"]`);
+        },
+
+        roleName(bundle) {
+            if (!bundle.role || !bundle.name) return [];
+            const name = bundle.name.toLowerCase();
+            return this.limit(DeepDOM.querySelectorAll(this.ROLE_CANDIDATE_SELECTOR))
+                .filter(el => AccessibleName.getRole(el) === bundle.role)
+                .filter(el => AccessibleName.getName(el).toLowerCase() === name);
+        },
+
+        selector(bundle) {
+            if (!bundle.selector) return [];
+            const element = DeepDOM.resolveSelector(bundle.selector);
+            return element ? [element] : [];
+        },
+
+        text(bundle) {
+            if (!bundle.text) return [];
+            return this.limit(DeepDOM.querySelectorAll(bundle.tag))
+                .filter(el => this.getText(el) === bundle.text);
+        },
+
+        xpath(bundle) {
+            if (!bundle.xpath) return [];
+            const result = document.evaluate(bundle.xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null);
+            return result.singleNodeValue ? [result.singleNodeValue] : [];
+        },
+
+        landmark(bundle) {
+            const landmark = bundle.landmark;
+            if (!landmark || landmark.index < 0) return [];
+
+            let container = landmark.selector ? DeepDOM.resolveSelector(landmark.selector) : null;
+            if (!container || AccessibleName.getRole(container) !== landmark.role) {
+                container = DeepDOM.querySelectorAll(this.LANDMARK_SELECTOR).find(el =>
+                    AccessibleName.getRole(el) === landmark.role &&
+                    AccessibleName.getName(el) === landmark.name
+                );
+            }
+            if (!container) return [];
+
+            const candidate = this.getLandmarkCandidates(container, bundle.tag)[landmark.index];
+            return candidate ? [candidate] : [];
+        },
+    },
+
+    /**
+     * How well an element matches a bundle, from 0 to 1. Only fields the
+     * bundle actually has are counted; hidden elements are penalised.
+     */
+    score(el, bundle) {
+        let total = 0;
+        let max = 0;
+        const add = (weight, amount) => {
+            max += weight;
+            total += weight * amount;
+        };
+
+        add(1, el.tagName.toLowerCase() === bundle.tag ? 1 : 0);
+        if (bundle.id) add(2, el.id === bundle.id ? 1 : 0);
+        if (bundle.testId) add(3, el.getAttribute(bundle.testId.attribute) === bundle.testId.value ? 1 : 0);
+        if (bundle.role) add(2, AccessibleName.getRole(el) === bundle.role ? 1 : 0);
+        if (bundle.name) add(3, this.similarity(AccessibleName.getName(el), bundle.name));
+        if (bundle.text) add(2, this.similarity(this.getText(el), bundle.text));
+
+        const score = max ? total / max : 0;
+        return PageExtractor.isVisible(el) ? score : score * 0.5;
+    },
+
+    /**
+     * 1 for equal text, 0.5 when one contains the other, otherwise 0.
+     */
+    similarity(a, b) {
+        const left = String(a || '').toLowerCase();
+        const right = String(b || '').toLowerCase();
+        if (!left || !right) return 0;
+        if (left === right) return 1;
+        return left.includes(right) || right.includes(left) ? 0.5 : 0;
+    },
+
+    getText(el) {
+        return (el.textContent || el.value || '').replace(/\s+/g, ' ').trim().substring(0, 100);
+    },
+
+    limit(elements) {
+        return elements.slice(0, this.MAX_CANDIDATES);
+    },
+
+    /**
+     * Absolute XPath within the top document. Elements in shadow roots or
+     * frames cannot be addressed by XPath from the top document, so they get none.
+     */
+    getXPath(el) {
+        if (el.ownerDocument !== document || el.getRootNode() !== document) return null;
+
+        const parts = [];
+        let current = el;
+        while (current && current.nodeType === Node.ELEMENT_NODE) {
+            const tag = current.tagName.toLowerCase();
+            let index = 1;
+            let sibling = current.previousElementSibling;
+            while (sibling) {
+                if (sibling.tagName === current.tagName) index += 1;
+                sibling = sibling.previousElementSibling;
+            }
+            parts.unshift(`${tag}[${index}]`);
+            current = current.parentElement;
+        }
+        return `/${parts.join('/')}`;
+    },
+
+    getLandmark(el) {
+        let current = el.parentElement;
+        while (current) {
+            if (current.matches(this.LANDMARK_SELECTOR) && this.LANDMARK_ROLES.has(AccessibleName.getRole(current))) {
+                return current;
+            }
+            current = current.parentElement;
+        }
+        return null;
+    },
+
+    getLandmarkCandidates(landmark, tag) {
+        return Array.from(landmark.querySelectorAll(tag));
+    },
+};
+
 // ============================================
 // FEATURE: PAGE CONTENT EXTRACTION
 // ============================================
-const PageExtractor = {
+const PageExtractor = {
+    /**
+     * Extract comprehensive page data for AI analysis
+     */
+    getPageContent() {
+        return {
+            url: window.location.href,
+            title: document.title,
+            lang: document.documentElement.lang || '',
+            textContent: this.getMainTextContent(),
+            interactiveElements: this.getInteractiveElements(),
+            navigationLinks: this.getNavigationLinks(),
+            headings: this.getHeadings(),
+            forms: this.getForms(),
+            landmarks: this.getLandmarks(),
+        };
+    },
+
+    /**
+     * Find the main content area, falling back to the body
+     */
+    getMainContentElement() {
+        const mainSelectors = ['main', 'article', '[role="main"]', '#content', '.content', '#main'];
+        
+        for (const selector of mainSelectors) {
+            const mainElement = DeepDOM.querySelector(selector);
+            if (mainElement) return mainElement;
+        }
+        
+        return document.body;
+    },
+
+    /**
+     * Get main text content, prioritizing meaningful content
+     */
+    getMainTextContent() {
+        const contentElement = this.getMainContentElement();
+        
+        // Collect visible text, including open shadow roots and same-origin iframes.
+        // Script, style and hidden elements are skipped.
+        const skipSelectors = 'script, style, noscript, template, [hidden], [aria-hidden="true"]';
+        const limit = 5000; // Limit for API
+        const chunks = [];
+        let length = 0;
+
+        const collect = (node) => {
+            for (const child of node.childNodes) {
+                if (length >= limit) return;
+
+                if (child.nodeType === Node.TEXT_NODE) {
+                    const text = child.textContent.trim();
+                    if (text) {
+                        chunks.push(text);
+                        length += text.length + 1;
+                    }
+                    continue;
+                }
+
+                if (child.nodeType !== Node.ELEMENT_NODE || child.matches(skipSelectors)) continue;
+
+                if (child.shadowRoot) collect(child.shadowRoot);
+
+                if (child.tagName === 'IFRAME' || child.tagName === 'FRAME') {
+                    const frameBody = DeepDOM.getFrameDocument(child)?.body;
+                    if (frameBody) collect(frameBody);
+                    continue;
+                }
+
+                collect(child);
+            }
+        };
+        collect(contentElement);
+        
+        // Get text and clean up whitespace
+        return chunks.join(' ')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .substring(0, limit);
+    },
+
+    /**
+     * Get interactive elements (buttons, links, inputs)
+     */
+    getInteractiveElements() {
+        const elements = [];
+        const selectors = 'button, a[href], input, select, textarea, [role="button"], [onclick], [tabindex="0"]';
+        
+        DeepDOM.querySelectorAll(selectors).forEach((el, index) => {
+            if (index >= 50) return; // Limit to 50 elements
+            if (!this.isVisible(el)) return;
+            
+            const rect = DeepDOM.getViewportRect(el);
+            const role = AccessibleName.getRole(el);
+            const name = AccessibleName.getName(el);
+            const selector = this.generateSelector(el);
+            elements.push({
+                tag: el.tagName.toLowerCase(),
+                type: el.type || null,
+                role,
+                name: name || null,
+                description: AccessibleName.getDescription(el) || null,
+                states: AccessibleName.getStates(el),
+                text: this.getElementText(el),
+                ariaLabel: el.getAttribute('aria-label'),
+                id: el.id || null,
+                className: el.className?.toString().substring(0, 100) || null,
+                href: el.href || null,
+                selector,
+                locator: ElementLocator.createBundle(el, { role, name, selector }),
+                position: {
+                    top: Math.round(rect.top),
+                    left: Math.round(rect.left),
+                },
+            });
+        });
+        
+        return elements;
+    },
+
+    /**
+     * Get navigation links
+     */
+    getNavigationLinks() {
+        const links = [];
+        const navSelectors = 'nav a, header a, [role="navigation"] a, .nav a, .menu a, .navbar a';
+        
+        DeepDOM.querySelectorAll(navSelectors).forEach((el, index) => {
+            if (index >= 20) return;
+            if (!this.isVisible(el)) return;
+            
+            links.push({
+                text: this.getElementText(el),
+                href: el.href,
+                selector: this.generateSelector(el),
+            });
+        });
+        
+        return links;
+    },
+
+    /**
+     * Get page headings for structure
+     */
+    getHeadings() {
+        const headings = [];
+        DeepDOM.querySelectorAll('h1, h2, h3').forEach((el, index) => {
+            if (index >= 15) return;
+            headings.push({
+                level: parseInt(el.tagName[1]),
+                text: el.textContent.trim().substring(0, 100),
+            });
+        });
+        return headings;
+    },
+
+    /**
+     * Get form information
+     */
+    getForms() {
+        const forms = [];
+        DeepDOM.querySelectorAll('form').forEach((form, index) => {
+            if (index >= 5) return;
+            
+            const inputs = Array.from(form.querySelectorAll('input, select, textarea'))
+                .slice(0, 10)
+                .map(input => ({
+                    type: input.type || input.tagName.toLowerCase(),
+                    name: input.name || input.id,
+                    placeholder: input.placeholder,
+                    label: this.getInputLabel(input),
+                    role: AccessibleName.getRole(input),
+                    description: AccessibleName.getDescription(input) || null,
+                    group: this.getInputGroup(input),
+                    states: AccessibleName.getStates(input),
+                }));
+            
+            forms.push({
+                id: form.id,
+                selector: this.generateSelector(form),
+                action: form.action,
+                inputs: inputs,
+            });
+        });
+        return forms;
+    },
+
+    /**
+     * Get ARIA landmarks
+     */
+    getLandmarks() {
+        const landmarks = [];
+        const roles = ['banner', 'navigation', 'main', 'complementary', 'contentinfo', 'search'];
+        
+        roles.forEach(role => {
+            const el = document.querySelector(`[role="${role}"]`) || 
+                       document.querySelector(role === 'banner' ? 'header' : 
+                                             role === 'navigation' ? 'nav' :
+                                             role === 'main' ? 'main' :
+                                             role === 'complementary' ? 'aside' :
+                                             role === 'contentinfo' ? 'footer' : null);
+            if (el) {
+                landmarks.push({
+                    role: role,
+                    label: el.getAttribute('aria-label') || null,
+                });
+            }
+        });
+        return landmarks;
+    },
+
+    /**
+     * Helper: Check if element is visible
+     */
+    isVisible(el) {
+        // Elements in iframes are styled by their own window
+        const view = el.ownerDocument.defaultView || window;
+        const style = view.getComputedStyle(el);
+        const rect = el.getBoundingClientRect();
+        
+        return style.display !== 'none' && 
+               style.visibility !== 'hidden' && 
+               style.opacity !== '0' &&
+               rect.width > 0 && 
+               rect.height > 0;
+    },
+
+    /**
+     * Helper: Get element text content, falling back to the accessible name
+     * for icon-only controls
+     */
+    getElementText(el) {
+        const text = (el.textContent || el.value || '').replace(/\s+/g, ' ').trim();
+        return (text || AccessibleName.getName(el)).substring(0, 100);
+    },
+
+    /**
+     * Helper: Get label for input element (its accessible name)
+     */
+    getInputLabel(input) {
+        return AccessibleName.getName(input) || input.placeholder || null;
+    },
+
+    /**
+     * Helper: Name of the fieldset or ARIA group an input belongs to
+     */
+    getInputGroup(input) {
+        const group = input.closest('fieldset, [role="group"], [role="radiogroup"]');
+        if (!group) return null;
+        return AccessibleName.getName(group) || null;
+    },
+
+    /**
+     * Helper: Generate a CSS selector for an element. Elements inside open
+     * shadow roots or same-origin iframes get a host-path prefix that
+     * DeepDOM.resolveSelector understands.
+     */
+    generateSelector(el) {
+        return `${DeepDOM.getHostPrefix(el)}${this.generateLocalSelector(el)}`;
+    },
+
+    /**
+     * Helper: Generate a selector unique within the element's own document or shadow root
+     */
+    generateLocalSelector(el) {
+        const root = el.getRootNode();
+
+        // Try ID first
+        if (el.id) {
+            return `#${CSS.escape(el.id)}`;
+        }
+        
+        // Try unique class combination
+        if (el.className && typeof el.className === 'string') {
+            const classes = el.className.trim().split(/\s+/).slice(0, 2);
+            if (classes.length > 0) {
+                const selector = `${el.tagName.toLowerCase()}.${classes.map(c => CSS.escape(c)).join('.')}`;
+                if (root.querySelectorAll(selector).length === 1) {
+                    return selector;
+                }
+            }
+        }
+        
+        // Try data attributes
+        for (const attr of el.attributes) {
+            if (attr.name.startsWith('data-') && attr.value) {
+                const selector = `${el.tagName.toLowerCase()}[${attr.name}="${CSS.escape(attr.value)}"]`;
+                if (root.querySelectorAll(selector).length === 1) {
+                    return selector;
+                }
+            }
+        }
+        
+        // Fall back to nth-child
+        const parent = el.parentElement;
+        const index = Array.from((parent || el.parentNode)?.children || []).indexOf(el) + 1;
+        if (parent) {
+            const parentSelector = this.generateLocalSelector(parent);
+            return `${parentSelector} > ${el.tagName.toLowerCase()}:nth-child(${index})`;
+        }
+
+        // Direct child of a shadow root
+        if (index > 0 && root instanceof ShadowRoot) {
+            return `${el.tagName.toLowerCase()}:nth-child(${index})`;
+        }
+        
+        return el.tagName.toLowerCase();
+    }
+};
+
+// ============================================
+// FEATURE: VISUAL GUIDANCE SYSTEM
+// ============================================
+const VisualGuide = {
+    currentHighlight: null,
+    currentArrow: null,
+    currentTooltip: null,
+    currentTarget: null,
+    currentTargetElement: null,
+    currentDescription: '',
+    currentIsInteractive: true,
+    currentArrowSide: 'top',
+    dismissHandler: null,
+    dismissDocuments: [],
+    viewportHandler: null,
+    trackedFrameWindows: [],
+    pendingFrame: null,
+    pathSteps: [],
+    pathIndex: -1,
+    pathBadges: [],
+    pathLine: null,
+    pathKeyHandler: null,
+
+    // Fields and widgets that use letters or arrow keys themselves
+    KEY_OWNER_SELECTOR: 'input, textarea, select, [role="slider"], [role="spinbutton"], [role="radiogroup"], ' +
+        '[role="radio"], [role="listbox"], [role="option"], [role="combobox"], [role="tablist"], [role="tab"], ' +
+        '[role="menu"], [role="menubar"], [role="menuitem"], [role="tree"], [role="grid"], [role="textbox"]',
+    pathAdvanceTimer: null,
+    targetLostTimer: null,
+    REANCHOR_GRACE_MS: 2000, // How long a target that left the page may take to come back
+
+    /**
+     * Highlight an element with arrow and tooltip
+     * @param {{selector?: string, description?: string, locator?: Object}} target
+     * @returns {{success: boolean, strategy: string|null, score: number|null}}
+     */
+    highlightElement(target) {
+        // Clear previous highlights
+        this.clearHighlights();
+        
+        const match = this.resolveTarget(target);
+        if (!match) {
+            console.warn('Element not found:', target.selector);
+            return { success: false, strategy: null, score: null };
+        }
+
+        this.currentTarget = target;
+        this.showTarget(match.element, target.description);
+        return {
+            success: true,
+            strategy: match.strategy,
+            score: match.score,
+            action: ActionExecutor.describe(match.element),
+        };
+    },
+
+    /**
+     * Find the element for a target: locator bundle strategies first, then
+     * the plain selector, then description matching. The result is snapped
+     * to the best actionable element and reports which strategy matched.
+     * @param {{selector?: string, description?: string, locator?: Object}} target
+     * @returns {{element: Element, strategy: string, score: number|null}|null}
+     */
+    resolveTarget(target) {
+        let match = ElementLocator.resolve(target.locator);
+        
+        // Try the provided selector (may cross shadow roots and frames)
+        if (!match && target.selector) {
+            try {
+                const element = DeepDOM.resolveSelector(target.selector);
+                if (element) match = { element, strategy: 'selector', score: null };
+            } catch (e) {
+                console.warn('Invalid selector:', target.selector);
+            }
+        }
+        
+        // If not found, try to find by text content
+        if (!match && target.description) {
+            const element = this.findElementByDescription(target.description);
+            if (element) match = { element, strategy: 'description', score: null };
+        }
+        
+        if (!match) return null;
+
+        // If this points to inner text/wrapper, snap to the best actionable target
+        // so clickable actions always get a clear bounding box.
+        match.element = this.getActionableElement(match.element) || match.element;
+        return match;
+    },
+
+    /**
+     * Scroll to an element and draw highlight, arrow and tooltip around it.
+     */
+    showTarget(element, description) {
+        this.currentTargetElement = element;
+        this.currentDescription = description || '';
+        
+        // Scroll element into view
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        
+        const isInteractive = this.isInteractiveElement(element);
+        this.currentIsInteractive = isInteractive;
+
+        // Wait for scroll to complete
+        setTimeout(() => {
+            if (this.currentTargetElement !== element) return;
+            this.createHighlight(isInteractive);
+            this.createArrow(isInteractive);
+            this.createTooltip(description);
+            this.updateGuidePositions();
+            this.enableViewportTracking();
+        }, 300);
+    },
+
+    /**
+     * Find element by description text
+     */
+    findElementByDescription(description) {
+        const lowerDesc = description.toLowerCase();
+        const selectors = 'button, a, input, select, textarea, [role="button"], [role="link"], [aria-label], h1, h2, h3, h4, [role="heading"], p, li, section, article, main, nav, [role="main"], [role="navigation"]';
+        let bestMatch = null;
+        let bestScore = 0;
+        let checked = 0;
+
+        for (const el of DeepDOM.querySelectorAll(selectors)) {
+            if (checked++ > 700) break;
+            if (!PageExtractor.isVisible(el)) continue;
+
+            const text = (el.textContent || el.value || el.getAttribute('aria-label') || el.title || '')
+                .trim()
+                .toLowerCase();
+
+            if (!text || text.length < 2) continue;
+
+            let score = 0;
+            if (text === lowerDesc) score += 120;
+            if (text.includes(lowerDesc)) score += 90;
+            if (lowerDesc.includes(text)) score += 60;
+
+            const descTokens = lowerDesc.split(/\s+/).filter(Boolean);
+            const tokenMatches = descTokens.filter(token => text.includes(token)).length;
+            score += tokenMatches * 10;
+
+            if (this.isInteractiveElement(el)) score += 25;
+
+            if (score > bestScore) {
+                bestScore = score;
+                bestMatch = el;
+            }
+        }
+
+        if (bestScore >= 20) {
+            return bestMatch;
+        }
+
+        return null;
+    },
+
+    /**
+     * Determine whether target is directly actionable
+     */
+    isInteractiveElement(element) {
+        if (!element) return false;
+        const selectors = 'button, a[href], input, select, textarea, summary, [role="button"], [role="link"], [onclick], [tabindex]:not([tabindex="-1"]), [data-action], [aria-pressed], [aria-expanded], [contenteditable="true"]';
+        if (element.matches(selectors)) return true;
+        if (this.hasPointerCue(element)) return true;
+        return false;
+    },
+
+    /**
+     * Heuristic: element looks clickable even without semantic button/link markup.
+     */
+    hasPointerCue(element) {
+        if (!element) return false;
+        const style = (element.ownerDocument.defaultView || window).getComputedStyle(element);
+        if (style.cursor !== 'pointer') return false;
+        if (style.pointerEvents === 'none') return false;
+        const rect = element.getBoundingClientRect();
+        return rect.width > 6 && rect.height > 6;
+    },
+
+    /**
+     * Resolve to the best actionable target around a candidate node.
+     */
+    getActionableElement(element) {
+        if (!element) return null;
+
+        const actionableSelector =
+            'button, a[href], input, select, textarea, summary, [role="button"], [role="link"], [onclick], [tabindex]:not([tabindex="-1"]), [data-action], [aria-pressed], [aria-expanded], [contenteditable="true"]';
+
+        if (this.isInteractiveElement(element) && PageExtractor.isVisible(element)) {
+            return element;
+        }
+
+        const closestActionable = element.closest(actionableSelector);
+        if (closestActionable && PageExtractor.isVisible(closestActionable)) {
+            return closestActionable;
+        }
+
+        const descendants = Array.from(element.querySelectorAll(actionableSelector));
+        for (const candidate of descendants) {
+            if (PageExtractor.isVisible(candidate)) {
+                return candidate;
+            }
+        }
+
+        // Last fallback for JS-driven clickable containers.
+        let current = element;
+        for (let i = 0; i < 4 && current; i += 1) {
+            if (this.hasPointerCue(current) && PageExtractor.isVisible(current)) {
+                return current;
+            }
+            current = current.parentElement;
+        }
+
+        return null;
+    },
+
+    /**
+     * Create highlight overlay on element
+     */
+    createHighlight(isInteractive = true) {
+        const highlight = document.createElement('div');
+        highlight.className = `webguide-highlight${isInteractive ? '' : ' scan-target'}`;
+        highlight.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 0;
+            height: 0;
+            pointer-events: none;
+            z-index: 2147483646;
+        `;
+        
+        document.body.appendChild(highlight);
+        this.currentHighlight = highlight;
+        
+        // Add click listener to dismiss (or advance, while a path is active)
+        this.dismissHandler = (event) => {
+            if (this.pathSteps.length) {
+                this.handlePathClick(event);
+                return;
+            }
+            this.clearHighlights();
+        };
+        const dismissHandler = this.dismissHandler;
+        setTimeout(() => {
+            if (this.dismissHandler !== dismissHandler) return;
+            // Clicks inside an iframe only reach that frame's document
+            const targetDocument = this.currentTargetElement?.ownerDocument;
+            this.dismissDocuments = [document];
+            if (targetDocument && targetDocument !== document) {
+                this.dismissDocuments.push(targetDocument);
+            }
+            this.dismissDocuments.forEach(doc => doc.addEventListener('click', dismissHandler));
+        }, 500);
+    },
+
+    /**
+     * Create arrow pointing to element
+     */
+    createArrow(isInteractive = true) {
+        const arrow = document.createElement('div');
+        arrow.className = `webguide-arrow${isInteractive ? '' : ' scan-target'}`;
+        arrow.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            z-index: 2147483647;
+            pointer-events: none;
+        `;
+        
+        this.setArrowVisual(arrow, 'top', isInteractive);
+        
+        document.body.appendChild(arrow);
+        this.currentArrow = arrow;
+    },
+
+    /**
+     * Update arrow SVG based on side placement
+     */
+    setArrowVisual(arrow, side, isInteractive) {
+        const strokeColor = isInteractive ? '#4f6bff' : '#ff8a00';
+        if (side === 'left') {
+            arrow.innerHTML = `
+                <svg width="150" height="120" viewBox="0 0 150 120">
+                    <path d="M8 60 L122 60 M102 38 L122 60 L102 82"
+                          stroke="${strokeColor}"
+                          stroke-width="10"
+                          stroke-linecap="round"
+                          stroke-linejoin="round"
+                          fill="none"/>
+                </svg>
+            `;
+            return;
+        }
+
+        if (side === 'right') {
+            arrow.innerHTML = `
+                <svg width="150" height="120" viewBox="0 0 150 120">
+                    <path d="M142 60 L28 60 M48 38 L28 60 L48 82"
+                          stroke="${strokeColor}"
+                          stroke-width="10"
+                          stroke-linecap="round"
+                          stroke-linejoin="round"
+                          fill="none"/>
+                </svg>
+            `;
+            return;
+        }
+
+        arrow.innerHTML = `
+            <svg width="120" height="150" viewBox="0 0 120 150">
+                <path d="M60 8 L60 122 M38 100 L60 122 L82 100"
+                      stroke="${strokeColor}"
+                      stroke-width="10"
+                      stroke-linecap="round"
+                      stroke-linejoin="round"
+                      fill="none"/>
+            </svg>
+        `;
+    },
+
+    /**
+     * Create tooltip with description
+     */
+    createTooltip(description) {
+        if (!description) return;
+
+        const tooltip = document.createElement('div');
+        tooltip.className = 'webguide-tooltip';
+        tooltip.textContent = description;
+        tooltip.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            z-index: 2147483646;
+            pointer-events: none;
+        `;
+        
+        document.body.appendChild(tooltip);
+        this.currentTooltip = tooltip;
+    },
+
+    /**
+     * Select arrow side to avoid overlapping tooltip area above target.
+     */
+    getArrowSide(rect) {
+        const minSideSpace = 130;
+        const spaceLeft = rect.left;
+        const spaceRight = window.innerWidth - rect.right;
+
+        if (spaceRight >= minSideSpace) return 'right';
+        if (spaceLeft >= minSideSpace) return 'left';
+        return 'top';
+    },
+
+    clamp(value, min, max) {
+        return Math.min(max, Math.max(min, value));
+    },
+
+    /**
+     * Reposition highlight, arrow, and tooltip to follow the target while scrolling.
+     */
+    updateGuidePositions() {
+        if (!this.currentTargetElement || !this.currentHighlight || !this.currentArrow) return;
+        if (!DeepDOM.isAttached(this.currentTargetElement)) {
+            // Targets survive re-renders: look them up again before giving up.
+            const step = this.pathSteps[this.pathIndex];
+            const target = step || this.currentTarget;
+            const replacement = target ? this.resolveTarget(target) : null;
+            if (!replacement) {
+                this.waitForTarget();
+                return;
+            }
+            if (step) {
+                step.element = replacement.element;
+                step.strategy = replacement.strategy;
+            }
+            this.currentTargetElement = replacement.element;
+        }
+        this.stopWaitingForTarget();
+
+        const rect = DeepDOM.getViewportRect(this.currentTargetElement);
+        const padding = this.currentIsInteractive ? 10 : 18;
+        const highlightTop = rect.top - padding;
+        const highlightLeft = rect.left - padding;
+
+        this.currentHighlight.style.top = `${highlightTop}px`;
+        this.currentHighlight.style.left = `${highlightLeft}px`;
+        this.currentHighlight.style.width = `${rect.width + padding * 2}px`;
+        this.currentHighlight.style.height = `${rect.height + padding * 2}px`;
+
+        const side = this.getArrowSide(rect);
+        if (side !== this.currentArrowSide) {
+            this.setArrowVisual(this.currentArrow, side, this.currentIsInteractive);
+            this.currentArrowSide = side;
+        }
+
+        let arrowTop = 0;
+        let arrowLeft = 0;
+        if (side === 'right') {
+            arrowTop = rect.top + (rect.height / 2) - 60;
+            arrowLeft = rect.right + 16;
+        } else if (side === 'left') {
+            arrowTop = rect.top + (rect.height / 2) - 60;
+            arrowLeft = rect.left - 162;
+        } else {
+            arrowTop = rect.top - 160;
+            arrowLeft = rect.left + (rect.width / 2) - 60;
+        }
+
+        this.currentArrow.style.top = `${this.clamp(arrowTop, 8, window.innerHeight - 158)}px`;
+        this.currentArrow.style.left = `${this.clamp(arrowLeft, 8, window.innerWidth - 158)}px`;
+
+        if (this.currentTooltip) {
+            let tooltipTop = rect.top - 112;
+            let tooltipLeft = rect.left + (rect.width / 2);
+            let tooltipTransform = 'translateX(-50%)';
+
+            if (side === 'right') {
+                tooltipTop = rect.top - 82;
+            } else if (side === 'left') {
+                tooltipTop = rect.top - 82;
+            } else if (tooltipTop < 10) {
+                tooltipTop = rect.bottom + 16;
+            }
+
+            this.currentTooltip.style.top = `${this.clamp(tooltipTop, 10, window.innerHeight - 90)}px`;
+            this.currentTooltip.style.left = `${this.clamp(tooltipLeft, 16, window.innerWidth - 16)}px`;
+            this.currentTooltip.style.transform = tooltipTransform;
+        }
+    },
+
+    /**
+     * The target left the page. Single-page apps often render it again a
+     * moment later, so hide the guides and give it REANCHOR_GRACE_MS to come
+     * back before clearing them and telling the extension.
+     */
+    waitForTarget() {
+        this.setGuidesVisible(false);
+        if (this.targetLostTimer) return;
+
+        const description = this.currentDescription;
+        this.targetLostTimer = setTimeout(() => {
+            // One last look; the timer is still set, so this cannot start another wait
+            this.updateGuidePositions();
+            this.targetLostTimer = null;
+            if (this.currentTargetElement && !DeepDOM.isAttached(this.currentTargetElement)) {
+                this.clearHighlights();
+                PageWatcher.notify('targetLost', { description });
+            }
+        }, this.REANCHOR_GRACE_MS);
+    },
+
+    stopWaitingForTarget() {
+        if (this.targetLostTimer) {
+            clearTimeout(this.targetLostTimer);
+            this.targetLostTimer = null;
+        }
+        this.setGuidesVisible(true);
+    },
+
+    setGuidesVisible(visible) {
+        [this.currentHighlight, this.currentArrow, this.currentTooltip].forEach((el) => {
+            if (el) el.style.visibility = visible ? '' : 'hidden';
+        });
+    },
+
+    /**
+     * Called by PageWatcher once the page has changed: find re-rendered
+     * targets and path steps again and move the guides onto them.
+     */
+    reanchor() {
+        if (!this.currentTargetElement && !this.pathSteps.length) return;
+        this.refreshPathSteps();
+        this.updateGuidePositions();
+        this.updatePathPositions();
+    },
+
+    handleViewportChange() {
+        if (this.pendingFrame) return;
+        this.pendingFrame = requestAnimationFrame(() => {
+            this.pendingFrame = null;
+            this.updateGuidePositions();
+            this.updatePathPositions();
+        });
+    },
+
+    enableViewportTracking() {
+        if (!this.viewportHandler) {
+            this.viewportHandler = this.handleViewportChange.bind(this);
+        }
+        window.addEventListener('scroll', this.viewportHandler, true);
+        window.addEventListener('resize', this.viewportHandler);
+
+        // Scrolling inside an iframe does not reach the top window
+        const targets = [this.currentTargetElement, ...this.pathSteps.map(step => step.element)];
+        targets.forEach((target) => {
+            DeepDOM.getFrameWindows(target).forEach((frameWindow) => {
+                if (this.trackedFrameWindows.includes(frameWindow)) return;
+                frameWindow.addEventListener('scroll', this.viewportHandler, true);
+                this.trackedFrameWindows.push(frameWindow);
+            });
+        });
+    },
+
+    disableViewportTracking() {
+        if (!this.viewportHandler) return;
+        window.removeEventListener('scroll', this.viewportHandler, true);
+        window.removeEventListener('resize', this.viewportHandler);
+        this.trackedFrameWindows.forEach((frameWindow) => {
+            try {
+                frameWindow.removeEventListener('scroll', this.viewportHandler, true);
+            } catch (e) {
+                // Frame may already be gone
+            }
+        });
+        this.trackedFrameWindows = [];
+    },
+
+    /**
+     * Clear all visual guides, including any active multi-step path
+     */
+    clearHighlights() {
+        this.clearPath();
+        this.clearTargetGuides();
+        this.currentTarget = null;
+    },
+
+    /**
+     * Clear highlight, arrow and tooltip around the current target
+     */
+    clearTargetGuides() {
+        if (this.targetLostTimer) {
+            clearTimeout(this.targetLostTimer);
+            this.targetLostTimer = null;
+        }
+        if (this.pendingFrame) {
+            cancelAnimationFrame(this.pendingFrame);
+            this.pendingFrame = null;
+        }
+        this.disableViewportTracking();
+        if (this.dismissHandler) {
+            this.dismissDocuments.forEach(doc => doc.removeEventListener('click', this.dismissHandler));
+            this.dismissDocuments = [];
+            this.dismissHandler = null;
+        }
+        if (this.currentHighlight) {
+            this.currentHighlight.remove();
+            this.currentHighlight = null;
+        }
+        if (this.currentArrow) {
+            this.currentArrow.remove();
+            this.currentArrow = null;
+        }
+        if (this.currentTooltip) {
+            this.currentTooltip.remove();
+            this.currentTooltip = null;
+        }
+        
+        // Also remove any orphaned elements
+        document.querySelectorAll('.webguide-highlight, .webguide-arrow, .webguide-tooltip')
+            .forEach(el => el.remove());
+
+        this.currentTargetElement = null;
+        this.currentDescription = '';
+        this.currentIsInteractive = true;
+        this.currentArrowSide = 'top';
+    },
+
+    // ============================================
+    // MULTI-STEP PATH GUIDANCE
+    // ============================================
+
+    /**
+     * Show an ordered walkthrough: numbered badges on every step, an animated
+     * path connecting them, and the full highlight on the current step.
+     * @param {Array<{selector: string, description: string, locator?: Object}>} steps
+     */
+    showAnimatedPath(steps) {
+        this.clearHighlights();
+
+        const validSteps = (Array.isArray(steps) ? steps : [])
+            .filter(step => step && (step.selector || step.description));
+        if (validSteps.length === 0) {
+            return { success: false, active: false };
+        }
+
+        this.pathSteps = validSteps.map(step => ({
+            selector: step.selector || null,
+            description: String(step.description || '').trim(),
+            locator: step.locator || null,
+            element: null,
+            strategy: null,
+        }));
+        this.enablePathKeyboard();
+
+        return this.goToPathStep(0);
+    },
+
+    /**
+     * Move the walkthrough to a given step. Steps are resolved lazily so
+     * elements revealed by earlier steps (menus, dialogs) can still be found.
+     */
+    goToPathStep(index) {
+        if (!this.pathSteps.length) {
+            return { success: false, active: false };
+        }
+
+        const total = this.pathSteps.length;
+        this.pathIndex = this.clamp(index, 0, total - 1);
+        const step = this.pathSteps[this.pathIndex];
+
+        this.refreshPathSteps();
+        this.clearTargetGuides();
+        this.renderPath();
+
+        const label = this.getPathStepLabel(this.pathIndex);
+        if (step.element) {
+            this.showTarget(step.element, label);
+        }
+
+        return {
+            success: Boolean(step.element),
+            active: true,
+            index: this.pathIndex,
+            total,
+            description: step.description,
+            label,
+            strategy: step.strategy,
+            action: step.element ? ActionExecutor.describe(step.element) : null,
+        };
+    },
+
+    /**
+     * Look up steps whose element is missing or was replaced, so badges
+     * follow whatever is on the page now.
+     */
+    refreshPathSteps() {
+        this.pathSteps.forEach((pathStep) => {
+            if (!pathStep.element || !DeepDOM.isAttached(pathStep.element)) {
+                const match = this.resolveTarget(pathStep);
+                pathStep.element = match?.element || null;
+                pathStep.strategy = match?.strategy || null;
+            }
+        });
+    },
+
+    /**
+     * Advance (+1) or go back (-1) one step.
+     */
+    stepPath(direction) {
+        if (!this.pathSteps.length) {
+            return { success: false, active: false };
+        }
+
+        const nextIndex = this.pathIndex + direction;
+        if (nextIndex >= this.pathSteps.length) {
+            const total = this.pathSteps.length;
+            this.clearHighlights();
+            return { success: true, active: false, finished: true, total };
+        }
+
+        return this.goToPathStep(Math.max(0, nextIndex));
+    },
+
+    getPathStepLabel(index) {
+        const step = this.pathSteps[index];
+        const description = step?.description || 'Next action';
+        return `Step ${index + 1} of ${this.pathSteps.length}: ${description}`;
+    },
+
+    /**
+     * Create (or rebuild) the step badges and connecting path.
+     */
+    renderPath() {
+        this.removePathOverlay();
+
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const line = document.createElementNS(svgNS, 'svg');
+        line.setAttribute('class', 'webguide-path-line');
+        line.setAttribute('width', '100%');
+        line.setAttribute('height', '100%');
+        line.style.cssText = 'top: 0; left: 0; width: 100vw; height: 100vh; overflow: visible;';
+
+        const path = document.createElementNS(svgNS, 'path');
+        path.setAttribute('class', 'webguide-path-flow');
+        path.setAttribute('fill', 'none');
+        line.appendChild(path);
+
+        document.body.appendChild(line);
+        this.pathLine = line;
+
+        this.pathBadges = this.pathSteps.map((step, index) => {
+            const badge = document.createElement('div');
+            let stateClass = '';
+            if (index < this.pathIndex) stateClass = ' done';
+            if (index === this.pathIndex) stateClass = ' active';
+            badge.className = `webguide-step-indicator${stateClass}`;
+            badge.textContent = String(index + 1);
+            badge.style.display = 'none';
+            document.body.appendChild(badge);
+            return badge;
+        });
+
+        this.updatePathPositions();
+        this.enableViewportTracking();
+    },
+
+    /**
+     * Keep badges and path attached to their elements while the page moves.
+     */
+    updatePathPositions() {
+        if (!this.pathLine || !this.pathBadges.length) return;
+
+        const points = [];
+        this.pathSteps.forEach((step, index) => {
+            const badge = this.pathBadges[index];
+            if (!badge) return;
+
+            if (!step.element || !DeepDOM.isAttached(step.element)) {
+                badge.style.display = 'none';
+                return;
+            }
+
+            const rect = DeepDOM.getViewportRect(step.element);
+            const x = rect.left;
+            const y = rect.top;
+            badge.style.display = 'flex';
+            badge.style.top = `${y - 14}px`;
+            badge.style.left = `${x - 14}px`;
+            points.push({ x, y });
+        });
+
+        const pathEl = this.pathLine.querySelector('path');
+        if (points.length < 2) {
+            pathEl.setAttribute('d', '');
+            return;
+        }
+
+        // Gentle curves between consecutive badges read better than straight lines.
+        let d = `M ${points[0].x} ${points[0].y}`;
+        for (let i = 1; i < points.length; i += 1) {
+            const prev = points[i - 1];
+            const curr = points[i];
+            const midY = (prev.y + curr.y) / 2;
+            d += ` C ${prev.x} ${midY}, ${curr.x} ${midY}, ${curr.x} ${curr.y}`;
+        }
+        pathEl.setAttribute('d', d);
+    },
+
+    /**
+     * Clicking the current step's element moves on to the next step.
+     */
+    handlePathClick(event) {
+        const current = this.pathSteps[this.pathIndex]?.element;
+        // composedPath sees through shadow DOM retargeting
+        if (!current || !event.composedPath().includes(current)) return;
+
+        if (this.pathAdvanceTimer) clearTimeout(this.pathAdvanceTimer);
+        // Give the page a moment to open menus or dialogs the click revealed.
+        this.pathAdvanceTimer = setTimeout(() => {
+            this.pathAdvanceTimer = null;
+            this.stepPath(1);
+        }, 600);
+    },
+
+    /**
+     * Arrow keys (or N / B) step through the path, Escape ends it.
+     */
+    enablePathKeyboard() {
+        if (this.pathKeyHandler) return;
+
+        this.pathKeyHandler = (event) => {
+            if (!this.pathSteps.length) return;
+            if (event.altKey || event.ctrlKey || event.metaKey) return;
+
+            // composedPath() sees through shadow roots, where event.target is the host
+            const target = event.composedPath()[0];
+            const ownsKeys = target instanceof Element &&
+                (target.isContentEditable || target.closest(this.KEY_OWNER_SELECTOR));
+            if (ownsKeys) return;
+
+            const key = event.key.toLowerCase();
+            if (key === 'arrowright' || key === 'n') {
+                event.preventDefault();
+                this.stepPath(1);
+            } else if (key === 'arrowleft' || key === 'b') {
+                event.preventDefault();
+                this.stepPath(-1);
+            } else if (key === 'escape') {
+                event.preventDefault();
+                this.clearHighlights();
+            }
+        };
+        document.addEventListener('keydown', this.pathKeyHandler, true);
+    },
+
+    removePathOverlay() {
+        if (this.pathLine) {
+            this.pathLine.remove();
+            this.pathLine = null;
+        }
+        this.pathBadges.forEach(badge => badge.remove());
+        this.pathBadges = [];
+    },
+
+    /**
+     * Remove the path overlay and forget its steps
+     */
+    clearPath() {
+        if (this.pathAdvanceTimer) {
+            clearTimeout(this.pathAdvanceTimer);
+            this.pathAdvanceTimer = null;
+        }
+        if (this.pathKeyHandler) {
+            document.removeEventListener('keydown', this.pathKeyHandler, true);
+            this.pathKeyHandler = null;
+        }
+        this.removePathOverlay();
+        document.querySelectorAll('.webguide-path-line, .webguide-step-indicator')
+            .forEach(el => el.remove());
+
+        this.pathSteps = [];
+        this.pathIndex = -1;
+    }
+};
+
+// ============================================
+// FEATURE: ACTION EXECUTION ("DO IT FOR ME")
+// ============================================
+/**
+ * Performs the highlighted action on the user's behalf: clicks, types into
+ * fields or picks options. The guide panel asks for confirmation first; actions
+ * that look like payments or deletions need two confirmations and are
+ * refused here as well if they arrive with fewer.
+ */
+const ActionExecutor = {
+    SETTLE_DELAY: 700,
+
+    PAYMENT_PATTERN: /\b(pay|payment|purchase|buy|checkout|check out|place (?:your |my )?order|complete (?:your |my )?order|confirm (?:your |my )?order|subscribe|donate|transfer|send money)\b/i,
+    DELETE_PATTERN: /\b(delete|remove|erase|destroy|discard|wipe|unsubscribe|close (?:your |my )?account|cancel (?:your |my )?(?:account|subscription|order))\b/i,
+
     /**
-     * Extract comprehensive page data for AI analysis
+     * What acting on an element would do.
+     * @returns {{kind: 'click'|'type'|'select'|'toggle', label: string, risk: 'payment'|'delete'|null, options: string[], locator: Object}}
      */
-    getPageContent() {
+    describe(element) {
+        const label = AccessibleName.getName(element) || PageExtractor.getElementText(element) || 'this element';
+        const kind = this.getKind(element);
+
         return {
-            url: window.location.href,
+            kind,
+            label,
+            risk: kind === 'type' || kind === 'select' ? null : this.getRisk(element, label),
+            options: kind === 'select'
+                ? Array.from(element.options).map(option => option.textContent.trim()).filter(Boolean).slice(0, 10)
+                : [],
+            // Sent back with the confirmation so execute() can tell the highlight has moved
+            locator: ElementLocator.createBundle(element),
+        };
+    },
+
+    getKind(element) {
+        if (element.tagName === 'SELECT') return 'select';
+        if (element.tagName === 'INPUT') {
+            const type = (element.type || 'text').toLowerCase();
+            if (['checkbox', 'radio'].includes(type)) return 'toggle';
+            if (['button', 'submit', 'reset', 'image', 'file', 'color', 'range'].includes(type)) return 'click';
+            return 'type';
+        }
+        if (element.tagName === 'TEXTAREA' || element.isContentEditable) return 'type';
+        return 'click';
+    },
+
+    /**
+     * Classify elements that spend money or destroy data. Submit buttons are
+     * also judged by the form they submit.
+     */
+    getRisk(element, label) {
+        const form = element.form || element.closest('form');
+        const isSubmit = element.matches('button:not([type]), button[type="submit"], input[type="submit"], input[type="image"]');
+        const context = [
+            label,
+            element.getAttribute('href') || '',
+            element.getAttribute('formaction') || '',
+            isSubmit && form ? `${form.getAttribute('action') || ''} ${AccessibleName.getName(form)}` : '',
+        ].join(' ');
+
+        if (this.PAYMENT_PATTERN.test(context)) return 'payment';
+        if (isSubmit && form?.querySelector('[autocomplete^="cc-"], [name*="card" i], [name*="cvv" i], [name*="cvc" i]')) {
+            return 'payment';
+        }
+        if (this.DELETE_PATTERN.test(context)) return 'delete';
+        return null;
+    },
+
+    /**
+     * Act on the currently highlighted element and report what changed.
+     * @param {{value?: string, confirmations?: number, locator?: Object}} request - locator: the
+     *   element the action was offered for; refused if something else is highlighted now.
+     * @returns {Promise<{success: boolean, message: string}>}
+     */
+    async execute(request) {
+        const element = VisualGuide.currentTargetElement;
+        if (!element || !DeepDOM.isAttached(element)) {
+            return { success: false, message: 'Nothing is highlighted right now, so there is nothing to do.' };
+        }
+        if (request.locator && ElementLocator.resolve(request.locator)?.element !== element) {
+            return { success: false, message: 'The highlight has moved since I offered that, so I did not do it. Ask me again.' };
+        }
+
+        const action = this.describe(element);
+        if (action.risk && (request.confirmations || 0) < 2) {
+            return { success: false, message: `That ${action.risk === 'payment' ? 'makes a payment' : 'deletes data'}, so it needs a second confirmation.` };
+        }
+        if (element.matches(':disabled') || element.getAttribute('aria-disabled') === 'true') {
+            return { success: false, message: `${action.label} is disabled right now.` };
+        }
+
+        const before = this.snapshot(element);
+        let message;
+
+        switch (action.kind) {
+            case 'type':
+                if (!request.value) {
+                    element.focus();
+                    return { success: true, message: `${action.label} is ready. What should I type?` };
+                }
+                this.typeInto(element, request.value);
+                message = `I typed "${request.value}" into ${action.label}.`;
+                break;
+
+            case 'select': {
+                const option = this.findOption(element, request.value);
+                if (!option) {
+                    return {
+                        success: false,
+                        message: `I could not find "${request.value || ''}" in ${action.label}. The choices are: ${action.options.join(', ')}.`,
+                    };
+                }
+                this.selectOption(element, option);
+                message = `I chose ${option.textContent.trim()} in ${action.label}.`;
+                break;
+            }
+
+            default:
+                element.focus({ preventScroll: true });
+                element.click();
+                message = `I clicked ${action.label}.`;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, this.SETTLE_DELAY));
+        const changes = this.describeChanges(before, this.snapshot(element), element);
+        return { success: true, message: [message, changes].filter(Boolean).join(' ') };
+    },
+
+    /**
+     * Set a field's value so framework listeners (React, Vue) see the change.
+     */
+    typeInto(element, value) {
+        element.focus();
+        if (element.isContentEditable) {
+            element.textContent = value;
+        } else {
+            const prototype = Object.getPrototypeOf(element);
+            const setter = Object.getOwnPropertyDescriptor(prototype, 'value')?.set;
+            if (setter) {
+                setter.call(element, value);
+            } else {
+                element.value = value;
+            }
+        }
+        element.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+        element.dispatchEvent(new Event('change', { bubbles: true }));
+    },
+
+    findOption(select, value) {
+        const wanted = String(value || '').trim().toLowerCase();
+        if (!wanted) return null;
+
+        const options = Array.from(select.options).filter(option => !option.disabled);
+        return options.find(option => option.textContent.trim().toLowerCase() === wanted) ||
+            options.find(option => option.value.toLowerCase() === wanted) ||
+            options.find(option => option.textContent.trim().toLowerCase().includes(wanted)) ||
+            null;
+    },
+
+    selectOption(select, option) {
+        select.focus();
+        select.value = option.value;
+        select.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+        select.dispatchEvent(new Event('change', { bubbles: true }));
+    },
+
+    snapshot(element) {
+        const states = AccessibleName.getStates(element);
+        return {
+            url: location.href,
             title: document.title,
-            textContent: this.getMainTextContent(),
-            interactiveElements: this.getInteractiveElements(),
-            navigationLinks: this.getNavigationLinks(),
-            headings: this.getHeadings(),
-            forms: this.getForms(),
-            landmarks: this.getLandmarks(),
+            attached: DeepDOM.isAttached(element),
+            value: 'value' in element ? element.value : null,
+            checked: states.checked,
+            expanded: states.expanded,
+            dialogs: DeepDOM.querySelectorAll('dialog[open], [role="dialog"], [role="alertdialog"], [aria-modal="true"]')
+                .filter(el => PageExtractor.isVisible(el)).length,
+            alerts: DeepDOM.querySelectorAll('[role="alert"], [aria-invalid="true"]')
+                .filter(el => PageExtractor.isVisible(el)).length,
         };
     },
 
     /**
-     * Get main text content, prioritizing meaningful content
+     * Turn two snapshots into a short spoken report.
      */
-    getMainTextContent() {
-        // Try to find main content area
-        const mainSelectors = ['main', 'article', '[role="main"]', '#content', '.content', '#main'];
-        let mainElement = null;
-        
-        for (const selector of mainSelectors) {
-            mainElement = document.querySelector(selector);
-            if (mainElement) break;
+    describeChanges(before, after, element) {
+        const changes = [];
+
+        if (after.url !== before.url) {
+            changes.push(`The page changed to ${after.title || after.url}.`);
+        } else if (after.title !== before.title) {
+            changes.push(`The page title is now ${after.title}.`);
         }
-        
-        // Fall back to body if no main content found
-        const contentElement = mainElement || document.body;
-        
-        // Clone and clean the content
-        const clone = contentElement.cloneNode(true);
-        
-        // Remove script, style, and hidden elements
-        const removeSelectors = 'script, style, noscript, iframe, [hidden], [aria-hidden="true"]';
-        clone.querySelectorAll(removeSelectors).forEach(el => el.remove());
-        
-        // Get text and clean up whitespace
-        return clone.textContent
-            .replace(/\s+/g, ' ')
-            .trim()
-            .substring(0, 5000); // Limit for API
+        if (after.checked !== before.checked && after.checked !== undefined) {
+            changes.push(after.checked === 'mixed' ? 'It is now partly checked.' : `It is now ${after.checked ? 'checked' : 'unchecked'}.`);
+        }
+        if (after.expanded !== before.expanded && after.expanded !== undefined) {
+            changes.push(after.expanded ? 'It opened.' : 'It closed.');
+        }
+        if (after.dialogs > before.dialogs) changes.push('A dialog opened.');
+        if (after.dialogs < before.dialogs) changes.push('A dialog closed.');
+        if (after.alerts > before.alerts) {
+            const alert = DeepDOM.querySelectorAll('[role="alert"]').find(el => PageExtractor.isVisible(el));
+            const alertText = alert ? PageExtractor.getElementText(alert) : '';
+            changes.push(alertText ? `The page says: ${alertText}` : 'The page is showing a new warning.');
+        }
+        if (before.attached && !after.attached && !changes.length) {
+            changes.push('The page updated.');
+        }
+        if (!changes.length && element.validationMessage) {
+            changes.push(element.validationMessage);
+        }
+
+        return changes.length ? changes.join(' ') : 'Nothing else on the page changed yet.';
     },
+};
+
+// ============================================
+// FEATURE: GUIDED FORM FILLING
+// ============================================
+/**
+ * Walks the user through a form one field at a time. The guide panel speaks each
+ * field and sends back dictated answers; this object fills the field, checks
+ * it the way the page would and moves on once it is valid.
+ */
+const FormGuide = {
+    FIELD_SELECTOR: 'input, select, textarea',
+    SKIPPED_TYPES: ['hidden', 'submit', 'button', 'reset', 'image', 'file'],
+    SENSITIVE_PATTERN: /(card|cvv|cvc|ssn|social.?security|iban|pin\b)/i,
+    VALIDATION_DELAY: 400,
+
+    form: null,
+    fields: [],
+    index: -1,
 
     /**
-     * Get interactive elements (buttons, links, inputs)
+     * Run one form-guide command from the guide panel.
+     * @param {{command: string, value?: string, formSelector?: string}} message
      */
-    getInteractiveElements() {
-        const elements = [];
-        const selectors = 'button, a[href], input, select, textarea, [role="button"], [onclick], [tabindex="0"]';
-        
-        document.querySelectorAll(selectors).forEach((el, index) => {
-            if (index >= 50) return; // Limit to 50 elements
-            if (!this.isVisible(el)) return;
-            
-            const rect = el.getBoundingClientRect();
-            elements.push({
-                tag: el.tagName.toLowerCase(),
-                type: el.type || null,
-                text: this.getElementText(el),
-                ariaLabel: el.getAttribute('aria-label'),
-                id: el.id || null,
-                className: el.className?.toString().substring(0, 100) || null,
-                href: el.href || null,
-                selector: this.generateSelector(el),
-                position: {
-                    top: Math.round(rect.top),
-                    left: Math.round(rect.left),
-                },
-            });
-        });
-        
-        return elements;
+    async handle(message) {
+        switch (message.command) {
+            case 'start':
+                return this.start(message.formSelector);
+            case 'answer':
+                return this.answer(message.value);
+            case 'next':
+                return this.next(true);
+            case 'skip':
+                return this.next(false);
+            case 'back':
+                return this.goTo(this.index - 1);
+            case 'repeat':
+                return this.goTo(this.index);
+            case 'stop':
+                return this.stop();
+            default:
+                return { active: this.isActive() };
+        }
+    },
+
+    isActive() {
+        return this.fields.length > 0 && this.index >= 0;
+    },
+
+    start(formSelector) {
+        this.stop();
+
+        const container = this.pickForm(formSelector);
+        const fields = container ? this.collectFields(container) : [];
+        if (!fields.length) {
+            return { active: false, message: 'I could not find a form to fill in on this page.' };
+        }
+
+        this.form = container;
+        this.fields = fields;
+        return this.goTo(0);
+    },
+
+    stop() {
+        this.form = null;
+        this.fields = [];
+        this.index = -1;
+        VisualGuide.clearHighlights();
+        return { active: false, stopped: true };
     },
 
     /**
-     * Get navigation links
+     * The requested form, the form the user is already in, or the visible
+     * form with the most fields. Pages without <form> elements fall back to
+     * the whole document.
      */
-    getNavigationLinks() {
-        const links = [];
-        const navSelectors = 'nav a, header a, [role="navigation"] a, .nav a, .menu a, .navbar a';
-        
-        document.querySelectorAll(navSelectors).forEach((el, index) => {
-            if (index >= 20) return;
-            if (!this.isVisible(el)) return;
-            
-            links.push({
-                text: this.getElementText(el),
-                href: el.href,
-                selector: this.generateSelector(el),
-            });
+    pickForm(formSelector) {
+        if (formSelector) {
+            const requested = DeepDOM.resolveSelector(formSelector);
+            if (requested) return requested;
+        }
+
+        const focusedForm = document.activeElement?.closest?.('form');
+        if (focusedForm && this.collectFields(focusedForm).length) return focusedForm;
+
+        let best = null;
+        let bestCount = 0;
+        DeepDOM.querySelectorAll('form').forEach((form) => {
+            if (!PageExtractor.isVisible(form)) return;
+            const count = this.collectFields(form).length;
+            if (count > bestCount) {
+                best = form;
+                bestCount = count;
+            }
         });
-        
-        return links;
+
+        return best || document.body;
     },
 
     /**
-     * Get page headings for structure
+     * Fillable fields in document order; each radio group counts as one field.
      */
-    getHeadings() {
-        const headings = [];
-        document.querySelectorAll('h1, h2, h3').forEach((el, index) => {
-            if (index >= 15) return;
-            headings.push({
-                level: parseInt(el.tagName[1]),
-                text: el.textContent.trim().substring(0, 100),
-            });
+    collectFields(container) {
+        const fields = [];
+        const seenGroups = new Set();
+
+        DeepDOM.querySelectorAll(this.FIELD_SELECTOR, container).forEach((el) => {
+            const type = (el.type || el.tagName).toLowerCase();
+            if (this.SKIPPED_TYPES.includes(type)) return;
+            if (el.disabled || el.readOnly || !PageExtractor.isVisible(el)) return;
+
+            if (type === 'radio') {
+                const groupKey = `${el.form ? PageExtractor.generateSelector(el.form) : ''}|${el.name}`;
+                if (el.name && seenGroups.has(groupKey)) return;
+                seenGroups.add(groupKey);
+                const radios = el.name
+                    ? DeepDOM.querySelectorAll(`input[type="radio"][name="${CSS.escape(el.name)}"]`, el.getRootNode())
+                        .filter(radio => radio.form === el.form)
+                    : [el];
+                fields.push({ element: el, radios });
+                return;
+            }
+
+            fields.push({ element: el, radios: null });
         });
-        return headings;
+
+        return fields;
     },
 
     /**
-     * Get form information
+     * Highlight a field and return everything the guide panel needs to read it aloud.
      */
-    getForms() {
-        const forms = [];
-        document.querySelectorAll('form').forEach((form, index) => {
-            if (index >= 5) return;
-            
-            const inputs = Array.from(form.querySelectorAll('input, select, textarea'))
-                .slice(0, 10)
-                .map(input => ({
-                    type: input.type || input.tagName.toLowerCase(),
-                    name: input.name || input.id,
-                    placeholder: input.placeholder,
-                    label: this.getInputLabel(input),
-                }));
-            
-            forms.push({
-                id: form.id,
-                action: form.action,
-                inputs: inputs,
-            });
+    goTo(index) {
+        if (!this.fields.length) {
+            return { active: false, message: 'No form is being filled in right now.' };
+        }
+
+        this.index = Math.max(0, Math.min(index, this.fields.length - 1));
+        const field = this.fields[this.index];
+        if (!DeepDOM.isAttached(field.element)) {
+            // The page re-rendered: collect the fields again and keep our place.
+            this.fields = this.collectFields(this.form && DeepDOM.isAttached(this.form) ? this.form : document.body);
+            return this.fields.length ? this.goTo(this.index) : this.stop();
+        }
+
+        const info = this.describeField(field);
+        VisualGuide.highlightElement({
+            selector: PageExtractor.generateSelector(field.element),
+            description: info.label,
+            locator: ElementLocator.createBundle(field.element),
         });
-        return forms;
+        field.element.focus({ preventScroll: true });
+
+        return {
+            active: true,
+            index: this.index,
+            total: this.fields.length,
+            field: info,
+        };
     },
 
     /**
-     * Get ARIA landmarks
+     * Label, kind, requirements and current value of a field.
      */
-    getLandmarks() {
-        const landmarks = [];
-        const roles = ['banner', 'navigation', 'main', 'complementary', 'contentinfo', 'search'];
-        
-        roles.forEach(role => {
-            const el = document.querySelector(`[role="${role}"]`) || 
-                       document.querySelector(role === 'banner' ? 'header' : 
-                                             role === 'navigation' ? 'nav' :
-                                             role === 'main' ? 'main' :
-                                             role === 'complementary' ? 'aside' :
-                                             role === 'contentinfo' ? 'footer' : null);
-            if (el) {
-                landmarks.push({
-                    role: role,
-                    label: el.getAttribute('aria-label') || null,
-                });
+    describeField(field) {
+        const el = field.element;
+        const type = (el.type || el.tagName).toLowerCase();
+        const label = field.radios
+            ? (PageExtractor.getInputGroup(el) || el.name || 'Choose one')
+            : (PageExtractor.getInputLabel(el) || el.name || 'Unlabelled field');
+
+        let kind = 'text';
+        if (el.tagName === 'SELECT') kind = 'select';
+        else if (type === 'checkbox') kind = 'checkbox';
+        else if (field.radios) kind = 'radio';
+        if (this.isSensitive(el, label)) kind = 'sensitive';
+
+        const options = kind === 'select'
+            ? Array.from(el.options).filter(option => !option.disabled && option.value !== '').map(option => option.textContent.trim())
+            : kind === 'radio'
+                ? field.radios.map(radio => AccessibleName.getName(radio) || radio.value)
+                : [];
+
+        return {
+            label,
+            type,
+            kind,
+            required: Boolean(el.required || el.getAttribute('aria-required') === 'true' ||
+                field.radios?.some(radio => radio.required)),
+            hints: this.getHints(el, type),
+            options: options.slice(0, 12),
+            value: this.getValue(field, kind),
+        };
+    },
+
+    isSensitive(el, label) {
+        if (el.type === 'password') return true;
+        if ((el.getAttribute('autocomplete') || '').startsWith('cc-')) return true;
+        return this.SENSITIVE_PATTERN.test(`${el.name} ${el.id} ${label}`);
+    },
+
+    /**
+     * Plain-language requirements taken from the field's type and constraints.
+     */
+    getHints(el, type) {
+        const hints = [];
+        const typeHints = {
+            email: 'an email address',
+            tel: 'a phone number',
+            url: 'a web address',
+            number: 'a number',
+            date: 'a date',
+            time: 'a time',
+        };
+        if (typeHints[type]) hints.push(`Enter ${typeHints[type]}`);
+        if (el.min) hints.push(`at least ${el.min}`);
+        if (el.max) hints.push(`at most ${el.max}`);
+        if (el.minLength > 0) hints.push(`at least ${el.minLength} characters`);
+        if (el.maxLength > 0 && el.maxLength < 524288) hints.push(`up to ${el.maxLength} characters`);
+        if (el.pattern && el.title) hints.push(el.title);
+
+        const description = AccessibleName.getDescription(el);
+        if (description && !hints.includes(description)) hints.push(description);
+        return hints;
+    },
+
+    getValue(field, kind) {
+        const el = field.element;
+        if (kind === 'sensitive') return el.value ? '(filled in)' : '';
+        if (kind === 'checkbox') return el.checked ? 'checked' : 'not checked';
+        if (kind === 'radio') {
+            const checked = field.radios.find(radio => radio.checked);
+            return checked ? (AccessibleName.getName(checked) || checked.value) : '';
+        }
+        if (kind === 'select') return el.selectedOptions[0]?.textContent.trim() || '';
+        return el.value || '';
+    },
+
+    /**
+     * Fill the current field with a dictated answer. Valid answers move on to
+     * the next field; invalid ones return the page's error message.
+     */
+    async answer(value) {
+        if (!this.isActive()) return { active: false, message: 'No form is being filled in right now.' };
+
+        const field = this.fields[this.index];
+        const info = this.describeField(field);
+        if (info.kind === 'sensitive') {
+            return { ...this.goTo(this.index), error: 'For your privacy, please type this one yourself, then say "next".' };
+        }
+
+        const fillError = this.fill(field, info, String(value || '').trim());
+        if (fillError) {
+            return { ...this.goTo(this.index), error: fillError };
+        }
+
+        return this.next(true);
+    },
+
+    /**
+     * Move to the next field, optionally checking the current one first.
+     */
+    async next(validate) {
+        if (!this.isActive()) return { active: false, message: 'No form is being filled in right now.' };
+
+        if (validate) {
+            const error = await this.getValidationError(this.fields[this.index]);
+            if (error) {
+                return { ...this.goTo(this.index), error };
             }
-        });
-        return landmarks;
+        }
+
+        if (this.index >= this.fields.length - 1) {
+            const total = this.fields.length;
+            this.stop();
+            return { active: false, finished: true, total };
+        }
+        return this.goTo(this.index + 1);
     },
 
     /**
-     * Helper: Check if element is visible
+     * Put a value into a field. Returns an error message or null.
      */
-    isVisible(el) {
-        const style = window.getComputedStyle(el);
-        const rect = el.getBoundingClientRect();
-        
-        return style.display !== 'none' && 
-               style.visibility !== 'hidden' && 
-               style.opacity !== '0' &&
-               rect.width > 0 && 
-               rect.height > 0;
+    fill(field, info, value) {
+        const el = field.element;
+        if (!value) return 'I did not catch an answer.';
+
+        switch (info.kind) {
+            case 'checkbox': {
+                const wantChecked = /^(yes|yeah|yep|check|checked|tick|agree|true|on|i agree|i do)\b/i.test(value);
+                const wantUnchecked = /^(no|nope|uncheck|unchecked|untick|false|off|i don'?t)\b/i.test(value);
+                if (!wantChecked && !wantUnchecked) return 'Please answer yes or no.';
+                if (el.checked !== wantChecked) el.click();
+                return null;
+            }
+
+            case 'radio': {
+                const wanted = value.toLowerCase();
+                const radio = field.radios.find(r => (AccessibleName.getName(r) || r.value).toLowerCase() === wanted) ||
+                    field.radios.find(r => (AccessibleName.getName(r) || r.value).toLowerCase().includes(wanted));
+                if (!radio) return `"${value}" is not one of the choices. The choices are: ${info.options.join(', ')}.`;
+                radio.click();
+                return null;
+            }
+
+            case 'select': {
+                const option = ActionExecutor.findOption(el, value);
+                if (!option) return `"${value}" is not one of the choices. The choices are: ${info.options.join(', ')}.`;
+                ActionExecutor.selectOption(el, option);
+                return null;
+            }
+
+            default:
+                ActionExecutor.typeInto(el, this.normalizeDictation(value, info.type));
+                return null;
+        }
+    },
+
+    /**
+     * Turn dictated text into what the field expects
+     * ("jane at example dot com" -> "jane@example.com", "March 5 1990" -> "1990-03-05").
+     */
+    normalizeDictation(value, type) {
+        if (type === 'email') {
+            return value
+                .replace(/\s+at\s+/gi, '@')
+                .replace(/\s+dot\s+/gi, '.')
+                .replace(/\s+/g, '')
+                .toLowerCase();
+        }
+        if (type === 'tel' || type === 'number') {
+            return value.replace(/(\d)\s+(?=\d)/g, '$1');
+        }
+        if (type === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            const date = new Date(value);
+            if (!Number.isNaN(date.getTime())) {
+                const pad = number => String(number).padStart(2, '0');
+                return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+            }
+        }
+        return value;
     },
 
     /**
-     * Helper: Get element text content
+     * Native constraint errors first, then errors the page shows itself
+     * (aria-invalid with aria-errormessage or a description, or an alert).
      */
-    getElementText(el) {
-        return (el.textContent || el.value || el.getAttribute('aria-label') || el.title || '')
-            .trim()
-            .substring(0, 100);
+    async getValidationError(field) {
+        const el = field.element;
+        el.dispatchEvent(new Event('blur'));
+        el.dispatchEvent(new FocusEvent('focusout', { bubbles: true }));
+        await new Promise(resolve => setTimeout(resolve, this.VALIDATION_DELAY));
+
+        if (!DeepDOM.isAttached(el)) return null;
+        if (typeof el.checkValidity === 'function' && !el.checkValidity()) {
+            return el.validationMessage;
+        }
+
+        if (el.getAttribute('aria-invalid') === 'true') {
+            const errorElements = AccessibleName.getReferencedElements(el, 'aria-errormessage');
+            const errorText = errorElements.map(ref => PageExtractor.getElementText(ref)).join(' ').trim();
+            return errorText || AccessibleName.getDescription(el) || 'The page says this answer is not valid.';
+        }
+
+        const container = el.closest('.form-group, .field, fieldset, label, div');
+        const alert = container?.querySelector('[role="alert"]');
+        if (alert && PageExtractor.isVisible(alert)) {
+            const alertText = PageExtractor.getElementText(alert);
+            if (alertText) return alertText;
+        }
+        return null;
+    },
+};
+
+// ============================================
+// FEATURE: CONTEXT MENU TARGET
+// ============================================
+/**
+ * Remembers the element under the last right-click so the "Explain this
+ * element" and "Guide me from here" menu items know what was clicked.
+ */
+const ContextTarget = {
+    element: null,
+
+    track() {
+        document.addEventListener('contextmenu', (event) => {
+            // composedPath reaches inside open shadow roots
+            const origin = event.composedPath().find(node => node.nodeType === Node.ELEMENT_NODE);
+            this.element = origin || null;
+        }, true);
     },
 
     /**
-     * Helper: Get label for input element
+     * The right-clicked element, snapped to its actionable ancestor, or null.
      */
-    getInputLabel(input) {
-        // Check for associated label
-        if (input.id) {
-            const label = document.querySelector(`label[for="${input.id}"]`);
-            if (label) return label.textContent.trim();
-        }
-        
-        // Check for parent label
-        const parentLabel = input.closest('label');
-        if (parentLabel) return parentLabel.textContent.trim();
-        
-        // Check for aria-label
-        return input.getAttribute('aria-label') || input.placeholder || null;
+    resolve() {
+        if (!this.element || !DeepDOM.isAttached(this.element)) return null;
+        return VisualGuide.getActionableElement(this.element) || this.element;
     },
 
     /**
-     * Helper: Generate a CSS selector for an element
+     * What the model needs to know about the element, plus how to find it again.
      */
-    generateSelector(el) {
-        // Try ID first
-        if (el.id) {
-            return `#${CSS.escape(el.id)}`;
-        }
-        
-        // Try unique class combination
-        if (el.className && typeof el.className === 'string') {
-            const classes = el.className.trim().split(/\s+/).slice(0, 2);
-            if (classes.length > 0) {
-                const selector = `${el.tagName.toLowerCase()}.${classes.map(c => CSS.escape(c)).join('.')}`;
-                if (document.querySelectorAll(selector).length === 1) {
-                    return selector;
-                }
-            }
-        }
-        
-        // Try data attributes
-        for (const attr of el.attributes) {
-            if (attr.name.startsWith('data-') && attr.value) {
-                const selector = `${el.tagName.toLowerCase()}[${attr.name}="${CSS.escape(attr.value)}"]`;
-                if (document.querySelectorAll(selector).length === 1) {
-                    return selector;
-                }
-            }
-        }
-        
-        // Fall back to nth-child
-        const parent = el.parentElement;
-        if (parent) {
-            const siblings = Array.from(parent.children);
-            const index = siblings.indexOf(el) + 1;
-            const parentSelector = this.generateSelector(parent);
-            return `${parentSelector} > ${el.tagName.toLowerCase()}:nth-child(${index})`;
-        }
-        
-        return el.tagName.toLowerCase();
-    }
+    describe(element) {
+        const landmark = ElementLocator.getLandmark(element);
+        const form = element.closest('form');
+        return {
+            tag: element.tagName.toLowerCase(),
+            type: element.type || null,
+            role: AccessibleName.getRole(element),
+            name: AccessibleName.getName(element) || null,
+            description: AccessibleName.getDescription(element) || null,
+            states: AccessibleName.getStates(element),
+            text: PageExtractor.getElementText(element) || null,
+            href: element.href || null,
+            region: landmark ? (AccessibleName.getName(landmark) || AccessibleName.getRole(landmark)) : null,
+            form: form ? (AccessibleName.getName(form) || form.getAttribute('action') || 'form') : null,
+            selector: PageExtractor.generateSelector(element),
+            locator: ElementLocator.createBundle(element),
+        };
+    },
 };
 
 // ============================================
-// FEATURE: VISUAL GUIDANCE SYSTEM
+// FEATURE: INFO BUBBLE
 // ============================================
-const VisualGuide = {
-    currentHighlight: null,
-    currentArrow: null,
-    currentTooltip: null,
-    currentTargetElement: null,
-    currentDescription: '',
-    currentIsInteractive: true,
-    currentArrowSide: 'top',
-    dismissHandler: null,
+/**
+ * A small dismissible message shown next to an element (or in the corner of
+ * the viewport) for guidance that arrives without the guide panel open.
+ */
+const InfoBubble = {
+    bubble: null,
+    anchor: null,
+    keyHandler: null,
     viewportHandler: null,
-    pendingFrame: null,
 
     /**
-     * Highlight an element with arrow and tooltip
+     * @param {string} text
+     * @param {{anchor?: 'context'|'target'|null, busy?: boolean}} options
      */
-    highlightElement(selector, description) {
-        // Clear previous highlights
-        this.clearHighlights();
-        
-        // Find the element
-        let element = null;
-        
-        // Try the provided selector
-        try {
-            element = document.querySelector(selector);
-        } catch (e) {
-            console.warn('Invalid selector:', selector);
-        }
-        
-        // If not found, try to find by text content
-        if (!element && description) {
-            element = this.findElementByDescription(description);
-        }
-        
-        if (!element) {
-            console.warn('Element not found:', selector);
-            return false;
-        }
+    show(text, options = {}) {
+        this.hide();
 
-        // If this points to inner text/wrapper, snap to the best actionable target
-        // so clickable actions always get a clear bounding box.
-        const actionableTarget = this.getActionableElement(element);
-        if (actionableTarget) {
-            element = actionableTarget;
-        }
+        const anchor = options.anchor === 'context'
+            ? ContextTarget.resolve()
+            : options.anchor === 'target' ? VisualGuide.currentTargetElement : null;
 
-        this.currentTargetElement = element;
-        this.currentDescription = description || '';
-        
-        // Scroll element into view
-        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
-        
-        const isInteractive = this.isInteractiveElement(element);
-        this.currentIsInteractive = isInteractive;
+        const bubble = document.createElement('div');
+        bubble.className = `webguide-bubble${options.busy ? ' busy' : ''}`;
+        bubble.setAttribute('role', 'status');
+        bubble.setAttribute('aria-live', 'polite');
 
-        // Wait for scroll to complete
-        setTimeout(() => {
-            this.createHighlight(isInteractive);
-            this.createArrow(isInteractive);
-            this.createTooltip(description);
-            this.updateGuidePositions();
-            this.enableViewportTracking();
-        }, 300);
-        
+        const textEl = document.createElement('div');
+        textEl.className = 'webguide-bubble-text';
+        textEl.textContent = text;
+        bubble.appendChild(textEl);
+
+        const close = document.createElement('button');
+        close.className = 'webguide-bubble-close';
+        close.type = 'button';
+        close.setAttribute('aria-label', 'Close Web Guide message');
+        close.textContent = '×';
+        close.addEventListener('click', () => this.hide());
+        bubble.appendChild(close);
+
+        document.body.appendChild(bubble);
+        this.bubble = bubble;
+        this.anchor = anchor;
+        this.position();
+
+        this.keyHandler = (event) => {
+            if (event.key === 'Escape') this.hide();
+        };
+        document.addEventListener('keydown', this.keyHandler, true);
+
+        this.viewportHandler = () => this.position();
+        window.addEventListener('scroll', this.viewportHandler, true);
+        window.addEventListener('resize', this.viewportHandler);
         return true;
     },
 
     /**
-     * Find element by description text
+     * Place the bubble below the anchor (above when there is no room), or
+     * in the bottom-right corner when there is no anchor.
      */
-    findElementByDescription(description) {
-        const lowerDesc = description.toLowerCase();
-        const selectors = 'button, a, input, select, textarea, [role="button"], [role="link"], [aria-label], h1, h2, h3, h4, [role="heading"], p, li, section, article, main, nav, [role="main"], [role="navigation"]';
-        let bestMatch = null;
-        let bestScore = 0;
-        let checked = 0;
+    position() {
+        if (!this.bubble) return;
 
-        for (const el of document.querySelectorAll(selectors)) {
-            if (checked++ > 700) break;
-            if (!PageExtractor.isVisible(el)) continue;
+        const margin = 12;
+        const bubbleRect = this.bubble.getBoundingClientRect();
+        if (!this.anchor || !DeepDOM.isAttached(this.anchor)) {
+            this.bubble.style.left = `${window.innerWidth - bubbleRect.width - 20}px`;
+            this.bubble.style.top = `${window.innerHeight - bubbleRect.height - 20}px`;
+            return;
+        }
 
-            const text = (el.textContent || el.value || el.getAttribute('aria-label') || el.title || '')
-                .trim()
-                .toLowerCase();
+        const rect = DeepDOM.getViewportRect(this.anchor);
+        let top = rect.bottom + margin;
+        if (top + bubbleRect.height > window.innerHeight - margin) {
+            top = rect.top - bubbleRect.height - margin;
+        }
+        const left = VisualGuide.clamp(rect.left, margin, window.innerWidth - bubbleRect.width - margin);
+        this.bubble.style.top = `${VisualGuide.clamp(top, margin, window.innerHeight - bubbleRect.height - margin)}px`;
+        this.bubble.style.left = `${left}px`;
+    },
 
-            if (!text || text.length < 2) continue;
+    hide() {
+        if (this.keyHandler) {
+            document.removeEventListener('keydown', this.keyHandler, true);
+            this.keyHandler = null;
+        }
+        if (this.viewportHandler) {
+            window.removeEventListener('scroll', this.viewportHandler, true);
+            window.removeEventListener('resize', this.viewportHandler);
+            this.viewportHandler = null;
+        }
+        if (this.bubble) {
+            this.bubble.remove();
+            this.bubble = null;
+        }
+        this.anchor = null;
+    },
+};
 
-            let score = 0;
-            if (text === lowerDesc) score += 120;
-            if (text.includes(lowerDesc)) score += 90;
-            if (lowerDesc.includes(text)) score += 60;
+// ============================================
+// FEATURE: LOCAL PAGE COMMANDS
+// ============================================
+/**
+ * Carries out the page commands matched by CommandRouter (command-router.js)
+ * without a model call: scrolling, and stepping through headings and links.
+ */
+const PageNavigator = {
+    cursor: null, // Last heading or link we moved to
 
-            const descTokens = lowerDesc.split(/\s+/).filter(Boolean);
-            const tokenMatches = descTokens.filter(token => text.includes(token)).length;
-            score += tokenMatches * 10;
+    /**
+     * @param {string} intent - One of CommandRouter.PAGE_INTENTS.
+     * @returns {{success: boolean, message: string}}
+     */
+    run(intent) {
+        switch (intent) {
+            case 'scrollDown': return this.scroll(0.5);
+            case 'scrollUp': return this.scroll(-0.5);
+            case 'pageDown': return this.scroll(0.9);
+            case 'pageUp': return this.scroll(-0.9);
+            case 'scrollTop': return this.scrollToEdge('top');
+            case 'scrollBottom': return this.scrollToEdge('bottom');
+            case 'nextHeading': return this.step('heading', 1);
+            case 'previousHeading': return this.step('heading', -1);
+            case 'nextLink': return this.step('link', 1);
+            case 'previousLink': return this.step('link', -1);
+            default: return { success: false, message: "I don't know how to do that on this page." };
+        }
+    },
 
-            if (this.isInteractiveElement(el)) score += 25;
+    /**
+     * Many apps scroll an inner container instead of the document; find the
+     * one under the middle of the viewport.
+     * @returns {Element}
+     */
+    getScroller() {
+        const root = document.scrollingElement || document.documentElement;
+        if (root.scrollHeight > root.clientHeight + 1) return root;
 
-            if (score > bestScore) {
-                bestScore = score;
-                bestMatch = el;
+        let el = document.elementFromPoint(window.innerWidth / 2, window.innerHeight / 2);
+        while (el && el !== root) {
+            const overflow = getComputedStyle(el).overflowY;
+            if (['auto', 'scroll', 'overlay'].includes(overflow) && el.scrollHeight > el.clientHeight + 1) {
+                return el;
             }
+            el = el.parentElement;
         }
+        return root;
+    },
 
-        if (bestScore >= 20) {
-            return bestMatch;
-        }
-
-        return null;
+    getScrollBehavior() {
+        return window.matchMedia('(prefers-reduced-motion: reduce)').matches ? 'auto' : 'smooth';
     },
 
     /**
-     * Determine whether target is directly actionable
+     * @param {number} fraction - Share of the visible height; negative scrolls up.
      */
-    isInteractiveElement(element) {
-        if (!element) return false;
-        const selectors = 'button, a[href], input, select, textarea, summary, [role="button"], [role="link"], [onclick], [tabindex]:not([tabindex="-1"]), [data-action], [aria-pressed], [aria-expanded], [contenteditable="true"]';
-        if (element.matches(selectors)) return true;
-        if (this.hasPointerCue(element)) return true;
-        return false;
+    scroll(fraction) {
+        const scroller = this.getScroller();
+        const maxTop = scroller.scrollHeight - scroller.clientHeight;
+
+        if (fraction > 0 && scroller.scrollTop >= maxTop - 1) {
+            return { success: false, message: "You're at the bottom of the page." };
+        }
+        if (fraction < 0 && scroller.scrollTop <= 0) {
+            return { success: false, message: "You're at the top of the page." };
+        }
+
+        scroller.scrollBy({ top: scroller.clientHeight * fraction, behavior: this.getScrollBehavior() });
+        return { success: true, message: fraction > 0 ? 'Scrolled down.' : 'Scrolled up.' };
     },
 
-    /**
-     * Heuristic: element looks clickable even without semantic button/link markup.
-     */
-    hasPointerCue(element) {
-        if (!element) return false;
-        const style = window.getComputedStyle(element);
-        if (style.cursor !== 'pointer') return false;
-        if (style.pointerEvents === 'none') return false;
-        const rect = element.getBoundingClientRect();
-        return rect.width > 6 && rect.height > 6;
+    scrollToEdge(edge) {
+        const scroller = this.getScroller();
+        scroller.scrollTo({
+            top: edge === 'top' ? 0 : scroller.scrollHeight,
+            behavior: this.getScrollBehavior(),
+        });
+        this.cursor = null;
+        return { success: true, message: edge === 'top' ? 'This is the top of the page.' : 'This is the bottom of the page.' };
+    },
+
+    getCandidates(kind) {
+        const selector = kind === 'heading'
+            ? 'h1, h2, h3, h4, h5, h6, [role="heading"]'
+            : 'a[href], [role="link"]';
+        return DeepDOM.querySelectorAll(selector)
+            .filter(el => PageExtractor.isVisible(el) && !AccessibleName.isHidden(el));
     },
 
     /**
-     * Resolve to the best actionable target around a candidate node.
+     * Move to the next or previous heading/link, starting from the last one
+     * we visited, or from the top of the viewport.
+     * @param {'heading'|'link'} kind
+     * @param {1|-1} direction
      */
-    getActionableElement(element) {
-        if (!element) return null;
-
-        const actionableSelector =
-            'button, a[href], input, select, textarea, summary, [role="button"], [role="link"], [onclick], [tabindex]:not([tabindex="-1"]), [data-action], [aria-pressed], [aria-expanded], [contenteditable="true"]';
+    step(kind, direction) {
+        const candidates = this.getCandidates(kind);
+        const noun = kind === 'heading' ? 'headings' : 'links';
+        if (!candidates.length) {
+            return { success: false, message: `There are no ${noun} on this page.` };
+        }
 
-        if (this.isInteractiveElement(element) && PageExtractor.isVisible(element)) {
-            return element;
+        let index = this.cursor ? candidates.indexOf(this.cursor) : -1;
+        if (index !== -1) {
+            index += direction;
+        } else if (direction > 0) {
+            index = candidates.findIndex(el => DeepDOM.getViewportRect(el).top > 1);
+        } else {
+            index = candidates.map(el => DeepDOM.getViewportRect(el).bottom < 0).lastIndexOf(true);
         }
 
-        const closestActionable = element.closest(actionableSelector);
-        if (closestActionable && PageExtractor.isVisible(closestActionable)) {
-            return closestActionable;
+        const target = candidates[index];
+        if (!target) {
+            return { success: false, message: `There are no more ${noun} ${direction > 0 ? 'after' : 'before'} this.` };
         }
 
-        const descendants = Array.from(element.querySelectorAll(actionableSelector));
-        for (const candidate of descendants) {
-            if (PageExtractor.isVisible(candidate)) {
-                return candidate;
-            }
+        this.cursor = target;
+        const name = AccessibleName.getName(target) || PageExtractor.getElementText(target) || 'Untitled';
+        const label = kind === 'heading'
+            ? `Heading level ${this.getHeadingLevel(target)}: ${name}`
+            : `Link: ${name}`;
+
+        VisualGuide.clearHighlights();
+        VisualGuide.showTarget(target, label);
+        if (kind === 'link') {
+            target.focus({ preventScroll: true });
         }
+        return { success: true, message: label };
+    },
 
-        // Last fallback for JS-driven clickable containers.
-        let current = element;
-        for (let i = 0; i < 4 && current; i += 1) {
-            if (this.hasPointerCue(current) && PageExtractor.isVisible(current)) {
-                return current;
-            }
-            current = current.parentElement;
+    getHeadingLevel(el) {
+        const match = el.tagName.match(/^H([1-6])$/);
+        if (match) return Number(match[1]);
+        return Number(el.getAttribute('aria-level')) || 2;
+    },
+};
+
+// ============================================
+// FEATURE: READ ALOUD
+// ============================================
+/**
+ * Splits the main content into sentences for the guide panel to speak one
+ * at a time, and highlights the sentence being read. The panel owns the
+ * speech; this module only keeps the reading position.
+ */
+const ReadAloud = {
+    BLOCK_SELECTOR: 'p, li, h1, h2, h3, h4, h5, h6, [role="heading"], blockquote, figcaption, dt, dd, td, th, caption, pre',
+    SKIP_SELECTOR: 'nav, aside, form, button, select, textarea, script, style, noscript, template, svg, [hidden], [aria-hidden="true"], ' +
+        '[role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [role="search"], [role="menu"], [role="dialog"]',
+    AD_PATTERN: /(^|[\s_-])(ad|ads|advert|adverts|advertisement|sponsored|sponsor|promo|adsbygoogle)([\s_-]|$)/i,
+    MAX_SENTENCES: 2000,
+    HIGHLIGHT_NAME: 'webguide-reading',
+
+    sentences: [], // { text, range, block, isHeading }
+    index: 0,
+    activeBlock: null,
+
+    /**
+     * Run one read-aloud command from the guide panel.
+     * @param {{command: 'start'|'current'|'advance'|'skipParagraph'|'skipHeading'|'stop'}} message
+     */
+    handle(message) {
+        switch (message.command) {
+            case 'start': return this.start();
+            case 'current': return this.current();
+            case 'advance':
+                this.index += 1;
+                return { success: true };
+            case 'skipParagraph': return this.skip(sentence => sentence.block !== this.sentences[this.index]?.block);
+            case 'skipHeading': return this.skip(sentence => sentence.isHeading && sentence.block !== this.sentences[this.index]?.block);
+            case 'stop':
+                this.stop();
+                return { success: true };
+            default: return { success: false };
         }
+    },
 
-        return null;
+    start() {
+        this.stop();
+        this.sentences = this.collect(PageExtractor.getMainContentElement());
+        this.index = 0;
+
+        if (!this.sentences.length) {
+            return { success: false, message: "I couldn't find any text to read on this page." };
+        }
+        return {
+            success: true,
+            count: this.sentences.length,
+            // For the panel to pick a voice in the page's language
+            lang: document.documentElement.lang || '',
+            sample: this.sentences.slice(0, 10).map(sentence => sentence.text).join(' '),
+        };
     },
 
     /**
-     * Create highlight overlay on element
+     * Highlight the sentence at the reading position and return its text.
      */
-    createHighlight(isInteractive = true) {
-        const highlight = document.createElement('div');
-        highlight.className = `webguide-highlight${isInteractive ? '' : ' scan-target'}`;
-        highlight.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 0;
-            height: 0;
-            pointer-events: none;
-            z-index: 2147483646;
-        `;
-        
-        document.body.appendChild(highlight);
-        this.currentHighlight = highlight;
-        
-        // Add click listener to dismiss
-        this.dismissHandler = () => {
-            this.clearHighlights();
-            document.removeEventListener('click', this.dismissHandler);
+    current() {
+        const sentence = this.sentences[this.index];
+        if (!sentence) {
+            this.clearHighlight();
+            return { done: true };
+        }
+
+        this.showSentence(sentence);
+        return {
+            done: false,
+            text: sentence.text,
+            index: this.index,
+            count: this.sentences.length,
+            isHeading: sentence.isHeading,
         };
-        setTimeout(() => {
-            document.addEventListener('click', this.dismissHandler);
-        }, 500);
     },
 
     /**
-     * Create arrow pointing to element
+     * Move to the first later sentence matching the predicate.
      */
-    createArrow(isInteractive = true) {
-        const arrow = document.createElement('div');
-        arrow.className = `webguide-arrow${isInteractive ? '' : ' scan-target'}`;
-        arrow.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            z-index: 2147483647;
-            pointer-events: none;
-        `;
-        
-        this.setArrowVisual(arrow, 'top', isInteractive);
-        
-        document.body.appendChild(arrow);
-        this.currentArrow = arrow;
+    skip(predicate) {
+        for (let i = this.index + 1; i < this.sentences.length; i++) {
+            if (predicate(this.sentences[i])) {
+                this.index = i;
+                return { success: true };
+            }
+        }
+        this.index = this.sentences.length;
+        return { success: false, message: "That's the end of the page." };
+    },
+
+    stop() {
+        this.clearHighlight();
+        this.sentences = [];
+        this.index = 0;
     },
 
     /**
-     * Update arrow SVG based on side placement
+     * Readable blocks under root, in document order, split into sentences.
+     * @param {Element} root
+     * @returns {Array<{text: string, range: Range, block: Element, isHeading: boolean}>}
      */
-    setArrowVisual(arrow, side, isInteractive) {
-        const strokeColor = isInteractive ? '#4f6bff' : '#ff8a00';
-        if (side === 'left') {
-            arrow.innerHTML = `
-                <svg width="150" height="120" viewBox="0 0 150 120">
-                    <path d="M8 60 L122 60 M102 38 L122 60 L102 82"
-                          stroke="${strokeColor}"
-                          stroke-width="10"
-                          stroke-linecap="round"
-                          stroke-linejoin="round"
-                          fill="none"/>
-                </svg>
-            `;
-            return;
-        }
+    collect(root) {
+        const blockSelector = `${this.BLOCK_SELECTOR}, div`;
+        const sentences = [];
+        const segmenter = typeof Intl.Segmenter === 'function'
+            ? new Intl.Segmenter(document.documentElement.lang || undefined, { granularity: 'sentence' })
+            : null;
 
-        if (side === 'right') {
-            arrow.innerHTML = `
-                <svg width="150" height="120" viewBox="0 0 150 120">
-                    <path d="M142 60 L28 60 M48 38 L28 60 L48 82"
-                          stroke="${strokeColor}"
-                          stroke-width="10"
-                          stroke-linecap="round"
-                          stroke-linejoin="round"
-                          fill="none"/>
-                </svg>
-            `;
-            return;
-        }
+        DeepDOM.walk(root, (el) => {
+            if (sentences.length >= this.MAX_SENTENCES) return false;
+            if (el.ownerDocument !== document) return;
 
-        arrow.innerHTML = `
-            <svg width="120" height="150" viewBox="0 0 120 150">
-                <path d="M60 8 L60 122 M38 100 L60 122 L82 100"
-                      stroke="${strokeColor}"
-                      stroke-width="10"
-                      stroke-linecap="round"
-                      stroke-linejoin="round"
-                      fill="none"/>
-            </svg>
-        `;
+            // Leaf blocks only, so nested blocks are not read twice; a div
+            // counts when it holds text directly (div-only layouts)
+            const isBlock = el.matches(this.BLOCK_SELECTOR) ||
+                (el.tagName === 'DIV' && [...el.childNodes].some(node => node.nodeType === Node.TEXT_NODE && node.data.trim()));
+            if (!isBlock || el.querySelector(blockSelector)) return;
+            if (this.isSkipped(el, root) || !PageExtractor.isVisible(el)) return;
+
+            const isHeading = /^H[1-6]$/.test(el.tagName) || el.getAttribute('role') === 'heading';
+            this.splitSentences(el, segmenter).forEach(({ text, range }) => {
+                sentences.push({ text, range, block: el, isHeading });
+            });
+        });
+
+        return sentences.slice(0, this.MAX_SENTENCES);
     },
 
     /**
-     * Create tooltip with description
+     * Navigation, ads, controls and hidden text are not read.
      */
-    createTooltip(description) {
-        if (!description) return;
+    isSkipped(el, root) {
+        let node = el;
+        while (node && node !== root) {
+            if (node.matches(this.SKIP_SELECTOR) || AccessibleName.isHidden(node)) return true;
+            if (this.AD_PATTERN.test(`${node.id || ''} ${typeof node.className === 'string' ? node.className : ''}`)) return true;
+            if (/^advertisement$/i.test(node.getAttribute('aria-label') || '')) return true;
 
-        const tooltip = document.createElement('div');
-        tooltip.className = 'webguide-tooltip';
-        tooltip.textContent = description;
-        tooltip.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            z-index: 2147483646;
-            pointer-events: none;
-        `;
-        
-        document.body.appendChild(tooltip);
-        this.currentTooltip = tooltip;
+            // Page-level header/footer only; an article's own header is content
+            if (['HEADER', 'FOOTER'].includes(node.tagName) && !node.parentElement?.closest('article, main, [role="main"]')) {
+                return true;
+            }
+            node = node.parentElement || node.getRootNode().host || null;
+        }
+        return false;
     },
 
     /**
-     * Select arrow side to avoid overlapping tooltip area above target.
+     * Split a block's visible text into sentences, each with a DOM range so
+     * it can be highlighted in place.
      */
-    getArrowSide(rect) {
-        const minSideSpace = 130;
-        const spaceLeft = rect.left;
-        const spaceRight = window.innerWidth - rect.right;
+    splitSentences(block, segmenter) {
+        const nodes = [];
+        let fullText = '';
+        const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => {
+                const parent = node.parentElement;
+                if (!parent || (parent !== block && (parent.matches(this.SKIP_SELECTOR) || AccessibleName.isHidden(parent)))) {
+                    return NodeFilter.FILTER_REJECT;
+                }
+                return NodeFilter.FILTER_ACCEPT;
+            },
+        });
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            nodes.push({ node, start: fullText.length });
+            fullText += node.data;
+        }
 
-        if (spaceRight >= minSideSpace) return 'right';
-        if (spaceLeft >= minSideSpace) return 'left';
-        return 'top';
+        const segments = segmenter
+            ? [...segmenter.segment(fullText)].map(part => ({ index: part.index, segment: part.segment }))
+            : [...fullText.matchAll(/[^.!?]+(?:[.!?]+|$)/g)].map(match => ({ index: match.index, segment: match[0] }));
+
+        const locate = (offset) => {
+            let entry = nodes[0];
+            for (const candidate of nodes) {
+                if (candidate.start > offset) break;
+                entry = candidate;
+            }
+            return { node: entry.node, offset: Math.min(offset - entry.start, entry.node.length) };
+        };
+
+        const sentences = [];
+        segments.forEach(({ index, segment }) => {
+            const text = segment.replace(/\s+/g, ' ').trim();
+            if (!/[\p{L}\p{N}]/u.test(text)) return;
+
+            const start = index + (segment.length - segment.trimStart().length);
+            const end = index + segment.trimEnd().length;
+            const range = document.createRange();
+            const from = locate(start);
+            const to = locate(end);
+            range.setStart(from.node, from.offset);
+            range.setEnd(to.node, to.offset);
+            sentences.push({ text, range });
+        });
+        return sentences;
     },
 
-    clamp(value, min, max) {
-        return Math.min(max, Math.max(min, value));
+    showSentence(sentence) {
+        this.clearHighlight();
+        if (!DeepDOM.isAttached(sentence.block)) return;
+
+        if (typeof Highlight === 'function' && CSS.highlights) {
+            CSS.highlights.set(this.HIGHLIGHT_NAME, new Highlight(sentence.range));
+        }
+        sentence.block.classList.add('webguide-reading-block');
+        this.activeBlock = sentence.block;
+
+        const rect = sentence.range.getBoundingClientRect();
+        if (rect.top < 0 || rect.bottom > window.innerHeight) {
+            sentence.block.scrollIntoView({ block: 'center', behavior: PageNavigator.getScrollBehavior() });
+        }
+    },
+
+    clearHighlight() {
+        if (CSS.highlights) {
+            CSS.highlights.delete(this.HIGHLIGHT_NAME);
+        }
+        if (this.activeBlock) {
+            this.activeBlock.classList.remove('webguide-reading-block');
+            this.activeBlock = null;
+        }
     },
+};
+
+// ============================================
+// FEATURE: MICROPHONE INDICATOR
+// ============================================
+/**
+ * Persistent badge shown while hands-free listening is on in the guide
+ * panel, so it is always obvious that the microphone is live.
+ */
+const MicIndicator = {
+    indicator: null,
 
     /**
-     * Reposition highlight, arrow, and tooltip to follow the target while scrolling.
+     * @param {'listening'|'paused'|'awake'} mode
+     * @param {string} wakePhrase
      */
-    updateGuidePositions() {
-        if (!this.currentTargetElement || !this.currentHighlight || !this.currentArrow) return;
-        if (!document.contains(this.currentTargetElement)) {
-            this.clearHighlights();
-            return;
-        }
+    show(mode, wakePhrase) {
+        if (!this.indicator || !DeepDOM.isAttached(this.indicator)) {
+            const indicator = document.createElement('div');
+            indicator.className = 'webguide-mic-indicator';
+            indicator.setAttribute('role', 'status');
 
-        const rect = this.currentTargetElement.getBoundingClientRect();
-        const padding = this.currentIsInteractive ? 10 : 18;
-        const highlightTop = rect.top - padding;
-        const highlightLeft = rect.left - padding;
+            const dot = document.createElement('span');
+            dot.className = 'webguide-mic-dot';
+            dot.setAttribute('aria-hidden', 'true');
+            indicator.appendChild(dot);
 
-        this.currentHighlight.style.top = `${highlightTop}px`;
-        this.currentHighlight.style.left = `${highlightLeft}px`;
-        this.currentHighlight.style.width = `${rect.width + padding * 2}px`;
-        this.currentHighlight.style.height = `${rect.height + padding * 2}px`;
+            const label = document.createElement('span');
+            label.className = 'webguide-mic-label';
+            indicator.appendChild(label);
 
-        const side = this.getArrowSide(rect);
-        if (side !== this.currentArrowSide) {
-            this.setArrowVisual(this.currentArrow, side, this.currentIsInteractive);
-            this.currentArrowSide = side;
+            document.body.appendChild(indicator);
+            this.indicator = indicator;
         }
 
-        let arrowTop = 0;
-        let arrowLeft = 0;
-        if (side === 'right') {
-            arrowTop = rect.top + (rect.height / 2) - 60;
-            arrowLeft = rect.right + 16;
-        } else if (side === 'left') {
-            arrowTop = rect.top + (rect.height / 2) - 60;
-            arrowLeft = rect.left - 162;
-        } else {
-            arrowTop = rect.top - 160;
-            arrowLeft = rect.left + (rect.width / 2) - 60;
+        const labels = {
+            listening: `Web Guide is listening. Say "${wakePhrase}".`,
+            awake: 'Web Guide is listening for your request...',
+            paused: 'Web Guide is speaking. Microphone paused.',
+        };
+        this.indicator.dataset.mode = mode;
+        this.indicator.querySelector('.webguide-mic-label').textContent = labels[mode] || labels.listening;
+        return true;
+    },
+
+    hide() {
+        if (this.indicator) {
+            this.indicator.remove();
+            this.indicator = null;
         }
+    },
+};
 
-        this.currentArrow.style.top = `${this.clamp(arrowTop, 8, window.innerHeight - 158)}px`;
-        this.currentArrow.style.left = `${this.clamp(arrowLeft, 8, window.innerWidth - 158)}px`;
+// ============================================
+// FEATURE: PAGE CHANGE TRACKING
+// ============================================
+/**
+ * Single-page apps change route with the history API and re-render parts of
+ * the page without a page load. Route changes are picked up from the
+ * Navigation API, which reports pushState/replaceState calls made by the
+ * page's own scripts (patching history here would only see this isolated
+ * world), with popstate and hashchange as fallbacks; re-renders from a
+ * MutationObserver. Once the page is quiet again the highlight is moved onto
+ * the re-rendered target and the extension is told about route changes.
+ */
+const PageWatcher = {
+    SETTLE_MS: 400, // Changes are handled once the page has been quiet this long
+    MAX_WAIT_MS: 2000, // ...or after this long on pages that never go quiet (tickers, feeds)
+    observer: null,
+    settleTimer: null,
+    pendingSince: 0,
+    lastRoute: '',
 
-        if (this.currentTooltip) {
-            let tooltipTop = rect.top - 112;
-            let tooltipLeft = rect.left + (rect.width / 2);
-            let tooltipTransform = 'translateX(-50%)';
+    start() {
+        if (this.observer) return;
+        this.lastRoute = this.getRoute(location.href);
 
-            if (side === 'right') {
-                tooltipTop = rect.top - 82;
-            } else if (side === 'left') {
-                tooltipTop = rect.top - 82;
-            } else if (tooltipTop < 10) {
-                tooltipTop = rect.bottom + 16;
+        const onNavigation = () => this.scheduleSettle();
+        window.navigation?.addEventListener('currententrychange', onNavigation);
+        window.addEventListener('popstate', onNavigation);
+        window.addEventListener('hashchange', onNavigation);
+
+        this.observer = new MutationObserver((records) => {
+            if (records.some(record => this.isPageMutation(record))) {
+                this.scheduleSettle();
             }
+        });
+        this.observer.observe(document.documentElement, { childList: true, subtree: true });
+    },
 
-            this.currentTooltip.style.top = `${this.clamp(tooltipTop, 10, window.innerHeight - 90)}px`;
-            this.currentTooltip.style.left = `${this.clamp(tooltipLeft, 16, window.innerWidth - 16)}px`;
-            this.currentTooltip.style.transform = tooltipTransform;
+    scheduleSettle() {
+        if (!this.settleTimer) {
+            this.pendingSince = Date.now();
+        } else if (Date.now() - this.pendingSince >= this.MAX_WAIT_MS) {
+            return;
         }
+        clearTimeout(this.settleTimer);
+        this.settleTimer = setTimeout(() => this.settle(), this.SETTLE_MS);
     },
 
-    handleViewportChange() {
-        if (this.pendingFrame) return;
-        this.pendingFrame = requestAnimationFrame(() => {
-            this.pendingFrame = null;
-            this.updateGuidePositions();
-        });
-    },
+    settle() {
+        this.settleTimer = null;
+        VisualGuide.reanchor();
 
-    enableViewportTracking() {
-        if (!this.viewportHandler) {
-            this.viewportHandler = this.handleViewportChange.bind(this);
+        // Checked here as well as on navigation events, which not every
+        // browser fires for history API changes
+        const route = this.getRoute(location.href);
+        if (route !== this.lastRoute) {
+            this.lastRoute = route;
+            this.notify('route');
         }
-        window.addEventListener('scroll', this.viewportHandler, true);
-        window.addEventListener('resize', this.viewportHandler);
     },
 
     /**
-     * Clear all visual guides
+     * Whether a mutation changed the page itself rather than our own
+     * overlays (highlight, arrow, badges, bubble).
      */
-    clearHighlights() {
-        if (this.pendingFrame) {
-            cancelAnimationFrame(this.pendingFrame);
-            this.pendingFrame = null;
-        }
-        if (this.viewportHandler) {
-            window.removeEventListener('scroll', this.viewportHandler, true);
-            window.removeEventListener('resize', this.viewportHandler);
-        }
-        if (this.dismissHandler) {
-            document.removeEventListener('click', this.dismissHandler);
-            this.dismissHandler = null;
-        }
-        if (this.currentHighlight) {
-            this.currentHighlight.remove();
-            this.currentHighlight = null;
-        }
-        if (this.currentArrow) {
-            this.currentArrow.remove();
-            this.currentArrow = null;
-        }
-        if (this.currentTooltip) {
-            this.currentTooltip.remove();
-            this.currentTooltip = null;
-        }
-        
-        // Also remove any orphaned elements
-        document.querySelectorAll('.webguide-highlight, .webguide-arrow, .webguide-tooltip')
-            .forEach(el => el.remove());
-
-        this.currentTargetElement = null;
-        this.currentDescription = '';
-        this.currentIsInteractive = true;
-        this.currentArrowSide = 'top';
+    isPageMutation(record) {
+        return [...record.addedNodes, ...record.removedNodes].some(node =>
+            node.nodeType === Node.ELEMENT_NODE && !node.getAttribute('class')?.startsWith('webguide-'));
     },
 
     /**
-     * EXTENSIBLE: Animated path guidance (placeholder for future)
+     * The part of the address that identifies the view. In-page anchors
+     * (#section-2) do not count; hash routes (#/inbox, #inbox) do.
      */
-    showAnimatedPath(elements) {
-        // TODO: Implement animated path between multiple elements
-        // This is a placeholder for the feature-first extensibility
-        console.log('Animated path feature - to be implemented');
-        
-        // For now, highlight the first element
-        if (elements.length > 0) {
-            this.highlightElement(elements[0].selector, elements[0].description);
+    getRoute(href) {
+        const url = new URL(href);
+        const hash = url.hash.slice(1);
+        url.hash = '';
+        if (!hash) return url.href;
+
+        let isAnchor = false;
+        try {
+            isAnchor = !/^!?\//.test(hash) && Boolean(document.getElementById(decodeURIComponent(hash)));
+        } catch (e) {
+            // Malformed escape: treat it as a route
         }
-    }
+        return isAnchor ? url.href : `${url.href}#${hash}`;
+    },
+
+    /**
+     * Tell the guide panel and the background worker the page changed.
+     * @param {'route'|'targetLost'} reason
+     * @param {Object} details
+     */
+    notify(reason, details = {}) {
+        chrome.runtime.sendMessage({
+            action: 'pageChanged',
+            reason,
+            url: location.href,
+            title: document.title,
+            ...details,
+        }).catch(() => {
+            // Extension reloaded or no listener; nothing to update
+        });
+    },
 };
 
 // ============================================
@@ -707,20 +3176,80 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             break;
             
         case 'highlightElement':
-            const success = VisualGuide.highlightElement(message.selector, message.description);
-            sendResponse({ success });
+            sendResponse(VisualGuide.highlightElement({
+                selector: message.selector,
+                description: message.description,
+                locator: message.locator,
+            }));
             break;
             
         case 'clearHighlights':
             VisualGuide.clearHighlights();
+            InfoBubble.hide();
             sendResponse({ success: true });
             break;
             
         case 'showPath':
-            // Future: animated path feature
-            VisualGuide.showAnimatedPath(message.elements);
+            sendResponse(VisualGuide.showAnimatedPath(message.steps));
+            break;
+
+        case 'pathStep':
+            sendResponse(VisualGuide.stepPath(message.direction === 'back' ? -1 : 1));
+            break;
+
+        case 'pageCommand':
+            sendResponse(PageNavigator.run(message.intent));
+            break;
+
+        case 'readAloud':
+            sendResponse(ReadAloud.handle(message));
+            break;
+
+        case 'showMicIndicator':
+            sendResponse({ success: MicIndicator.show(message.mode, message.wakePhrase) });
+            break;
+
+        case 'hideMicIndicator':
+            MicIndicator.hide();
+            sendResponse({ success: true });
+            break;
+
+        case 'ping':
+            sendResponse({ ready: true });
+            break;
+
+        case 'explainElement': {
+            // Resolve the right-clicked element and show a placeholder while the model works
+            const element = ContextTarget.resolve();
+            if (!element) {
+                sendResponse({ success: false });
+                break;
+            }
+            InfoBubble.show(message.pendingText || 'Let me take a look...', { anchor: 'context', busy: true });
+            sendResponse({ success: true, target: ContextTarget.describe(element) });
+            break;
+        }
+
+        case 'showBubble':
+            sendResponse({ success: InfoBubble.show(message.text, { anchor: message.anchor, busy: message.busy }) });
+            break;
+
+        case 'hideBubble':
+            InfoBubble.hide();
             sendResponse({ success: true });
             break;
+
+        case 'formGuide':
+            FormGuide.handle(message)
+                .then(sendResponse)
+                .catch(error => sendResponse({ active: false, message: error.message }));
+            break;
+
+        case 'executeAction':
+            ActionExecutor.execute(message)
+                .then(sendResponse)
+                .catch(error => sendResponse({ success: false, message: error.message }));
+            break;
             
         default:
             sendResponse({ error: 'Unknown action' });
@@ -736,3 +3265,9 @@ console.log('Web Guide content script loaded');
 
 // Clear any existing highlights on page load
 VisualGuide.clearHighlights();
+
+// Remember right-clicked elements for the context menu
+ContextTarget.track();
+
+// Follow client-side navigation and re-renders
+PageWatcher.start();
@@ -0,0 +1,369 @@
+/**
+ * Web Guide Extension - Guide Assistant
+ *
+ * Everything between page data and a validated guide response, shared by the
+ * guide panel and the background service worker:
+ * - Builds prompts from extracted page data
+ * - Calls the selected model provider and validates/repairs its reply
+ * - Maps element indexes in the reply back to selectors and locators
+ * - Formats reply text for display
+ *
+ * Depends on LLMProviders (llm-providers.js), GuideResponse (guide-response.js)
+ * and Languages (languages.js).
+ */
+
+const GuideAssistant = {
+    getIndexedInteractiveElements(pageData) {
+        return (pageData.interactiveElements || []).slice(0, 20).map((element, index) => ({
+            index,
+            tag: element.tag,
+            type: element.type,
+            role: element.role || null,
+            name: element.name || element.text || element.ariaLabel || null,
+            description: element.description || null,
+            states: element.states && Object.keys(element.states).length ? element.states : undefined,
+            href: element.href || null,
+        }));
+    },
+
+    /**
+     * Compact form outline for the prompt: labels, types and whether each field is required.
+     */
+    getFormSummary(pageData) {
+        return (pageData.forms || []).slice(0, 3).map(form => ({
+            action: form.action || null,
+            fields: form.inputs
+                .filter(input => !['hidden', 'submit', 'button'].includes(input.type))
+                .map(input => ({
+                    label: input.label || input.name || null,
+                    type: input.type,
+                    required: Boolean(input.states?.required),
+                })),
+        }));
+    },
+
+    /**
+     * @param {'summarize'|'guide'|'navigate'|'explain'} type
+     * @param {Object} pageData - Result of the content script's getPageContent.
+     * @param {string|null} customQuery - What the user asked, for navigate.
+     * @param {boolean} hasHistory - Whether earlier turns are sent with the prompt.
+     * @param {Object|null} focusElement - Element the user right-clicked, if any.
+     * @param {Object|null} language - Output of Languages.resolve(); replies are
+     *     written in language.reply.
+     */
+    buildPrompt(type, pageData, customQuery, hasHistory = false, focusElement = null, language = null) {
+        const indexedInteractiveElements = this.getIndexedInteractiveElements(pageData);
+        const formSummary = this.getFormSummary(pageData);
+        const focusNote = focusElement
+            ? `
+The user right-clicked this element and wants help starting from it:
+${JSON.stringify(focusElement)}
+`
+            : '';
+        const followUpNote = hasHistory
+            ? `
+This message continues the conversation above. If you asked a clarification question, treat the user's message as the answer to it.
+Elements you highlighted earlier are noted in your previous replies; element indexes below are current and may differ from before.
+`
+            : '';
+        const languageNote = language ? this.buildLanguageNote(type, language) : '';
+
+        const baseContext = `
+You are a helpful web accessibility guide. Your role is to help users understand web pages and navigate them effectively.
+You speak in a friendly, clear, and concise manner - like a helpful tour guide.
+
+Current Page Information:
+- URL: ${pageData.url}
+- Title: ${pageData.title}
+- Main Content Summary: ${pageData.textContent.substring(0, 3000)}
+- Interactive Elements (indexed): ${JSON.stringify(indexedInteractiveElements)}
+- Navigation Links: ${JSON.stringify(pageData.navigationLinks.slice(0, 15))}
+- Forms: ${formSummary.length ? JSON.stringify(formSummary) : 'none'}
+- Page Structure: ${JSON.stringify(pageData.headings)}
+${focusNote}${followUpNote}${languageNote}`;
+
+        const responseFormat = `
+RESPONSE FORMAT (strict):
+Reply with a single JSON object and nothing else:
+{
+  "speech": "text to read aloud",
+  "display": "text to show on screen",
+  "clarification": "one short question, or null",
+  "elementIndex": NUMBER_OR_NULL,
+  "elementLabel": "short tooltip label, or null",
+  "confidence": NUMBER_FROM_0_TO_1,
+  "alternatives": [{"elementIndex": NUMBER, "label": "short label"}],
+  "steps": [{"elementIndex": NUMBER_OR_NULL, "label": "short label"}]
+}
+- elementIndex, alternatives and steps may only use indexes from the Interactive Elements list above.
+- Use plain text in speech and display: no markdown, no bullet points.`;
+
+        const actionRules = `
+If the user's request is unclear, not aligned with anything on the page, or could reflect a speech impairment/misheard phrase, ask one short clarification question instead:
+put it in "clarification", repeat it in "speech" and "display", set "elementIndex" to null and leave "alternatives" and "steps" empty.
+
+Output rules (strict):
+- "display" and "speech" hold exactly 1-2 short, simple, concrete next-step sentences.
+- Each sentence must start with an action verb (for example: "Click", "Review", "Upload", "Open", "Select", "Enter").
+- No preamble, no filler.
+
+Element rules:
+- "elementIndex" is the single best button/link/input the user should act on next.
+- "elementLabel" should be a short label suitable for a tooltip.
+- "confidence" is how sure you are that this element is right.
+- "alternatives" lists up to 3 other elements that could also help, if any.
+
+If reaching the goal takes several clicks in a row (for example: open a menu, then choose settings, then the right option), list every step in order in "steps":
+- Only include steps when 2-5 steps are really needed; otherwise leave "steps" empty.
+- The first step must be the same element as "elementIndex".
+- Use an elementIndex from the list above when the element is on the page now; use null for elements that only appear after an earlier step, and make the label name it clearly.
+- Each label should be a short tooltip, for example "Open account menu".
+
+If the user needs to fill in one of the forms above, tell them they can say "help me fill out this form" to go through it one field at a time.`;
+
+        const prompts = {
+            summarize: `${baseContext}
+
+Task: Summarize this page for the user.
+Please provide:
+1. A brief explanation of what this page is (1-2 sentences)
+2. The main purpose or content of the page
+3. Key sections or features available
+
+Keep "display" and "speech" concise (under 100 words) and speak naturally as if talking to the user.
+Set "clarification" and "elementIndex" to null, "confidence" to 1, and leave "alternatives" and "steps" empty.
+${responseFormat}`,
+
+            guide: `${baseContext}
+
+Task: Answer this exact question for the user: "What's the best next action?"${focusElement ? '\nStart from the element the user right-clicked.' : ''}
+Please provide:
+1. One clear recommended next action
+2. 1-2 short alternatives
+${actionRules}
+${responseFormat}`,
+
+            explain: `${baseContext}
+
+Task: Explain the element the user right-clicked, in plain language.
+Say what it is and what will happen if they use it (for example: opens another page, submits a form, opens a menu, changes a setting).
+Mention its current state when it matters (for example: disabled, checked, expanded).
+Keep "display" and "speech" to 1-3 short sentences.
+If the element is in the Interactive Elements list, set "elementIndex" to its index; otherwise set it to null.
+Set "clarification" to null, "confidence" to 1, and leave "alternatives" and "steps" empty.
+${responseFormat}`,
+
+        navigate: `${baseContext}
+
+User Request: "${customQuery}"
+
+Task: Help the user find what they're looking for.
+1. Identify if the requested item/action exists on this page
+2. If yes, explain where it is and how to access it
+3. If no, suggest the closest alternative or explain what's available
+Even if no exact match exists, choose the closest practical next step and still set "elementIndex".
+${actionRules}
+${responseFormat}`
+        };
+
+        return prompts[type] || prompts.summarize;
+    },
+
+    /**
+     * Tell the model which language to answer in and, for a page in another
+     * language, how to refer to what is on it.
+     */
+    buildLanguageNote(type, language) {
+        const replyName = Languages.getName(language.reply);
+        const lines = [`Write "speech", "display", "clarification" and every label in ${replyName}.`];
+
+        if (language.page && !Languages.isSame(language.page, language.reply)) {
+            const pageName = Languages.getName(language.page);
+            lines.push(`This page is written in ${pageName}. Translate what you tell the user about it into ${replyName}, but when you name a button, link or field, also give its text exactly as it appears on the page so the user can find it.`);
+            if (type === 'summarize') {
+                lines.push(`Start the summary by saying that the page is in ${pageName}.`);
+            }
+        }
+
+        return `
+Language:
+${lines.map(line => `- ${line}`).join('\n')}
+`;
+    },
+
+    /**
+     * Send a prompt to whichever model provider is selected in settings.
+     * @param {string} prompt
+     * @param {Array<{role: string, text: string}>} history - Earlier conversation turns.
+     * @param {Object} [options]
+     * @param {Function} [options.onText] - Stream the reply, called with the text so far.
+     * @param {AbortSignal} [options.signal] - Cancels the request.
+     * @returns {Promise<string>} Model reply text.
+     */
+    async callModel(prompt, history = [], { onText = null, signal } = {}) {
+        return LLMProviders.generate(prompt, {
+            temperature: 0.7,
+            maxOutputTokens: 800,
+            responseSchema: GuideResponse.SCHEMA,
+            history,
+            signal,
+            ...(onText ? { onText } : {}),
+        });
+    },
+
+    /**
+     * Get a validated structured reply, asking the model once to repair an
+     * invalid one before giving up.
+     * @param {string} prompt
+     * @param {Object} pageData
+     * @param {Array<{role: string, text: string}>} history - Earlier conversation turns.
+     * @param {Function} [onRepair] - Called before the repair request is sent.
+     * @param {Object} [streamOptions] - onText and signal, see callModel(). Only
+     *     the first attempt is streamed; a repaired reply arrives whole.
+     * @returns {Promise<Object>} Validated guide response.
+     */
+    async getGuideResponse(prompt, pageData, history = [], onRepair = null, streamOptions = {}) {
+        const elementCount = this.getIndexedInteractiveElements(pageData).length;
+        let reply = await this.callModel(prompt, history, streamOptions);
+        let result = GuideResponse.parse(reply, elementCount);
+
+        if (!result.ok) {
+            console.warn('Invalid model response, requesting repair:', result.errors);
+            if (onRepair) onRepair();
+            reply = await this.callModel(GuideResponse.buildRepairPrompt(prompt, reply, result.errors), history, {
+                signal: streamOptions.signal,
+            });
+            result = GuideResponse.parse(reply, elementCount);
+        }
+
+        if (!result.ok) {
+            console.error('Model response still invalid after repair:', result.errors);
+            throw new Error('I could not understand the answer I got back. Please try asking again.');
+        }
+
+        return result.value;
+    },
+
+    resolveHighlightTarget(highlightData, pageData) {
+        const interactiveElements = pageData?.interactiveElements || [];
+        const rawIndex = highlightData?.elementIndex;
+        const parsedIndex = rawIndex === null || rawIndex === undefined ? NaN : Number(rawIndex);
+        let selector = null;
+        let locator = null;
+        let description = typeof highlightData?.description === 'string' ? highlightData.description.trim() : '';
+
+        if (Number.isInteger(parsedIndex) && parsedIndex >= 0 && parsedIndex < interactiveElements.length) {
+            const recommendedElement = interactiveElements[parsedIndex];
+            selector = recommendedElement.selector;
+            locator = recommendedElement.locator || null;
+
+            if (!description) {
+                description =
+                    recommendedElement.name ||
+                    recommendedElement.text ||
+                    recommendedElement.ariaLabel ||
+                    'Recommended action';
+            }
+        }
+
+        if (!selector && typeof highlightData?.selector === 'string' && highlightData.selector.trim()) {
+            selector = highlightData.selector.trim();
+        }
+
+        if (!selector) return null;
+        if (!description) description = 'Recommended action';
+
+        return { selector, description, locator };
+    },
+
+    /**
+     * Map response steps onto page elements. Steps without a known index are
+     * kept with their label so the content script can find them once they appear.
+     */
+    resolvePathSteps(steps, pageData) {
+        return steps
+            .map((step) => {
+                const target = this.resolveHighlightTarget(
+                    { elementIndex: step.elementIndex, description: step.label },
+                    pageData
+                );
+                return target || { selector: null, description: step.label, locator: null };
+            })
+            .filter(step => step.selector || step.description);
+    },
+
+    /**
+     * The recommended element followed by the alternatives, as highlight
+     * targets. Used to cycle through suggestions one at a time.
+     */
+    collectSuggestions(response, pageData) {
+        const candidates = [
+            { elementIndex: response.elementIndex, description: response.elementLabel },
+            ...response.alternatives.map(alt => ({ elementIndex: alt.elementIndex, description: alt.label })),
+        ];
+        const seen = new Set();
+        return candidates
+            .map(candidate => this.resolveHighlightTarget(candidate, pageData))
+            .filter((target) => {
+                if (!target || seen.has(target.selector)) return false;
+                seen.add(target.selector);
+                return true;
+            });
+    },
+
+    formatActionStepResponse(text) {
+        const cleaned = String(text || '')
+            .replace(/\r/g, '')
+            .replace(/^\s*[-*•]\s*/gm, '')
+            .replace(/^\s*\d+[.)]\s*/gm, '')
+            .trim();
+
+        if (!cleaned) {
+            return 'Click the recommended option to continue.';
+        }
+
+        const sentenceLikeParts = cleaned
+            .split(/\n+/)
+            .flatMap(line => line.split(/(?<=[.!?])\s+/))
+            .map(part => part.trim())
+            .filter(Boolean);
+
+        const actionLines = sentenceLikeParts.slice(0, 2).map((line) => {
+            const normalized = line.replace(/\s+/g, ' ').trim();
+            return normalized.charAt(0).toUpperCase() + normalized.slice(1);
+        });
+
+        if (actionLines.length === 0) {
+            return 'Click the recommended option to continue.';
+        }
+
+        return actionLines.join('\n');
+    },
+
+    /**
+     * When the model is unsure, mention the other candidates it suggested.
+     */
+    describeAlternatives(response) {
+        if (response.confidence >= 0.5 || !response.alternatives.length) return '';
+        const labels = response.alternatives.map(alt => alt.label).join(', ');
+        return `I'm not completely sure. You could also try: ${labels}.`;
+    },
+
+    // ============================================
+    // CONVERSATION TURNS
+    // ============================================
+    describeUserTurn(type, customQuery) {
+        if (type === 'navigate' && customQuery) return customQuery;
+        if (type === 'guide') return "What's the best next action?";
+        if (type === 'explain') return 'What is this element and what does it do?';
+        return 'Summarize this page.';
+    },
+
+    describeAssistantTurn(response, highlightedLabel) {
+        let assistantText = response.clarification || response.display;
+        if (highlightedLabel) {
+            assistantText += `\n(Highlighted on the page: "${highlightedLabel}")`;
+        }
+        return assistantText;
+    },
+};
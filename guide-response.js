@@ -0,0 +1,279 @@
+/**
+ * Web Guide Extension - Structured Guide Responses
+ *
+ * Defines the JSON shape every model reply must follow, validates replies
+ * against the page they were generated for, and builds the repair prompt used
+ * when a reply is malformed.
+ *
+ * The schema is written once in a provider-neutral form (lowercase types plus
+ * `nullable`) and converted by llm-providers.js for each backend.
+ */
+
+const GuideResponse = {
+    MAX_STEPS: 5,
+    MAX_ALTERNATIVES: 3,
+
+    SCHEMA: {
+        type: 'object',
+        properties: {
+            speech: {
+                type: 'string',
+                description: 'What to say aloud to the user. Plain text, no markdown.',
+            },
+            display: {
+                type: 'string',
+                description: 'What to show in the Web Guide window. Plain text, may use line breaks.',
+            },
+            clarification: {
+                type: 'string',
+                nullable: true,
+                description: 'One short question when the request is unclear; otherwise null.',
+            },
+            elementIndex: {
+                type: 'integer',
+                nullable: true,
+                description: 'Index of the interactive element to highlight, or null.',
+            },
+            elementLabel: {
+                type: 'string',
+                nullable: true,
+                description: 'Short tooltip label for the highlighted element, or null.',
+            },
+            confidence: {
+                type: 'number',
+                description: 'How sure you are that elementIndex is right, from 0 to 1.',
+            },
+            alternatives: {
+                type: 'array',
+                description: 'Up to 3 other elements that could also help.',
+                items: {
+                    type: 'object',
+                    properties: {
+                        elementIndex: { type: 'integer' },
+                        label: { type: 'string' },
+                    },
+                    required: ['elementIndex', 'label'],
+                },
+            },
+            steps: {
+                type: 'array',
+                description: 'Ordered steps when the goal needs several clicks; otherwise empty.',
+                items: {
+                    type: 'object',
+                    properties: {
+                        elementIndex: { type: 'integer', nullable: true },
+                        label: { type: 'string' },
+                    },
+                    required: ['elementIndex', 'label'],
+                },
+            },
+        },
+        required: ['speech', 'display', 'clarification', 'elementIndex', 'elementLabel', 'confidence', 'alternatives', 'steps'],
+    },
+
+    /**
+     * Parse and validate raw model output.
+     * @param {string} text - Raw model reply.
+     * @param {number} elementCount - Number of indexed interactive elements sent in the prompt.
+     * @returns {{ok: boolean, value: Object|null, errors: string[]}}
+     */
+    parse(text, elementCount) {
+        let data;
+        try {
+            data = JSON.parse(this.stripCodeFence(text));
+        } catch (error) {
+            return { ok: false, value: null, errors: [`Reply is not valid JSON (${error.message}).`] };
+        }
+
+        return this.validate(data, elementCount);
+    },
+
+    /**
+     * Check types and that every element index points at a real element.
+     */
+    validate(data, elementCount) {
+        const errors = [];
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { ok: false, value: null, errors: ['Reply must be a JSON object.'] };
+        }
+
+        const isIndex = value => Number.isInteger(value) && value >= 0 && value < elementCount;
+        const isText = value => typeof value === 'string' && value.trim().length > 0;
+
+        const clarification = isText(data.clarification) ? data.clarification.trim() : null;
+        if (data.clarification !== null && data.clarification !== undefined && typeof data.clarification !== 'string') {
+            errors.push('clarification must be a string or null.');
+        }
+
+        if (!clarification) {
+            if (!isText(data.speech)) errors.push('speech must be a non-empty string.');
+            if (!isText(data.display)) errors.push('display must be a non-empty string.');
+        }
+
+        if (data.elementIndex !== null && data.elementIndex !== undefined && !isIndex(data.elementIndex)) {
+            errors.push(`elementIndex must be null or an integer from 0 to ${elementCount - 1}.`);
+        }
+
+        if (typeof data.confidence !== 'number' || data.confidence < 0 || data.confidence > 1) {
+            errors.push('confidence must be a number from 0 to 1.');
+        }
+
+        const alternatives = Array.isArray(data.alternatives) ? data.alternatives : [];
+        if (data.alternatives !== undefined && !Array.isArray(data.alternatives)) {
+            errors.push('alternatives must be an array.');
+        }
+        alternatives.forEach((alt, i) => {
+            if (!isIndex(alt?.elementIndex)) errors.push(`alternatives[${i}].elementIndex is not a valid index.`);
+            if (!isText(alt?.label)) errors.push(`alternatives[${i}].label must be a non-empty string.`);
+        });
+
+        const steps = Array.isArray(data.steps) ? data.steps : [];
+        if (data.steps !== undefined && !Array.isArray(data.steps)) {
+            errors.push('steps must be an array.');
+        }
+        steps.forEach((step, i) => {
+            if (step?.elementIndex !== null && !isIndex(step?.elementIndex)) {
+                errors.push(`steps[${i}].elementIndex must be null or a valid index.`);
+            }
+            if (!isText(step?.label)) errors.push(`steps[${i}].label must be a non-empty string.`);
+        });
+
+        if (errors.length) {
+            return { ok: false, value: null, errors };
+        }
+
+        return {
+            ok: true,
+            errors: [],
+            value: {
+                speech: isText(data.speech) ? data.speech.trim() : '',
+                display: isText(data.display) ? data.display.trim() : '',
+                clarification,
+                elementIndex: clarification ? null : (data.elementIndex ?? null),
+                elementLabel: isText(data.elementLabel) ? data.elementLabel.trim() : null,
+                confidence: data.confidence,
+                alternatives: alternatives.slice(0, this.MAX_ALTERNATIVES).map(alt => ({
+                    elementIndex: alt.elementIndex,
+                    label: alt.label.trim(),
+                })),
+                steps: clarification ? [] : steps.slice(0, this.MAX_STEPS).map(step => ({
+                    elementIndex: step.elementIndex,
+                    label: step.label.trim(),
+                })),
+            },
+        };
+    },
+
+    /**
+     * Read the top-level fields of a reply that is still streaming in, so
+     * speech and the highlight can start before the reply is complete.
+     * Strings are reported as far as they have arrived; numbers, booleans
+     * and null only once finished; arrays and objects are skipped.
+     * @param {string} text - Reply received so far.
+     * @returns {Object<string, {value: *, complete: boolean}>}
+     */
+    parsePartial(text) {
+        const fields = {};
+        const source = String(text || '');
+        let i = source.indexOf('{');
+        if (i === -1) return fields;
+
+        let depth = 0;
+        let key = null;
+        let inValue = false;
+
+        while (i < source.length) {
+            const ch = source[i];
+
+            if (ch === '"') {
+                let end = i + 1;
+                while (end < source.length && source[end] !== '"') {
+                    end += source[end] === '\\' ? 2 : 1;
+                }
+                const closed = end < source.length;
+                const value = this.decodePartialString(source.slice(i + 1, Math.min(end, source.length)));
+
+                if (depth === 1) {
+                    if (inValue) {
+                        fields[key] = { value, complete: closed };
+                        inValue = false;
+                    } else if (closed) {
+                        key = value;
+                    }
+                }
+                if (!closed) break;
+                i = end + 1;
+                continue;
+            }
+
+            if (ch === '{' || ch === '[') {
+                depth++;
+            } else if (ch === '}' || ch === ']') {
+                depth--;
+                if (depth === 0) break;
+                if (depth === 1) inValue = false;
+            } else if (depth === 1 && ch === ':') {
+                inValue = true;
+            } else if (depth === 1 && ch === ',') {
+                inValue = false;
+            } else if (depth === 1 && inValue && /[-\dtfn]/.test(ch)) {
+                const match = /^[^,}\]\s]+/.exec(source.slice(i));
+                if (i + match[0].length >= source.length) break;
+                try {
+                    fields[key] = { value: JSON.parse(match[0]), complete: true };
+                } catch (e) {
+                    // Not a JSON literal; leave the field unreported
+                }
+                inValue = false;
+                i += match[0].length;
+                continue;
+            }
+
+            i++;
+        }
+
+        return fields;
+    },
+
+    /**
+     * Decode the body of a JSON string that may be cut off mid-escape.
+     */
+    decodePartialString(raw) {
+        const trimmed = raw.replace(/\\(u[0-9a-fA-F]{0,3})?$/, '');
+        try {
+            return JSON.parse(`"${trimmed}"`);
+        } catch (e) {
+            return trimmed;
+        }
+    },
+
+    /**
+     * Some backends wrap JSON in ```json fences even in JSON mode.
+     */
+    stripCodeFence(text) {
+        return String(text || '')
+            .trim()
+            .replace(/^```(?:json)?\s*/i, '')
+            .replace(/\s*```$/, '')
+            .trim();
+    },
+
+    /**
+     * Ask the model to fix an invalid reply.
+     * @param {string} originalPrompt
+     * @param {string} invalidReply
+     * @param {string[]} errors
+     */
+    buildRepairPrompt(originalPrompt, invalidReply, errors) {
+        return `${originalPrompt}
+
+Your previous reply could not be used:
+${String(invalidReply || '').substring(0, 2000)}
+
+Problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Reply again with only a corrected JSON object that follows the required format exactly.`;
+    },
+};
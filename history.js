@@ -0,0 +1,255 @@
+/**
+ * Web Guide Extension - Usage History Page
+ *
+ * Features:
+ * - Totals and success rates from the background worker's history store
+ *   (see USAGE HISTORY in background.js)
+ * - Commands, found targets, errors and response times per site
+ * - The latest commands with their result and the voice that spoke
+ * - Export the history as JSON, or clear it
+ */
+
+// ============================================
+// DOM ELEMENTS
+// ============================================
+const elements = {
+    totals: document.getElementById('totals'),
+    sitesBody: document.getElementById('sitesBody'),
+    sitesWrap: document.getElementById('sitesWrap'),
+    sitesEmpty: document.getElementById('sitesEmpty'),
+    entriesBody: document.getElementById('entriesBody'),
+    entriesWrap: document.getElementById('entriesWrap'),
+    entriesEmpty: document.getElementById('entriesEmpty'),
+    clearHistoryBtn: document.getElementById('clearHistoryBtn'),
+    exportHistoryBtn: document.getElementById('exportHistoryBtn'),
+    historyStatus: document.getElementById('historyStatus'),
+};
+
+const RECENT_ENTRIES_SHOWN = 100;
+
+const SOURCE_LABELS = {
+    panel: 'Guide panel',
+    page: 'Page',
+    auto: 'On page load',
+};
+
+const REQUEST_LABELS = {
+    summarize: 'Summary',
+    guide: 'What next',
+    navigate: 'Find something',
+    explain: 'Explain element',
+};
+
+// ============================================
+// INITIALIZATION
+// ============================================
+document.addEventListener('DOMContentLoaded', async () => {
+    bindEventListeners();
+    await renderHistory();
+});
+
+function bindEventListeners() {
+    elements.exportHistoryBtn.addEventListener('click', exportHistory);
+    elements.clearHistoryBtn.addEventListener('click', clearHistory);
+
+    // Commands recorded while the page is open
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes.usageHistory) {
+            renderHistory();
+        }
+    });
+}
+
+// ============================================
+// DATA
+// ============================================
+function loadHistory() {
+    return new Promise((resolve) => {
+        chrome.runtime.sendMessage({ action: 'getHistory' }, (response) => {
+            if (chrome.runtime.lastError || !response) {
+                resolve({ entries: [], stats: { pagesAnalyzed: 0, commandsProcessed: 0 } });
+                return;
+            }
+            resolve(response);
+        });
+    });
+}
+
+/**
+ * Counts and rates for a group of entries.
+ * @param {Object[]} entries
+ */
+function summarize(entries) {
+    const lookups = entries.filter(entry => entry.found !== null);
+    const timed = entries.filter(entry => entry.latencyMs !== null);
+
+    return {
+        commands: entries.length,
+        succeeded: entries.filter(entry => !entry.error).length,
+        errors: entries.filter(entry => entry.error).length,
+        lookups: lookups.length,
+        found: lookups.filter(entry => entry.found).length,
+        averageLatencyMs: timed.length
+            ? timed.reduce((total, entry) => total + entry.latencyMs, 0) / timed.length
+            : null,
+    };
+}
+
+/**
+ * @param {Object[]} entries
+ * @returns {Array<{site: string, summary: Object}>} Busiest sites first.
+ */
+function groupBySite(entries) {
+    const sites = new Map();
+    entries.forEach((entry) => {
+        const site = entry.site || 'Unknown site';
+        if (!sites.has(site)) sites.set(site, []);
+        sites.get(site).push(entry);
+    });
+
+    return Array.from(sites, ([site, siteEntries]) => ({ site, summary: summarize(siteEntries) }))
+        .sort((a, b) => b.summary.commands - a.summary.commands);
+}
+
+// ============================================
+// RENDERING
+// ============================================
+async function renderHistory() {
+    const { entries, stats } = await loadHistory();
+    // Automatic summaries are listed, but only requests count towards the rates
+    const requested = entries.filter(entry => entry.source !== 'auto');
+    const summary = summarize(requested);
+
+    renderTotals([
+        [stats.commandsProcessed, 'Commands'],
+        [stats.pagesAnalyzed, 'Pages analyzed'],
+        [formatRate(summary.succeeded, summary.commands), 'Succeeded'],
+        [formatRate(summary.found, summary.lookups), 'Found what was asked'],
+        [formatLatency(summary.averageLatencyMs), 'Average time'],
+    ]);
+    renderSites(groupBySite(requested));
+    renderEntries(entries.slice(-RECENT_ENTRIES_SHOWN).reverse());
+    elements.exportHistoryBtn.disabled = !entries.length;
+    elements.clearHistoryBtn.disabled = !entries.length && !stats.commandsProcessed;
+}
+
+function renderTotals(totals) {
+    elements.totals.replaceChildren(...totals.map(([value, label]) => {
+        const total = document.createElement('div');
+        total.className = 'total';
+        const valueEl = document.createElement('div');
+        valueEl.className = 'total-value';
+        valueEl.textContent = String(value);
+        const labelEl = document.createElement('div');
+        labelEl.className = 'total-label';
+        labelEl.textContent = label;
+        total.append(valueEl, labelEl);
+        return total;
+    }));
+}
+
+function renderSites(sites) {
+    elements.sitesEmpty.hidden = sites.length > 0;
+    elements.sitesWrap.hidden = sites.length === 0;
+    elements.sitesBody.replaceChildren(...sites.map(({ site, summary }) => createRow([
+        site,
+        [summary.commands, 'number'],
+        [formatRate(summary.succeeded, summary.commands), 'number'],
+        [formatRate(summary.found, summary.lookups), 'number'],
+        [summary.errors, 'number'],
+        [formatLatency(summary.averageLatencyMs), 'number'],
+    ])));
+}
+
+function renderEntries(entries) {
+    elements.entriesEmpty.hidden = entries.length > 0;
+    elements.entriesWrap.hidden = entries.length === 0;
+    elements.entriesBody.replaceChildren(...entries.map(entry => createRow([
+        new Date(entry.time).toLocaleString(),
+        entry.site || 'Unknown site',
+        describeRequest(entry),
+        SOURCE_LABELS[entry.source] || entry.source,
+        describeResult(entry),
+        [formatLatency(entry.latencyMs), 'number'],
+        TTSProviders.providers[entry.tts]?.label || entry.tts || '—',
+    ])));
+}
+
+/**
+ * @param {Array<string|number|Array>} cells - Text, or [text, className].
+ * @returns {HTMLTableRowElement}
+ */
+function createRow(cells) {
+    const row = document.createElement('tr');
+    cells.forEach((cell) => {
+        const [text, className] = Array.isArray(cell) ? cell : [cell, ''];
+        const td = document.createElement('td');
+        td.textContent = String(text);
+        if (className) td.className = className;
+        row.appendChild(td);
+    });
+    return row;
+}
+
+function describeRequest(entry) {
+    if (entry.type === 'command') {
+        return `Command: ${entry.intent || 'unknown'}`;
+    }
+    return REQUEST_LABELS[entry.type] || entry.type;
+}
+
+/**
+ * @returns {[string, string]} Text and class for the result cell.
+ */
+function describeResult(entry) {
+    if (entry.error) return [`Error: ${entry.error}`, 'result-error'];
+    if (entry.found === false) return ['Not found', 'result-miss'];
+    if (entry.found === true) return ['Found', ''];
+    return [entry.cached ? 'Answered (saved answer)' : 'Answered', ''];
+}
+
+function formatRate(count, total) {
+    return total ? `${Math.round((count / total) * 100)}%` : '—';
+}
+
+function formatLatency(ms) {
+    if (ms === null || ms === undefined) return '—';
+    return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+// ============================================
+// ACTIONS
+// ============================================
+async function exportHistory() {
+    const { entries, stats } = await loadHistory();
+    const data = {
+        exportedAt: new Date().toISOString(),
+        version: chrome.runtime.getManifest().version,
+        stats,
+        entries,
+    };
+
+    const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `web-guide-history-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    setHistoryStatus(`Exported ${entries.length} ${entries.length === 1 ? 'entry' : 'entries'}.`);
+}
+
+async function clearHistory() {
+    if (!confirm('Clear the whole usage history? This cannot be undone.')) return;
+
+    elements.clearHistoryBtn.disabled = true;
+    await new Promise(resolve => chrome.runtime.sendMessage({ action: 'clearHistory' }, resolve));
+    setHistoryStatus('History cleared.');
+    await renderHistory();
+}
+
+// ============================================
+// UI UPDATES
+// ============================================
+function setHistoryStatus(text) {
+    elements.historyStatus.textContent = text;
+}
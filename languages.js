@@ -0,0 +1,163 @@
+/**
+ * Web Guide Extension - Languages
+ *
+ * The user's language drives speech recognition, the language replies are
+ * written in and the voice that reads them. Each page's own language is
+ * worked out from its <html lang> attribute and its text, so a page in
+ * another language can be summarized in the user's language (or, if the user
+ * prefers, in the page's own).
+ *
+ * Shared by the guide panel, the options page and the background worker.
+ * Depends on CONFIG (config.js).
+ */
+
+const Languages = {
+    // Offered on the options page; tags the speech recognizer accepts
+    SUPPORTED: [
+        { code: 'en-US', label: 'English (United States)' },
+        { code: 'en-GB', label: 'English (United Kingdom)' },
+        { code: 'es-ES', label: 'Español (España)' },
+        { code: 'es-MX', label: 'Español (México)' },
+        { code: 'fr-FR', label: 'Français' },
+        { code: 'de-DE', label: 'Deutsch' },
+        { code: 'it-IT', label: 'Italiano' },
+        { code: 'pt-BR', label: 'Português (Brasil)' },
+        { code: 'pt-PT', label: 'Português (Portugal)' },
+        { code: 'nl-NL', label: 'Nederlands' },
+        { code: 'pl-PL', label: 'Polski' },
+        { code: 'ru-RU', label: 'Русский' },
+        { code: 'uk-UA', label: 'Українська' },
+        { code: 'tr-TR', label: 'Türkçe' },
+        { code: 'ar-SA', label: 'العربية' },
+        { code: 'hi-IN', label: 'हिन्दी' },
+        { code: 'id-ID', label: 'Bahasa Indonesia' },
+        { code: 'vi-VN', label: 'Tiếng Việt' },
+        { code: 'zh-CN', label: '中文 (简体)' },
+        { code: 'ja-JP', label: '日本語' },
+        { code: 'ko-KR', label: '한국어' },
+    ],
+
+    /**
+     * Primary language subtag, e.g. 'pt' for 'pt-BR'.
+     * @param {string} code
+     * @returns {string}
+     */
+    base(code) {
+        return String(code || '').trim().toLowerCase().split(/[-_]/)[0];
+    },
+
+    isSame(a, b) {
+        return Boolean(this.base(a)) && this.base(a) === this.base(b);
+    },
+
+    /**
+     * Lowercase an utterance and drop punctuation, keeping letters and digits
+     * of every script, so an answer in any language survives command matching.
+     * @param {string} text
+     * @returns {string}
+     */
+    normalizeUtterance(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/\u2019/g, "'")
+            .replace(/[^\p{L}\p{M}\p{N}\s']/gu, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+
+    /**
+     * English name of a language, for prompts ("Portuguese").
+     */
+    getName(code) {
+        const base = this.base(code);
+        try {
+            return new Intl.DisplayNames(['en'], { type: 'language' }).of(base) || base;
+        } catch (e) {
+            return base;
+        }
+    },
+
+    /**
+     * Full tag to speak a language with: the user's own tag when it is the
+     * same language, otherwise the first supported tag for it.
+     * @param {string} code - Any tag, e.g. 'fr' from a page.
+     * @param {string} userLanguage
+     */
+    toSpeechTag(code, userLanguage) {
+        if (!code || this.isSame(code, userLanguage)) return userLanguage;
+        const supported = this.SUPPORTED.find(language => this.isSame(language.code, code));
+        return supported ? supported.code : code;
+    },
+
+    /**
+     * @returns {Promise<{language: string, translateSummaries: boolean}>}
+     */
+    async getSettings() {
+        const data = await chrome.storage.local.get('settings');
+        const settings = data?.settings || {};
+        return {
+            language: settings.language || CONFIG.VOICE.LANGUAGE,
+            translateSummaries: settings.translateSummaries !== false,
+        };
+    },
+
+    /**
+     * @param {{language?: string, translateSummaries?: boolean}} values
+     */
+    async saveSettings(values) {
+        const data = await chrome.storage.local.get('settings');
+        await chrome.storage.local.set({ settings: { ...data?.settings, ...values } });
+    },
+
+    /**
+     * Work out what language a page is in. The detected language of the text
+     * wins over <html lang>, which is often left at a template's default.
+     * @param {{lang?: string, title?: string, textContent?: string}} pageData
+     * @returns {Promise<string|null>} Primary language subtag, or null if unknown.
+     */
+    async detectPageLanguage(pageData) {
+        const text = `${pageData.title || ''}\n${pageData.textContent || ''}`.slice(0, 2000);
+        const detected = await this.detectTextLanguage(text);
+        return detected || this.base(pageData.lang) || null;
+    },
+
+    /**
+     * @param {string} text
+     * @returns {Promise<string|null>} Primary language subtag when detection is reliable.
+     */
+    detectTextLanguage(text) {
+        return new Promise((resolve) => {
+            if (!chrome.i18n?.detectLanguage || !String(text || '').trim()) {
+                resolve(null);
+                return;
+            }
+            chrome.i18n.detectLanguage(text, (result) => {
+                const top = result?.isReliable ? result.languages?.[0] : null;
+                resolve(top && top.percentage >= 50 ? this.base(top.language) : null);
+            });
+        });
+    },
+
+    /**
+     * Decide which language a reply is written and spoken in. Replies use the
+     * user's language, except summaries of pages in another language when
+     * the user has turned translation off.
+     * @param {string} type - Prompt type.
+     * @param {Object} pageData - Output of PageExtractor.getPageContent().
+     * @returns {Promise<{user: string, page: string|null, reply: string}>}
+     */
+    async resolve(type, pageData) {
+        const settings = await this.getSettings();
+        const page = await this.detectPageLanguage(pageData);
+        const keepPageLanguage = Boolean(page) &&
+            !this.isSame(page, settings.language) &&
+            type === 'summarize' &&
+            !settings.translateSummaries;
+
+        return {
+            user: settings.language,
+            page,
+            reply: keepPageLanguage ? this.toSpeechTag(page, settings.language) : settings.language,
+        };
+    },
+};
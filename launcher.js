@@ -0,0 +1,75 @@
+/**
+ * Web Guide Extension - Quick Launcher (toolbar popup)
+ *
+ * Features:
+ * - Open the guide side panel, which holds the full voice interface
+ * - One-click summary and next-step guidance, answered on the page itself
+ * - Shortcut to the settings page
+ */
+
+// ============================================
+// DOM ELEMENTS
+// ============================================
+const elements = {
+    openPanelBtn: document.getElementById('openPanelBtn'),
+    summarizeBtn: document.getElementById('summarizeBtn'),
+    whatNextBtn: document.getElementById('whatNextBtn'),
+    settingsBtn: document.getElementById('settingsBtn'),
+    launcherNote: document.getElementById('launcherNote'),
+};
+
+// chrome.sidePanel.open() only works inside the click's user gesture, so the
+// tab is looked up ahead of time rather than awaited in the handler.
+let activeTab = null;
+
+// ============================================
+// INITIALIZATION
+// ============================================
+document.addEventListener('DOMContentLoaded', async () => {
+    try {
+        [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    } catch (error) {
+        console.error('Tab query error:', error);
+    }
+
+    if (!chrome.sidePanel) {
+        elements.openPanelBtn.disabled = true;
+        elements.launcherNote.textContent = 'The guide panel needs Chrome 116 or newer.';
+    }
+
+    elements.openPanelBtn.addEventListener('click', openGuidePanel);
+    elements.summarizeBtn.addEventListener('click', () => runOnPage('summarize'));
+    elements.whatNextBtn.addEventListener('click', () => runOnPage('guide'));
+    elements.settingsBtn.addEventListener('click', () => {
+        chrome.runtime.openOptionsPage();
+        window.close();
+    });
+});
+
+// ============================================
+// LAUNCH ACTIONS
+// ============================================
+function openGuidePanel() {
+    if (!activeTab) return;
+
+    chrome.sidePanel.open({ windowId: activeTab.windowId })
+        .then(() => window.close())
+        .catch((error) => {
+            console.error('Failed to open side panel:', error);
+            elements.launcherNote.textContent = 'Could not open the guide panel. Please try again.';
+        });
+}
+
+/**
+ * Hand a request to the background worker, which answers in a bubble on the
+ * page, then get out of the way.
+ * @param {'summarize'|'guide'} type
+ */
+function runOnPage(type) {
+    if (!activeTab?.id) return;
+
+    chrome.runtime.sendMessage({ action: 'runGuidance', tabId: activeTab.id, type }, () => {
+        void chrome.runtime.lastError;
+        window.close();
+    });
+}
@@ -0,0 +1,466 @@
+/**
+ * Web Guide Extension - Language Model Providers
+ *
+ * One interface for every model backend:
+ *   provider.generate({ prompt, config, apiKey, options }) -> Promise<string>
+ *     options.history: earlier turns [{ role: 'user'|'assistant', text }]
+ *     options.onText:  when set, the reply is streamed and onText(textSoFar)
+ *                      is called as it grows; the full text is still returned
+ *   provider.test({ config, apiKey })                      -> Promise<void>
+ *
+ * When options.responseSchema is set, the provider asks its backend for JSON
+ * matching that schema (Gemini responseSchema, OpenAI json_schema).
+ *
+ * Failures are always thrown as LLMProviders.error(...) so callers can show
+ * one kind of message regardless of which backend answered.
+ *
+ * Providers:
+ * - gemini: Google Gemini generateContent (streamGenerateContent when streaming)
+ * - openai: any OpenAI-compatible /chat/completions endpoint
+ * - local:  self-hosted OpenAI-compatible server (Ollama, llama.cpp) on localhost
+ */
+
+const LLMProviders = {
+    SETTINGS_KEY: 'llm',
+
+    DEFAULT_SETTINGS: {
+        provider: 'gemini',
+        gemini: {
+            apiUrl: CONFIG.GEMINI_API_URL,
+        },
+        openai: {
+            baseUrl: 'https://api.openai.com/v1',
+            model: 'gpt-4o-mini',
+        },
+        local: {
+            baseUrl: 'http://localhost:11434/v1',
+            model: 'llama3.1',
+        },
+    },
+
+    // ============================================
+    // PROVIDER REGISTRY
+    // ============================================
+    providers: {
+        gemini: {
+            id: 'gemini',
+            label: 'Google Gemini',
+            keyName: 'gemini',
+
+            async generate({ prompt, config, apiKey, options }) {
+                const streaming = typeof options.onText === 'function';
+                const url = streaming
+                    ? config.apiUrl.replace(/:generateContent\b.*$/, ':streamGenerateContent?alt=sse')
+                    : config.apiUrl;
+                const init = {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'x-goog-api-key': apiKey,
+                    },
+                    body: JSON.stringify({
+                        contents: [
+                            ...(options.history || []).map(turn => ({
+                                role: turn.role === 'assistant' ? 'model' : 'user',
+                                parts: [{ text: turn.text }],
+                            })),
+                            {
+                                role: 'user',
+                                parts: [{
+                                    text: prompt
+                                }]
+                            }
+                        ],
+                        generationConfig: {
+                            temperature: options.temperature,
+                            topK: 40,
+                            topP: 0.95,
+                            maxOutputTokens: options.maxOutputTokens,
+                            ...(options.responseSchema ? {
+                                responseMimeType: 'application/json',
+                                responseSchema: LLMProviders.toGeminiSchema(options.responseSchema),
+                            } : {}),
+                        },
+                        safetySettings: [
+                            {
+                                category: "HARM_CATEGORY_HARASSMENT",
+                                threshold: "BLOCK_NONE"
+                            },
+                            {
+                                category: "HARM_CATEGORY_HATE_SPEECH",
+                                threshold: "BLOCK_NONE"
+                            },
+                            {
+                                category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
+                                threshold: "BLOCK_NONE"
+                            },
+                            {
+                                category: "HARM_CATEGORY_DANGEROUS_CONTENT",
+                                threshold: "BLOCK_NONE"
+                            }
+                        ]
+                    }),
+                    signal: options.signal,
+                };
+
+                if (streaming) {
+                    const text = await LLMProviders.fetchStream(this, url, init, (event) => (
+                        event.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('') || ''
+                    ), options.onText);
+                    if (!text) {
+                        throw LLMProviders.error(this, 'The model returned an empty response.');
+                    }
+                    return text;
+                }
+
+                const response = await LLMProviders.fetchJSON(this, url, init);
+                const text = response.candidates?.[0]?.content?.parts?.[0]?.text;
+                if (!text) {
+                    throw LLMProviders.error(this, 'The model returned an empty response.');
+                }
+                return text;
+            },
+
+            async test({ config, apiKey }) {
+                // generateContent URL -> models list URL for a cheap key check
+                const modelsUrl = config.apiUrl.replace(/\/models\/.*$/, '/models?pageSize=1');
+                await LLMProviders.fetchJSON(this, modelsUrl, {
+                    headers: { 'x-goog-api-key': apiKey },
+                });
+            },
+        },
+
+        openai: {
+            id: 'openai',
+            label: 'OpenAI-compatible API',
+            keyName: 'openai',
+
+            generate(request) {
+                return LLMProviders.generateChatCompletion(this, request);
+            },
+
+            test(request) {
+                return LLMProviders.listModels(this, request);
+            },
+        },
+
+        local: {
+            id: 'local',
+            label: 'Local server (Ollama / llama.cpp)',
+            keyName: null,
+
+            generate(request) {
+                return LLMProviders.generateChatCompletion(this, request);
+            },
+
+            test(request) {
+                return LLMProviders.listModels(this, request);
+            },
+        },
+    },
+
+    // ============================================
+    // PUBLIC API
+    // ============================================
+
+    /**
+     * Read saved model settings merged over defaults.
+     */
+    async getSettings() {
+        const data = await chrome.storage.local.get('settings');
+        const saved = data?.settings?.[this.SETTINGS_KEY] || {};
+        const merged = { provider: saved.provider || this.DEFAULT_SETTINGS.provider };
+
+        Object.keys(this.providers).forEach((id) => {
+            merged[id] = { ...this.DEFAULT_SETTINGS[id], ...(saved[id] || {}) };
+        });
+
+        if (!this.providers[merged.provider]) {
+            merged.provider = this.DEFAULT_SETTINGS.provider;
+        }
+        return merged;
+    },
+
+    /**
+     * Persist model settings inside the shared `settings` object.
+     */
+    async saveSettings(llmSettings) {
+        const data = await chrome.storage.local.get('settings');
+        await chrome.storage.local.set({
+            settings: {
+                ...(data.settings || {}),
+                [this.SETTINGS_KEY]: llmSettings,
+            },
+        });
+    },
+
+    /**
+     * The provider currently selected in settings.
+     */
+    async getActive() {
+        const settings = await this.getSettings();
+        return this.providers[settings.provider];
+    },
+
+    /**
+     * Send a prompt to the selected provider and return its text reply.
+     * @param {string} prompt
+     * @param {{temperature?: number, maxOutputTokens?: number, responseSchema?: Object, history?: Array<{role: string, text: string}>, signal?: AbortSignal}} options
+     * @returns {Promise<string>}
+     */
+    async generate(prompt, options = {}) {
+        const settings = await this.getSettings();
+        const provider = this.providers[settings.provider];
+        const apiKey = await this.getKey(provider);
+
+        return this.run(provider, 'generate', {
+            prompt,
+            config: settings[provider.id],
+            apiKey,
+            options: {
+                temperature: 0.7,
+                maxOutputTokens: 500,
+                ...options,
+            },
+        });
+    },
+
+    /**
+     * Check a provider configuration (possibly unsaved) against its backend.
+     * @returns {Promise<{ok: boolean, message: string}>}
+     */
+    async testConnection(providerId, config, apiKey) {
+        const provider = this.providers[providerId];
+        if (!provider) {
+            return { ok: false, message: `Unknown provider: ${providerId}` };
+        }
+
+        try {
+            await this.run(provider, 'test', {
+                config: { ...this.DEFAULT_SETTINGS[providerId], ...config },
+                apiKey: this.requireKey(provider, String(apiKey || '').trim()),
+            });
+            return { ok: true, message: `Connected to ${provider.label}.` };
+        } catch (error) {
+            return { ok: false, message: error.message };
+        }
+    },
+
+    /**
+     * Build the uniform provider error.
+     * @param {{label: string}} provider
+     * @param {string} message
+     * @param {{status?: number, code?: string}} details
+     */
+    error(provider, message, details = {}) {
+        const error = new Error(`${provider.label}: ${message}`);
+        error.name = 'LLMProviderError';
+        error.provider = provider.id;
+        error.status = details.status || null;
+        error.code = details.code || 'provider_error';
+        return error;
+    },
+
+    // ============================================
+    // HELPERS
+    // ============================================
+    async getKey(provider) {
+        if (!provider.keyName) return '';
+        return this.requireKey(provider, await ApiKeyStore.get(provider.keyName));
+    },
+
+    requireKey(provider, apiKey) {
+        if (provider.keyName && !apiKey) {
+            throw this.error(provider, 'API key is not set. Open settings to add it.', { code: 'missing_key' });
+        }
+        return apiKey;
+    },
+
+    /**
+     * Call a provider method, converting network failures and aborts into
+     * provider errors so every backend fails the same way.
+     */
+    async run(provider, method, request) {
+        try {
+            return await provider[method](request);
+        } catch (error) {
+            if (error?.name === 'LLMProviderError' || error?.name === 'AbortError') {
+                throw error;
+            }
+            throw this.error(provider, error?.message || String(error), { code: 'network' });
+        }
+    },
+
+    async fetchJSON(provider, url, init) {
+        const response = await fetch(url, init);
+        await this.checkResponse(provider, response);
+        return response.json();
+    },
+
+    async checkResponse(provider, response) {
+        if (response.ok) return;
+
+        const errorData = await response.json().catch(() => ({}));
+        const message =
+            errorData.error?.message ||
+            (typeof errorData.error === 'string' ? errorData.error : null) ||
+            `Request failed with status ${response.status}`;
+        const code = response.status === 401 || response.status === 403 ? 'auth' : 'http';
+        throw this.error(provider, message, { status: response.status, code });
+    },
+
+    /**
+     * POST a streaming request and read its server-sent events.
+     * @param {Object} provider
+     * @param {string} url
+     * @param {RequestInit} init
+     * @param {(event: Object) => string} getDelta - Text added by one event.
+     * @param {(text: string) => void} onText - Called with the text so far.
+     * @returns {Promise<string>} The complete text.
+     */
+    async fetchStream(provider, url, init, getDelta, onText) {
+        const response = await fetch(url, init);
+        await this.checkResponse(provider, response);
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let text = '';
+
+        const handleLine = (line) => {
+            if (!line.startsWith('data:')) return;
+            const data = line.slice(5).trim();
+            if (!data || data === '[DONE]') return;
+
+            let event;
+            try {
+                event = JSON.parse(data);
+            } catch (e) {
+                console.warn('Skipping malformed stream event:', data);
+                return;
+            }
+            if (event.error) {
+                throw this.error(provider, event.error.message || String(event.error));
+            }
+
+            const delta = getDelta(event);
+            if (delta) {
+                text += delta;
+                onText(text);
+            }
+        };
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+        }
+        handleLine(buffer + decoder.decode());
+
+        return text;
+    },
+
+    chatEndpoint(config, path) {
+        return `${String(config.baseUrl || '').replace(/\/$/, '')}${path}`;
+    },
+
+    authHeaders(apiKey) {
+        return apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+    },
+
+    async generateChatCompletion(provider, { prompt, config, apiKey, options }) {
+        const streaming = typeof options.onText === 'function';
+        const init = {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...this.authHeaders(apiKey),
+            },
+            body: JSON.stringify({
+                model: config.model,
+                messages: [
+                    ...(options.history || []).map(turn => ({
+                        role: turn.role === 'assistant' ? 'assistant' : 'user',
+                        content: turn.text,
+                    })),
+                    { role: 'user', content: prompt },
+                ],
+                temperature: options.temperature,
+                max_tokens: options.maxOutputTokens,
+                ...(streaming ? { stream: true } : {}),
+                ...(options.responseSchema ? {
+                    response_format: {
+                        type: 'json_schema',
+                        json_schema: {
+                            name: 'web_guide_response',
+                            strict: true,
+                            schema: this.toStrictJSONSchema(options.responseSchema),
+                        },
+                    },
+                } : {}),
+            }),
+            signal: options.signal,
+        };
+        const url = this.chatEndpoint(config, '/chat/completions');
+
+        const text = streaming
+            ? await this.fetchStream(provider, url, init, event => event.choices?.[0]?.delta?.content || '', options.onText)
+            : (await this.fetchJSON(provider, url, init)).choices?.[0]?.message?.content;
+        if (!text) {
+            throw this.error(provider, 'The model returned an empty response.');
+        }
+        return text;
+    },
+
+    /**
+     * Neutral schema -> Gemini OpenAPI subset (uppercase types, `nullable`).
+     */
+    toGeminiSchema(schema) {
+        const converted = { type: schema.type.toUpperCase() };
+        if (schema.nullable) converted.nullable = true;
+        if (schema.description) converted.description = schema.description;
+        if (schema.items) converted.items = this.toGeminiSchema(schema.items);
+        if (schema.properties) {
+            converted.properties = {};
+            Object.entries(schema.properties).forEach(([name, property]) => {
+                converted.properties[name] = this.toGeminiSchema(property);
+            });
+            converted.required = schema.required || [];
+            // Gemini sorts properties alphabetically unless told otherwise;
+            // keep the schema's order so streamed replies start with speech
+            converted.propertyOrdering = Object.keys(schema.properties);
+        }
+        return converted;
+    },
+
+    /**
+     * Neutral schema -> strict JSON Schema (nullable as a type union,
+     * closed objects) as required by OpenAI structured outputs.
+     */
+    toStrictJSONSchema(schema) {
+        const converted = {
+            type: schema.nullable ? [schema.type, 'null'] : schema.type,
+        };
+        if (schema.description) converted.description = schema.description;
+        if (schema.items) converted.items = this.toStrictJSONSchema(schema.items);
+        if (schema.properties) {
+            converted.properties = {};
+            Object.entries(schema.properties).forEach(([name, property]) => {
+                converted.properties[name] = this.toStrictJSONSchema(property);
+            });
+            converted.required = Object.keys(schema.properties);
+            converted.additionalProperties = false;
+        }
+        return converted;
+    },
+
+    async listModels(provider, { config, apiKey }) {
+        await this.fetchJSON(provider, this.chatEndpoint(config, '/models'), {
+            headers: this.authHeaders(apiKey),
+        });
+    },
+};
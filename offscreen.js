@@ -0,0 +1,96 @@
+/**
+ * Web Guide Extension - Shortcut Voice Listener
+ *
+ * One-shot speech recognition for the listen shortcut, run in an offscreen
+ * document created by the background worker. Listening here uses the
+ * extension's own microphone permission (granted once in the guide panel) instead
+ * of asking every site the shortcut is pressed on. Progress and the heard
+ * text go back to the background worker, which shows them in the page's
+ * bubble and handles the command.
+ */
+
+const VoiceListener = {
+    recognition: null,
+    heardFinal: false,
+
+    /**
+     * @param {number} tabId - Tab the command is for.
+     * @param {string} lang - Recognition language.
+     */
+    start(tabId, lang) {
+        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+        if (!SpeechRecognition) {
+            this.report(tabId, 'Voice commands are not available in this browser.');
+            return false;
+        }
+
+        this.stop();
+        const recognition = new SpeechRecognition();
+        recognition.lang = lang || 'en-US';
+        recognition.continuous = false;
+        recognition.interimResults = true;
+        this.heardFinal = false;
+
+        recognition.onresult = (event) => {
+            const transcript = Array.from(event.results)
+                .map(result => result[0].transcript)
+                .join('');
+            const isFinal = event.results[event.results.length - 1].isFinal;
+
+            this.report(tabId, isFinal ? `"${transcript}"` : `Listening... ${transcript}`, !isFinal);
+            if (isFinal && !this.heardFinal) {
+                this.heardFinal = true;
+                chrome.runtime.sendMessage({ action: 'voiceCommand', tabId, transcript });
+            }
+        };
+
+        recognition.onerror = (event) => {
+            const messages = {
+                'not-allowed': 'Web Guide needs the microphone. Open the guide panel, press 🎤 once and allow it, then try the shortcut again.',
+                'no-speech': "I didn't hear anything. Press the shortcut and try again.",
+                'audio-capture': 'No microphone was found.',
+            };
+            if (event.error !== 'aborted') {
+                this.report(tabId, messages[event.error] || `Voice recognition error: ${event.error}`);
+            }
+        };
+
+        recognition.onend = () => {
+            if (this.recognition === recognition) this.recognition = null;
+        };
+
+        this.recognition = recognition;
+        this.report(tabId, 'Listening... say what you need.', true);
+        recognition.start();
+        return true;
+    },
+
+    stop() {
+        if (!this.recognition) return;
+        const recognition = this.recognition;
+        this.recognition = null;
+        recognition.abort();
+    },
+
+    /**
+     * Show listening progress in the page's bubble.
+     */
+    report(tabId, text, busy = false) {
+        chrome.runtime.sendMessage({ action: 'voiceProgress', tabId, text, busy });
+    },
+};
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.target !== 'offscreen') return;
+
+    switch (message.action) {
+        case 'startListening':
+            sendResponse({ success: VoiceListener.start(message.tabId, message.lang) });
+            break;
+
+        case 'stopListening':
+            VoiceListener.stop();
+            sendResponse({ success: true });
+            break;
+    }
+});
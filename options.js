@@ -0,0 +1,431 @@
+/**
+ * Web Guide Extension - Options Page Logic
+ *
+ * Features:
+ * - Choose the user's language and whether foreign pages are summarized in it
+ * - Turn on summaries on page load, optionally for listed sites only
+ * - Choose the language model provider and its endpoint/model
+ * - Order the voices tried for speech and set up each one
+ * - Enter and save provider API keys (stored in chrome.storage.local)
+ * - "Test connection" check for the model, "Preview voice" for each voice
+ */
+
+// ============================================
+// DOM ELEMENTS
+// ============================================
+const elements = {
+    userLanguage: document.getElementById('userLanguage'),
+    translateSummaries: document.getElementById('translateSummaries'),
+    autoSummarize: document.getElementById('autoSummarize'),
+    autoSummarizeSites: document.getElementById('autoSummarizeSites'),
+    llmProvider: document.getElementById('llmProvider'),
+    llmStatus: document.getElementById('llmStatus'),
+    geminiKey: document.getElementById('geminiKey'),
+    openaiBaseUrl: document.getElementById('openaiBaseUrl'),
+    openaiModel: document.getElementById('openaiModel'),
+    openaiKey: document.getElementById('openaiKey'),
+    localBaseUrl: document.getElementById('localBaseUrl'),
+    localModel: document.getElementById('localModel'),
+    ttsChain: Array.from(document.querySelectorAll('.tts-chain')),
+    elevenlabsKey: document.getElementById('elevenlabsKey'),
+    elevenlabsVoiceId: document.getElementById('elevenlabsVoiceId'),
+    openaiSpeechBaseUrl: document.getElementById('openaiSpeechBaseUrl'),
+    openaiSpeechModel: document.getElementById('openaiSpeechModel'),
+    openaiSpeechVoice: document.getElementById('openaiSpeechVoice'),
+    openaiSpeechKey: document.getElementById('openaiSpeechKey'),
+    localTtsBaseUrl: document.getElementById('localTtsBaseUrl'),
+    localTtsVoice: document.getElementById('localTtsVoice'),
+    ttsStatus: document.getElementById('ttsStatus'),
+    saveBtn: document.getElementById('saveBtn'),
+    saveStatus: document.getElementById('saveStatus'),
+};
+
+const keyInputs = {
+    gemini: elements.geminiKey,
+    openai: elements.openaiKey,
+    elevenlabs: elements.elevenlabsKey,
+    openaiSpeech: elements.openaiSpeechKey,
+};
+
+// Endpoint/model fields per provider, keyed by settings property
+const providerInputs = {
+    openai: {
+        baseUrl: elements.openaiBaseUrl,
+        model: elements.openaiModel,
+    },
+    local: {
+        baseUrl: elements.localBaseUrl,
+        model: elements.localModel,
+    },
+};
+
+// Same for the voices
+const ttsInputs = {
+    elevenlabs: {
+        voiceId: elements.elevenlabsVoiceId,
+    },
+    openai: {
+        baseUrl: elements.openaiSpeechBaseUrl,
+        model: elements.openaiSpeechModel,
+        voice: elements.openaiSpeechVoice,
+    },
+    local: {
+        baseUrl: elements.localTtsBaseUrl,
+        voice: elements.localTtsVoice,
+    },
+};
+
+let savedLLMSettings = null;
+let savedTTSSettings = null;
+
+// ============================================
+// INITIALIZATION
+// ============================================
+document.addEventListener('DOMContentLoaded', async () => {
+    renderLanguageOptions();
+    renderProviderOptions();
+    renderVoiceOptions();
+    await loadSettings();
+    bindEventListeners();
+});
+
+function renderLanguageOptions() {
+    Languages.SUPPORTED.forEach((language) => {
+        const option = document.createElement('option');
+        option.value = language.code;
+        option.textContent = language.label;
+        elements.userLanguage.appendChild(option);
+    });
+}
+
+function renderProviderOptions() {
+    Object.values(LLMProviders.providers).forEach((provider) => {
+        const option = document.createElement('option');
+        option.value = provider.id;
+        option.textContent = provider.label;
+        elements.llmProvider.appendChild(option);
+    });
+}
+
+function renderVoiceOptions() {
+    elements.ttsChain.forEach((select, position) => {
+        // Only the first choice is required
+        if (position > 0) {
+            const none = document.createElement('option');
+            none.value = '';
+            none.textContent = 'Nothing';
+            select.appendChild(none);
+        }
+        Object.values(TTSProviders.providers).forEach((provider) => {
+            const option = document.createElement('option');
+            option.value = provider.id;
+            option.textContent = provider.label;
+            select.appendChild(option);
+        });
+    });
+}
+
+async function loadSettings() {
+    try {
+        const languageSettings = await Languages.getSettings();
+        // Keep a language set before this list existed selectable
+        if (!Languages.SUPPORTED.some(language => language.code === languageSettings.language)) {
+            const option = document.createElement('option');
+            option.value = languageSettings.language;
+            option.textContent = languageSettings.language;
+            elements.userLanguage.appendChild(option);
+        }
+        elements.userLanguage.value = languageSettings.language;
+        elements.translateSummaries.checked = languageSettings.translateSummaries;
+
+        const { settings } = await chrome.storage.local.get('settings');
+        elements.autoSummarize.checked = Boolean(settings?.autoSummarize);
+        elements.autoSummarizeSites.value = (settings?.autoSummarizeSites || []).join('\n');
+
+        const keys = await ApiKeyStore.getAll();
+        Object.entries(keyInputs).forEach(([provider, input]) => {
+            input.value = keys[provider] || '';
+        });
+
+        savedLLMSettings = await LLMProviders.getSettings();
+        elements.llmProvider.value = savedLLMSettings.provider;
+        Object.entries(providerInputs).forEach(([providerId, inputs]) => {
+            Object.entries(inputs).forEach(([field, input]) => {
+                input.value = savedLLMSettings[providerId][field] || '';
+            });
+        });
+        showProviderFields(savedLLMSettings.provider);
+
+        savedTTSSettings = await TTSProviders.getSettings();
+        elements.ttsChain.forEach((select, position) => {
+            select.value = savedTTSSettings.chain[position] || '';
+        });
+        Object.entries(ttsInputs).forEach(([providerId, inputs]) => {
+            Object.entries(inputs).forEach(([field, input]) => {
+                input.value = savedTTSSettings[providerId][field] || '';
+            });
+        });
+        showVoiceFields();
+    } catch (error) {
+        console.error('Failed to load settings:', error);
+        setSaveStatus('Could not load saved settings.');
+    }
+}
+
+function bindEventListeners() {
+    elements.saveBtn.addEventListener('click', saveSettings);
+
+    elements.llmProvider.addEventListener('change', () => {
+        showProviderFields(elements.llmProvider.value);
+        setTestStatus(elements.llmStatus, '', null);
+        setSaveStatus('');
+    });
+
+    elements.ttsChain.forEach((select) => {
+        select.addEventListener('change', () => {
+            showVoiceFields();
+            setTestStatus(elements.ttsStatus, '', null);
+        });
+    });
+
+    document.querySelectorAll('[data-test]').forEach((button) => {
+        button.addEventListener('click', () => testConnection(button));
+    });
+
+    document.querySelectorAll('[data-preview]').forEach((button) => {
+        button.addEventListener('click', () => previewVoice(button.dataset.preview, button));
+    });
+
+    document.querySelectorAll('[data-reveal]').forEach((button) => {
+        button.addEventListener('click', () => toggleReveal(button));
+    });
+
+    document.querySelectorAll('.field-input, .field-check input').forEach((input) => {
+        input.addEventListener('input', () => setSaveStatus(''));
+    });
+}
+
+// ============================================
+// FORM HELPERS
+// ============================================
+function showProviderFields(providerId) {
+    document.querySelectorAll('.provider-fields[data-provider]').forEach((section) => {
+        section.hidden = section.dataset.provider !== providerId;
+    });
+}
+
+/**
+ * Show the settings of every voice in the fallback chain.
+ */
+function showVoiceFields() {
+    const chain = readVoiceChainFromForm();
+    document.querySelectorAll('.provider-fields[data-tts-provider]').forEach((section) => {
+        section.hidden = !chain.includes(section.dataset.ttsProvider);
+    });
+}
+
+/**
+ * Chosen voices in order, without gaps or repeats.
+ */
+function readVoiceChainFromForm() {
+    const chain = [];
+    elements.ttsChain.forEach((select) => {
+        if (select.value && !chain.includes(select.value)) {
+            chain.push(select.value);
+        }
+    });
+    return chain;
+}
+
+/**
+ * Domains from the auto-summarize site list, accepting pasted addresses
+ * ("https://www.example.com/news" becomes "example.com").
+ * @param {string} text
+ * @returns {string[]}
+ */
+function readSiteList(text) {
+    const sites = text.split(/[\s,]+/)
+        .map(line => line.trim().toLowerCase()
+            .replace(/^[a-z][a-z\d+.-]*:\/\//, '')
+            .replace(/[/?#].*$/, '')
+            .replace(/:\d+$/, '')
+            .replace(/^(\*\.|www\.)/, ''))
+        .filter(Boolean);
+    return Array.from(new Set(sites));
+}
+
+/**
+ * Read the model settings currently entered in the form.
+ */
+function readLLMSettingsFromForm() {
+    const settings = {
+        ...savedLLMSettings,
+        provider: elements.llmProvider.value,
+    };
+
+    Object.entries(providerInputs).forEach(([providerId, inputs]) => {
+        settings[providerId] = { ...savedLLMSettings[providerId] };
+        Object.entries(inputs).forEach(([field, input]) => {
+            const value = input.value.trim();
+            settings[providerId][field] = value || LLMProviders.DEFAULT_SETTINGS[providerId][field];
+        });
+    });
+
+    return settings;
+}
+
+/**
+ * Read the voice settings currently entered in the form.
+ */
+function readTTSSettingsFromForm() {
+    const settings = {
+        ...savedTTSSettings,
+        chain: readVoiceChainFromForm(),
+    };
+
+    Object.entries(ttsInputs).forEach(([providerId, inputs]) => {
+        settings[providerId] = { ...savedTTSSettings[providerId] };
+        Object.entries(inputs).forEach(([field, input]) => {
+            const value = input.value.trim();
+            settings[providerId][field] = value || TTSProviders.DEFAULT_SETTINGS[providerId][field];
+        });
+    });
+
+    return settings;
+}
+
+// ============================================
+// ACTIONS
+// ============================================
+/**
+ * Merge values into the shared settings object.
+ */
+async function updateSettings(values) {
+    const data = await chrome.storage.local.get('settings');
+    await chrome.storage.local.set({ settings: { ...data?.settings, ...values } });
+}
+
+async function saveSettings() {
+    elements.saveBtn.disabled = true;
+    try {
+        await Languages.saveSettings({
+            language: elements.userLanguage.value,
+            translateSummaries: elements.translateSummaries.checked,
+        });
+
+        await updateSettings({
+            autoSummarize: elements.autoSummarize.checked,
+            autoSummarizeSites: readSiteList(elements.autoSummarizeSites.value),
+        });
+
+        const llmSettings = readLLMSettingsFromForm();
+        await LLMProviders.saveSettings(llmSettings);
+        savedLLMSettings = llmSettings;
+
+        const ttsSettings = readTTSSettingsFromForm();
+        await TTSProviders.saveSettings(ttsSettings);
+        savedTTSSettings = ttsSettings;
+
+        await ApiKeyStore.save({
+            gemini: keyInputs.gemini.value,
+            openai: keyInputs.openai.value,
+            elevenlabs: keyInputs.elevenlabs.value,
+            openaiSpeech: keyInputs.openaiSpeech.value,
+        });
+        setSaveStatus('Saved.');
+    } catch (error) {
+        console.error('Failed to save settings:', error);
+        setSaveStatus(`Could not save: ${error.message}`);
+    } finally {
+        elements.saveBtn.disabled = false;
+    }
+}
+
+async function testConnection(button) {
+    button.disabled = true;
+    setTestStatus(elements.llmStatus, 'Testing...', null);
+
+    const settings = readLLMSettingsFromForm();
+    const provider = LLMProviders.providers[settings.provider];
+    const apiKey = provider.keyName ? keyInputs[provider.keyName].value : '';
+    const result = await LLMProviders.testConnection(provider.id, settings[provider.id], apiKey);
+
+    setTestStatus(elements.llmStatus, result.message, result.ok ? 'success' : 'error');
+    button.disabled = false;
+}
+
+/**
+ * Say a sample sentence with a voice as currently entered (saved or not).
+ * @param {string} providerId
+ * @param {HTMLButtonElement} button
+ */
+async function previewVoice(providerId, button) {
+    const provider = TTSProviders.providers[providerId];
+    button.disabled = true;
+    setTestStatus(elements.ttsStatus, `Preparing a sample from ${provider.label}...`, null);
+
+    try {
+        if (provider.builtIn) {
+            await playBrowserSample(elements.userLanguage.value);
+        } else {
+            const settings = readTTSSettingsFromForm();
+            const apiKey = provider.keyName ? keyInputs[provider.keyName].value : '';
+            const audio = await TTSProviders.preview(providerId, settings[providerId], apiKey, elements.userLanguage.value);
+            setTestStatus(elements.ttsStatus, `Playing ${provider.label}...`, null);
+            await playAudioSample(audio);
+        }
+        setTestStatus(elements.ttsStatus, `${provider.label} is working.`, 'success');
+    } catch (error) {
+        setTestStatus(elements.ttsStatus, error.message, 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+function playAudioSample(blob) {
+    const url = URL.createObjectURL(blob);
+    const audio = new Audio(url);
+    return new Promise((resolve, reject) => {
+        audio.onended = resolve;
+        audio.onerror = () => reject(new Error('The audio could not be played.'));
+        audio.play().catch(reject);
+    }).finally(() => URL.revokeObjectURL(url));
+}
+
+function playBrowserSample(lang) {
+    return new Promise((resolve, reject) => {
+        if (!window.speechSynthesis) {
+            reject(new Error('This browser has no built-in voices.'));
+            return;
+        }
+        const utterance = new SpeechSynthesisUtterance(TTSProviders.PREVIEW_TEXT);
+        utterance.lang = lang;
+        utterance.rate = CONFIG.VOICE.SPEECH_RATE;
+        utterance.onend = resolve;
+        utterance.onerror = event => reject(new Error(`The browser voice failed (${event.error}).`));
+        window.speechSynthesis.cancel();
+        window.speechSynthesis.speak(utterance);
+    });
+}
+
+function toggleReveal(button) {
+    const input = document.getElementById(button.dataset.reveal);
+    if (!input) return;
+
+    const reveal = input.type === 'password';
+    input.type = reveal ? 'text' : 'password';
+    button.textContent = reveal ? 'Hide' : 'Show';
+    button.setAttribute('aria-label', button.getAttribute('aria-label').replace(reveal ? 'Show' : 'Hide', reveal ? 'Hide' : 'Show'));
+}
+
+// ============================================
+// UI UPDATES
+// ============================================
+function setTestStatus(statusEl, text, outcome) {
+    statusEl.textContent = text;
+    statusEl.className = `test-status${outcome ? ` ${outcome}` : ''}`;
+}
+
+function setSaveStatus(text) {
+    elements.saveStatus.textContent = text;
+}
@@ -1,11 +1,23 @@
 /**
- * Web Guide Extension - Popup Logic
+ * Web Guide Extension - Guide Panel Logic
+ * 
+ * Runs the side panel (sidepanel.html), which stays open while the user
+ * clicks around and moves between pages; the toolbar popup is only a
+ * launcher (launcher.js).
  * 
  * Features:
  * - Voice command input (Speech-to-Text)
  * - Voice response output (Text-to-Speech)
- * - Gemini API integration for page analysis
+ * - Language model integration (Gemini, OpenAI-compatible, local) for page analysis
  * - Communication with content script for visual guidance
+ * - Optional "do it for me" mode that acts on the highlighted element after confirmation
+ * - Guided form filling, one field at a time
+ * - Hands-free listening that waits for a wake phrase ("Hey Guide")
+ * - Instant local handling of common commands (scroll, back, stop, repeat...)
+ * - Reading the page aloud sentence by sentence, highlighted on the page
+ * - Cached answers for repeat questions about an unchanged page
+ * - Streamed replies that are shown, spoken and highlighted as they arrive
+ * - Listening and answering in the user's language, whatever the page's language
  */
 
 // ============================================
@@ -15,14 +27,45 @@ const state = {
     isListening: false,
     isSpeaking: false,
     isProcessing: false,
+    lastCommand: null, // { type, customQuery } for "Get a fresh answer"
+    lastAnswer: null, // What handleModelResponse showed, said and highlighted, for the request history
     voiceOutputEnabled: CONFIG.FEATURES.VOICE_OUTPUT,
+    actionModeEnabled: CONFIG.FEATURES.ACTION_MODE,
+    pendingAction: null, // { kind, label, risk, options, confirmations, awaitingValue }
+    formActive: false,
+    handsFreeEnabled: CONFIG.FEATURES.HANDS_FREE,
+    wakePhrase: CONFIG.VOICE.WAKE_PHRASE,
+    wakeUntil: 0, // After the wake phrase alone, the next words are the request
+    handsFreePaused: false, // Muted while our own voice is playing
+    handsFreeRestartTimer: null,
+    handsFreeResumeTimer: null,
+    micIndicatorTabId: null,
+    micIndicatorMode: null,
+    readAloud: {
+        active: false,
+        paused: false,
+        rate: 1,
+        tabId: null,
+        lang: null, // Language of the page being read
+        run: 0, // Bumped to make a running read loop stop
+    },
+    language: CONFIG.VOICE.LANGUAGE, // The user's language (options page)
+    replyLanguage: CONFIG.VOICE.LANGUAGE, // Language of the latest model reply
+    windowId: null,
     recognition: null,
     synthesis: window.speechSynthesis,
     currentUtterance: null,
     currentAudio: null,
     currentAudioUrl: null,
-    currentTTSAbortController: null,
     currentSpeakRequestId: 0,
+    speech: null, // Message being spoken, in chunks; see startSpeech()
+    speechRate: 1, // The user's speed for replies ("slower", "faster")
+    currentResponseController: null, // Aborts the model reply being streamed
+    speechQueue: [], // Sentences waiting their turn, see queueSpeech()
+    speechQueueRunning: false,
+    resolveSpeech: null, // Settles the promise returned by speak()
+    lastSpokenText: '',
+    historyEntry: null, // Latest command's usage-history entry, see startHistoryEntry()
     activeSpeechEngine: null, // 'browser' | 'custom' | null
     microphonePermission: 'unknown', // 'unknown', 'granted', 'denied', 'prompt'
     pendingVoiceTranscript: '',
@@ -35,13 +78,42 @@ const state = {
 const elements = {
     voiceBtn: document.getElementById('voiceBtn'),
     stopSpeechBtn: document.getElementById('stopSpeechBtn'),
+    startOverBtn: document.getElementById('startOverBtn'),
+    repeatSpeechBtn: document.getElementById('repeatSpeechBtn'),
+    skipSpeechBtn: document.getElementById('skipSpeechBtn'),
+    slowerSpeechBtn: document.getElementById('slowerSpeechBtn'),
+    fasterSpeechBtn: document.getElementById('fasterSpeechBtn'),
     responseArea: document.getElementById('responseArea'),
     transcriptText: document.getElementById('transcriptText'),
     sendTranscriptBtn: document.getElementById('sendTranscriptBtn'),
     voiceOutputToggle: document.getElementById('voiceOutputToggle'),
     voiceOutputStatus: document.getElementById('voiceOutputStatus'),
+    actionModeToggle: document.getElementById('actionModeToggle'),
+    actionModeStatus: document.getElementById('actionModeStatus'),
+    handsFreeToggle: document.getElementById('handsFreeToggle'),
+    handsFreeStatus: document.getElementById('handsFreeStatus'),
+    wakePhraseRow: document.getElementById('wakePhraseRow'),
+    wakePhraseInput: document.getElementById('wakePhraseInput'),
+    readPageBtn: document.getElementById('readPageBtn'),
+    skipParagraphBtn: document.getElementById('skipParagraphBtn'),
+    skipHeadingBtn: document.getElementById('skipHeadingBtn'),
+    stopReadingBtn: document.getElementById('stopReadingBtn'),
+    readingSpeed: document.getElementById('readingSpeed'),
+    readerStatus: document.getElementById('readerStatus'),
+    cacheNote: document.getElementById('cacheNote'),
+    requestHistoryList: document.getElementById('requestHistoryList'),
+    requestHistoryEmpty: document.getElementById('requestHistoryEmpty'),
+    clearRequestHistoryBtn: document.getElementById('clearRequestHistoryBtn'),
+    refreshAnswerBtn: document.getElementById('refreshAnswerBtn'),
+    actionCard: document.getElementById('actionCard'),
+    actionText: document.getElementById('actionText'),
+    confirmActionBtn: document.getElementById('confirmActionBtn'),
+    cancelActionBtn: document.getElementById('cancelActionBtn'),
     statusDot: document.getElementById('statusDot'),
     statusText: document.getElementById('statusText'),
+    setupCard: document.getElementById('setupCard'),
+    setupText: document.getElementById('setupText'),
+    openSettingsBtn: document.getElementById('openSettingsBtn'),
 };
 
 function setTranscriptText(text) {
@@ -60,9 +132,22 @@ function getTranscriptText() {
 document.addEventListener('DOMContentLoaded', async () => {
     await checkMicrophonePermission();
     await loadVoiceOutputPreference();
+    await loadActionModePreference();
+    await loadHandsFreePreference();
+    await loadReadingSpeed();
+    await loadSpeechRate();
+    await loadLanguage();
     initSpeechRecognition();
     bindEventListeners();
+    await checkApiKeySetup();
+    await restoreFormGuide();
+    await watchActiveTab();
+    await renderRequestHistory();
     updateStatus('ready', 'Ready to guide');
+
+    if (state.handsFreeEnabled) {
+        startHandsFree();
+    }
 });
 
 async function sendRuntimeMessage(message) {
@@ -139,6 +224,30 @@ async function saveVoiceOutputPreference(enabled) {
     }
 }
 
+/**
+ * Show the setup prompt when required API keys are missing
+ */
+async function checkApiKeySetup() {
+    try {
+        const provider = await LLMProviders.getActive();
+        const missing = await ApiKeyStore.getMissing(provider.keyName ? [provider.keyName] : []);
+        if (missing.length) {
+            showSetupPrompt(missing);
+        }
+    } catch (error) {
+        console.warn('Failed to check API key setup:', error);
+    }
+}
+
+function showSetupPrompt(missingProviders) {
+    if (!elements.setupCard) return;
+
+    const names = missingProviders.map(provider => ApiKeyStore.PROVIDERS[provider] || provider);
+    elements.setupText.textContent =
+        `Add your ${names.join(' and ')} API key${names.length > 1 ? 's' : ''} in settings to get started.`;
+    elements.setupCard.hidden = false;
+}
+
 /**
  * Check current microphone permission status
  */
@@ -176,11 +285,11 @@ async function requestMicrophonePermission() {
         updateStatus('processing', 'Requesting mic access...');
 
         if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-            // Some extension popup contexts do not expose getUserMedia.
+            // Some extension page contexts do not expose getUserMedia.
             // Let SpeechRecognition attempt to acquire mic access directly.
             state.microphonePermission = 'unknown';
             updateResponse(
-                'Direct microphone permission API is unavailable in this popup context.\n' +
+                'Direct microphone permission API is unavailable in this panel.\n' +
                 'Trying voice recognition directly...'
             );
             updateStatus('ready', 'Ready to guide');
@@ -220,7 +329,7 @@ async function requestMicrophonePermission() {
                 updateResponse(
                     '🎤 Microphone access was denied.\n\n' +
                     'To enable voice commands:\n' +
-                    '1. Open Chrome Site Settings for this extension popup\n' +
+                    '1. Open Chrome Site Settings for this extension\n' +
                     '2. Set Microphone to "Allow"\n' +
                     '3. Confirm your OS microphone permission for Chrome is enabled\n' +
                     '4. Retry the microphone button\n\n' +
@@ -264,7 +373,7 @@ function initSpeechRecognition() {
     state.recognition = new SpeechRecognition();
     state.recognition.continuous = false;
     state.recognition.interimResults = true;
-    state.recognition.lang = CONFIG.VOICE.LANGUAGE;
+    state.recognition.lang = state.language;
     
     state.recognition.onstart = () => {
         state.isListening = true;
@@ -273,6 +382,11 @@ function initSpeechRecognition() {
     };
     
     state.recognition.onresult = (event) => {
+        if (state.handsFreeEnabled) {
+            handleHandsFreeResult(event);
+            return;
+        }
+
         const transcript = Array.from(event.results)
             .map(result => result[0].transcript)
             .join('');
@@ -286,7 +400,13 @@ function initSpeechRecognition() {
     };
     
     state.recognition.onerror = (event) => {
+        // Silence and our own restarts are routine while hands-free
+        if (state.handsFreeEnabled && ['no-speech', 'aborted'].includes(event.error)) return;
+
         console.error('Speech recognition error:', event.error);
+        if (state.handsFreeEnabled) {
+            setHandsFree(false);
+        }
         stopListening();
         
         if (event.error === 'not-allowed') {
@@ -307,6 +427,10 @@ function initSpeechRecognition() {
     };
     
     state.recognition.onend = () => {
+        if (state.handsFreeEnabled) {
+            handleHandsFreeEnd();
+            return;
+        }
         stopListening();
     };
 }
@@ -330,8 +454,35 @@ function scheduleVoiceCommandProcessing(transcript) {
 function bindEventListeners() {
     // Voice button
     elements.voiceBtn.addEventListener('click', handleVoiceButtonClick);
+
+    if (elements.openSettingsBtn) {
+        elements.openSettingsBtn.addEventListener('click', () => {
+            chrome.runtime.openOptionsPage();
+        });
+    }
     
-    elements.stopSpeechBtn.addEventListener('click', stopSpeaking);
+    elements.stopSpeechBtn.addEventListener('click', () => {
+        cancelResponseStream();
+        stopSpeaking();
+    });
+
+    // Same as saying "repeat that", "skip", "slower" or "faster"
+    [
+        [elements.repeatSpeechBtn, 'repeat'],
+        [elements.skipSpeechBtn, 'skipSpeech'],
+        [elements.slowerSpeechBtn, 'slower'],
+        [elements.fasterSpeechBtn, 'faster'],
+    ].forEach(([button, intent]) => {
+        button?.addEventListener('click', () => runLocalCommand({ intent, isPageCommand: false }));
+    });
+
+    if (elements.startOverBtn) {
+        elements.startOverBtn.addEventListener('click', () => {
+            cancelResponseStream();
+            stopSpeaking();
+            startOver();
+        });
+    }
 
     if (elements.voiceOutputToggle) {
         elements.voiceOutputToggle.addEventListener('change', async (event) => {
@@ -345,6 +496,81 @@ function bindEventListeners() {
         });
     }
 
+    if (elements.actionModeToggle) {
+        elements.actionModeToggle.addEventListener('change', async (event) => {
+            const enabled = Boolean(event.target.checked);
+            applyActionModeUI(enabled);
+            await saveActionModePreference(enabled);
+
+            if (!enabled) {
+                clearPendingAction();
+            }
+        });
+    }
+
+    if (elements.handsFreeToggle) {
+        elements.handsFreeToggle.addEventListener('change', (event) => {
+            setHandsFree(Boolean(event.target.checked));
+        });
+    }
+
+    if (elements.wakePhraseInput) {
+        elements.wakePhraseInput.addEventListener('change', async (event) => {
+            await saveWakePhrase(event.target.value);
+        });
+    }
+
+    window.addEventListener('pagehide', hideMicIndicator);
+
+    // The language is chosen on the options page, which may be open alongside
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        const language = changes.settings?.newValue?.language;
+        if (areaName === 'local' && language && language !== state.language) {
+            applyLanguage(language);
+        }
+        // "Slower" / "faster" said on the page
+        const speechRate = changes.settings?.newValue?.speechRate;
+        if (areaName === 'local' && speechRate) {
+            state.speechRate = clampSpeechRate(speechRate);
+        }
+    });
+
+    if (elements.clearRequestHistoryBtn) {
+        elements.clearRequestHistoryBtn.addEventListener('click', clearRequestHistory);
+    }
+
+    if (elements.refreshAnswerBtn) {
+        elements.refreshAnswerBtn.addEventListener('click', () => {
+            if (!state.lastCommand) return;
+            stopSpeaking();
+            processCommand(state.lastCommand.type, state.lastCommand.customQuery, { bypassCache: true });
+        });
+    }
+
+    if (elements.readPageBtn) {
+        elements.readPageBtn.addEventListener('click', () => {
+            if (!state.readAloud.active) {
+                startReadAloud();
+            } else if (state.readAloud.paused) {
+                resumeReadAloud();
+            } else {
+                pauseReadAloud();
+            }
+        });
+        elements.skipParagraphBtn.addEventListener('click', () => skipReadAloud('skipParagraph'));
+        elements.skipHeadingBtn.addEventListener('click', () => skipReadAloud('skipHeading'));
+        elements.stopReadingBtn.addEventListener('click', stopReadAloud);
+        elements.readingSpeed.addEventListener('change', (event) => setReadingSpeed(Number(event.target.value)));
+    }
+
+    if (elements.confirmActionBtn) {
+        elements.confirmActionBtn.addEventListener('click', () => confirmPendingAction());
+    }
+
+    if (elements.cancelActionBtn) {
+        elements.cancelActionBtn.addEventListener('click', cancelPendingAction);
+    }
+
     if (elements.sendTranscriptBtn) {
         elements.sendTranscriptBtn.addEventListener('click', () => {
             handleTypedCommand();
@@ -375,6 +601,14 @@ function handleTypedCommand() {
  * Handle voice button click - request permission if needed
  */
 async function handleVoiceButtonClick() {
+    // While hands-free, the button stands in for the wake phrase
+    if (state.handsFreeEnabled) {
+        stopSpeaking();
+        wakeHandsFree();
+        startHandsFreeRecognition();
+        return;
+    }
+
     // If already listening, stop
     if (state.isListening) {
         stopListening();
@@ -382,7 +616,7 @@ async function handleVoiceButtonClick() {
     }
 
     // Refresh in background for state sync, but do not await here.
-    // Awaiting can consume transient user activation in popup contexts.
+    // Awaiting can consume transient user activation in extension pages.
     checkMicrophonePermission().catch(() => {});
 
     // Attempt explicit permission when supported, otherwise continue to recognition.
@@ -428,302 +662,1051 @@ function stopListening() {
     }
 }
 
+async function loadLanguage() {
+    const settings = await Languages.getSettings();
+    applyLanguage(settings.language);
+}
+
 /**
- * Convert text into speech using ElevenLabs-style REST API.
- * @param {string} text - Text to synthesize.
- * @returns {Promise<Blob>} MP3 audio blob.
+ * Listen in the user's language from the next recognition session on.
+ * @param {string} language
  */
-async function callCustomTTSAPI(text) {
-    const elevenLabs = CONFIG.TTS?.ELEVENLABS;
-    const apiKey = elevenLabs?.API_KEY?.trim();
+function applyLanguage(language) {
+    state.language = language;
+    state.replyLanguage = language;
+    if (state.recognition) {
+        state.recognition.lang = language;
+    }
+}
 
-    if (!apiKey || apiKey === 'YOUR_ELEVENLABS_API_KEY_HERE') {
-        throw new Error('Custom TTS API key is not configured.');
+// ============================================
+// HANDS-FREE LISTENING
+// ============================================
+// Recognition restarts whenever Chrome ends it, speech is ignored until the
+// wake phrase is heard, and the mic is muted while the guide itself speaks
+// so it does not answer its own voice.
+
+// How long "Hey Guide" on its own keeps the guide waiting for a request
+const WAKE_WINDOW_MS = 8000;
+// Matches the debounce in scheduleVoiceCommandProcessing, so a request
+// spoken with a pause in the middle is still handled as one
+const WAKE_CONTINUE_MS = 1600;
+// Common ways the recogniser hears the greeting in "Hey Guide"
+const WAKE_GREETINGS = ['hey', 'hi', 'hay', 'okay', 'ok'];
+
+function applyHandsFreeUI(enabled) {
+    state.handsFreeEnabled = Boolean(enabled);
+
+    if (elements.handsFreeToggle) {
+        elements.handsFreeToggle.checked = state.handsFreeEnabled;
     }
 
-    if (!elevenLabs?.VOICE_ID) {
-        throw new Error('Custom TTS voice ID is not configured.');
+    if (elements.handsFreeStatus) {
+        elements.handsFreeStatus.textContent = state.handsFreeEnabled
+            ? `Say "${state.wakePhrase}" and then your request`
+            : 'Click the microphone to talk';
     }
 
-    const endpointBase = (elevenLabs.API_URL || '').replace(/\/$/, '');
-    const endpoint = `${endpointBase}/${encodeURIComponent(elevenLabs.VOICE_ID)}?output_format=${encodeURIComponent(elevenLabs.OUTPUT_FORMAT || 'mp3_44100_128')}`;
-    const controller = new AbortController();
-    state.currentTTSAbortController = controller;
+    if (elements.wakePhraseRow) {
+        elements.wakePhraseRow.hidden = !state.handsFreeEnabled;
+    }
 
-    try {
-        const response = await fetch(endpoint, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'audio/mpeg',
-                'xi-api-key': apiKey,
-            },
-            body: JSON.stringify({
-                text,
-                model_id: elevenLabs.MODEL_ID || 'eleven_multilingual_v2',
-                voice_settings: {
-                    speed: elevenLabs.SPEED ?? 0.85,
-                    stability: elevenLabs.STABILITY ?? 0.45,
-                    similarity_boost: elevenLabs.SIMILARITY_BOOST ?? 0.8,
-                    style: elevenLabs.STYLE ?? 0.2,
-                    use_speaker_boost: elevenLabs.USE_SPEAKER_BOOST ?? true,
-                },
-            }),
-            signal: controller.signal,
-        });
+    if (elements.wakePhraseInput && elements.wakePhraseInput.value !== state.wakePhrase) {
+        elements.wakePhraseInput.value = state.wakePhrase;
+    }
+}
 
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => null);
-            const errorMessage =
-                errorData?.detail?.message ||
-                errorData?.detail ||
-                errorData?.message ||
-                `Custom TTS request failed with status ${response.status}`;
-            throw new Error(errorMessage);
-        }
+async function loadHandsFreePreference() {
+    const settingsResponse = await sendRuntimeMessage({ action: 'getSettings' });
+    if (typeof settingsResponse?.wakePhrase === 'string' && settingsResponse.wakePhrase.trim()) {
+        state.wakePhrase = settingsResponse.wakePhrase.trim();
+    }
+    const enabled = typeof settingsResponse?.handsFree === 'boolean'
+        ? settingsResponse.handsFree
+        : CONFIG.FEATURES.HANDS_FREE;
+    applyHandsFreeUI(enabled);
+}
 
-        const audioBlob = await response.blob();
-        if (!audioBlob || audioBlob.size === 0) {
-            throw new Error('Custom TTS returned empty audio.');
-        }
+async function saveHandsFreePreference(settings) {
+    const result = await sendRuntimeMessage({ action: 'updateSettings', settings });
+    if (!result?.success) {
+        console.warn('Failed to persist hands-free setting');
+    }
+}
 
-        return audioBlob;
-    } finally {
-        if (state.currentTTSAbortController === controller) {
-            state.currentTTSAbortController = null;
-        }
+async function saveWakePhrase(value) {
+    state.wakePhrase = String(value || '').replace(/\s+/g, ' ').trim() || CONFIG.VOICE.WAKE_PHRASE;
+    applyHandsFreeUI(state.handsFreeEnabled);
+    await saveHandsFreePreference({ wakePhrase: state.wakePhrase });
+
+    if (state.handsFreeEnabled && state.micIndicatorMode) {
+        updateMicIndicator(state.micIndicatorMode);
     }
 }
 
-/**
- * Play custom TTS audio generated from API response.
- * @param {string} text - Text to synthesize and play.
- * @param {number} requestId - Monotonic request id used to ignore stale events.
- * @returns {Promise<void>}
- */
-async function playCustomTTSAudio(text, requestId) {
-    updateStatus('processing', 'Generating voice...');
-    elements.stopSpeechBtn.disabled = false;
+async function setHandsFree(enabled) {
+    if (enabled && !state.recognition) {
+        enabled = false;
+    }
 
-    const audioBlob = await callCustomTTSAPI(text);
-    if (requestId !== state.currentSpeakRequestId) return;
+    applyHandsFreeUI(enabled);
+    await saveHandsFreePreference({ handsFree: state.handsFreeEnabled });
 
-    const audioUrl = URL.createObjectURL(audioBlob);
-    const audio = new Audio(audioUrl);
-    audio.preload = 'auto';
+    if (!state.handsFreeEnabled) {
+        stopHandsFree();
+        return;
+    }
 
-    state.currentAudio = audio;
-    state.currentAudioUrl = audioUrl;
-    state.activeSpeechEngine = 'custom';
+    const granted = await requestMicrophonePermission();
+    if (!granted) {
+        applyHandsFreeUI(false);
+        await saveHandsFreePreference({ handsFree: false });
+        return;
+    }
+    startHandsFree();
+}
 
-    await audio.play();
-    if (requestId !== state.currentSpeakRequestId) return;
+function startHandsFree() {
+    state.handsFreePaused = false;
+    state.wakeUntil = 0;
+    startHandsFreeRecognition();
+    updateMicIndicator('listening');
+}
 
-    state.isSpeaking = true;
-    elements.stopSpeechBtn.disabled = false;
-    updateStatus('speaking', 'Speaking...');
+function stopHandsFree() {
+    clearTimeout(state.handsFreeRestartTimer);
+    clearTimeout(state.handsFreeResumeTimer);
+    state.handsFreeRestartTimer = null;
+    state.handsFreeResumeTimer = null;
+    state.handsFreePaused = false;
+    state.wakeUntil = 0;
 
-    await new Promise((resolve, reject) => {
-        audio.onended = resolve;
-        audio.onerror = () => reject(new Error('Custom TTS audio playback failed.'));
-    });
+    if (state.recognition) {
+        state.recognition.continuous = false;
+        try {
+            state.recognition.abort();
+        } catch (e) {
+            // Ignore errors when stopping
+        }
+    }
+    state.isListening = false;
+    elements.voiceBtn.classList.remove('listening');
+    updateStatus('ready', 'Ready to guide');
+    hideMicIndicator();
+}
 
-    if (requestId === state.currentSpeakRequestId) {
-        stopSpeaking(true, false);
+function startHandsFreeRecognition() {
+    if (!state.handsFreeEnabled || state.handsFreePaused || state.isListening || !state.recognition) return;
+
+    state.recognition.continuous = true;
+    try {
+        state.recognition.start();
+    } catch (e) {
+        // Already running; onend will bring us back here if it stops
+        console.warn('Hands-free restart skipped:', e.message);
     }
 }
 
 /**
- * Speak text with browser SpeechSynthesis as fallback.
- * @param {string} text - Text to speak.
- * @param {number} requestId - Monotonic request id used to ignore stale events.
+ * Chrome ends continuous recognition after a while or on silence; start it
+ * again unless we paused it on purpose.
  */
-function speakWithBrowserTTS(text, requestId) {
-    const utterance = new SpeechSynthesisUtterance(text);
-    utterance.rate = CONFIG.VOICE.SPEECH_RATE;
-    utterance.pitch = CONFIG.VOICE.SPEECH_PITCH;
-    utterance.lang = CONFIG.VOICE.LANGUAGE;
+function handleHandsFreeEnd() {
+    state.isListening = false;
+    elements.voiceBtn.classList.remove('listening');
 
-    state.currentUtterance = utterance;
-    state.activeSpeechEngine = 'browser';
+    if (!state.handsFreeEnabled || state.handsFreePaused) return;
 
-    utterance.onstart = () => {
-        if (requestId !== state.currentSpeakRequestId) return;
-        state.isSpeaking = true;
-        elements.stopSpeechBtn.disabled = false;
-        updateStatus('speaking', 'Speaking...');
-    };
+    clearTimeout(state.handsFreeRestartTimer);
+    state.handsFreeRestartTimer = setTimeout(() => {
+        state.handsFreeRestartTimer = null;
+        startHandsFreeRecognition();
+    }, 300);
+}
 
-    utterance.onend = () => {
-        if (requestId !== state.currentSpeakRequestId) return;
-        state.currentUtterance = null;
-        state.activeSpeechEngine = null;
-        state.isSpeaking = false;
-        elements.stopSpeechBtn.disabled = true;
-        updateStatus('ready', 'Ready to guide');
-    };
+function handleHandsFreeResult(event) {
+    for (let i = event.resultIndex; i < event.results.length; i++) {
+        const result = event.results[i];
+        const text = result[0].transcript.trim();
+        const wake = matchWakePhrase(text);
+        const awake = Date.now() < state.wakeUntil;
 
-    utterance.onerror = (event) => {
-        if (requestId !== state.currentSpeakRequestId) return;
-        console.error('Browser TTS error:', event.error);
-        state.currentUtterance = null;
-        state.activeSpeechEngine = null;
-        state.isSpeaking = false;
-        elements.stopSpeechBtn.disabled = true;
-        updateStatus('ready', 'Ready to guide');
-    };
+        if (!result.isFinal) {
+            if (wake || awake) {
+                setTranscriptText(wake ? wake.command : text);
+            }
+            continue;
+        }
 
-    elements.stopSpeechBtn.disabled = false;
-    state.synthesis.speak(utterance);
+        if (wake && !wake.command) {
+            wakeHandsFree();
+        } else if (wake || awake) {
+            queueHandsFreeCommand(wake ? wake.command : text);
+        }
+    }
 }
 
-async function speak(text) {
-    if (!state.voiceOutputEnabled) return;
-
-    const message = String(text || '').trim();
-    if (!message) return;
-
-    // Start a new speech cycle and invalidate older callbacks.
-    const requestId = state.currentSpeakRequestId + 1;
-    stopSpeaking(false, false);
-    state.currentSpeakRequestId = requestId;
-
-    const useCustomTTS = Boolean(
-        CONFIG.FEATURES.CUSTOM_TTS_OUTPUT &&
-        CONFIG.TTS?.ENABLE_CUSTOM_TTS &&
-        CONFIG.TTS?.PROVIDER === 'elevenlabs'
-    );
+/**
+ * The wake phrase was heard on its own: treat whatever comes next as the request.
+ */
+function wakeHandsFree() {
+    state.wakeUntil = Date.now() + WAKE_WINDOW_MS;
+    setTranscriptText('');
+    updateStatus('listening', 'Listening for your request...');
+    updateMicIndicator('awake');
+}
 
-    if (useCustomTTS) {
-        try {
-            await playCustomTTSAudio(message, requestId);
-            return;
-        } catch (error) {
-            if (error?.name === 'AbortError' || requestId !== state.currentSpeakRequestId) {
-                return;
-            }
+function queueHandsFreeCommand(text) {
+    if (!text) return;
 
-            console.error('Custom TTS failed, falling back to browser TTS:', error);
+    state.wakeUntil = Date.now() + WAKE_CONTINUE_MS;
+    const transcript = [state.pendingVoiceTranscript, text].filter(Boolean).join(' ');
+    setTranscriptText(transcript);
+    scheduleVoiceCommandProcessing(transcript);
+    updateMicIndicator('listening');
+}
 
-            if (!CONFIG.TTS?.FALLBACK_TO_BROWSER_TTS) {
-                updateResponse(`Voice output error: ${error.message}`);
-                stopSpeaking(true, false);
-                return;
-            }
+/**
+ * Find the wake phrase in a transcript, allowing for the way greetings are
+ * commonly misheard.
+ * @param {string} text
+ * @returns {{command: string}|null} Whatever was said after the phrase.
+ */
+function matchWakePhrase(text) {
+    const words = state.wakePhrase
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}'\s]/gu, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+    if (!words.length) return null;
 
-            updateStatus('processing', 'Custom voice unavailable, using browser voice...');
-        }
+    const parts = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    if (WAKE_GREETINGS.includes(words[0])) {
+        parts[0] = `(?:${WAKE_GREETINGS.join('|')})`;
     }
 
-    speakWithBrowserTTS(message, requestId);
+    const separator = "[^\\p{L}\\p{N}']+";
+    const pattern = new RegExp(`(?:^|${separator})${parts.join(separator)}(?![\\p{L}\\p{N}'])[\\s,.!?:;-]*`, 'iu');
+    const match = pattern.exec(text);
+    if (!match) return null;
+
+    return { command: text.slice(match.index + match[0].length).trim() };
 }
 
 /**
- * Stop all speech output (custom audio and browser TTS), clean resources, and reset UI.
- * @param {boolean} updateUI - Whether to set status back to ready.
- * @param {boolean} invalidateRequest - Whether to invalidate in-flight speech callbacks.
+ * Mute recognition while the guide speaks.
  */
-function stopSpeaking(updateUI = true, invalidateRequest = true) {
-    if (invalidateRequest) {
-        state.currentSpeakRequestId += 1;
-    }
+function pauseHandsFree() {
+    if (!state.handsFreeEnabled) return;
 
-    if (state.currentTTSAbortController) {
-        try {
-            state.currentTTSAbortController.abort();
-        } catch (e) {
-            console.warn('Failed to abort custom TTS request:', e);
-        } finally {
-            state.currentTTSAbortController = null;
-        }
-    }
+    clearTimeout(state.handsFreeResumeTimer);
+    clearTimeout(state.handsFreeRestartTimer);
+    state.handsFreeResumeTimer = null;
+    state.handsFreeRestartTimer = null;
+    state.handsFreePaused = true;
 
     try {
-        state.synthesis.cancel();
+        state.recognition?.abort();
     } catch (e) {
-        console.warn('Failed to cancel browser TTS:', e);
+        // Ignore errors when stopping
     }
+    updateMicIndicator('paused');
+}
 
-    state.currentUtterance = null;
+/**
+ * Listen again once speech has finished, after a short gap so the tail of
+ * our own audio is not picked up.
+ */
+function resumeHandsFree() {
+    if (!state.handsFreeEnabled || !state.handsFreePaused) return;
+
+    clearTimeout(state.handsFreeResumeTimer);
+    state.handsFreeResumeTimer = setTimeout(() => {
+        state.handsFreeResumeTimer = null;
+        state.handsFreePaused = false;
+        startHandsFreeRecognition();
+        updateMicIndicator(Date.now() < state.wakeUntil ? 'awake' : 'listening');
+    }, 500);
+}
 
-    if (state.currentAudio) {
-        try {
-            state.currentAudio.pause();
-            state.currentAudio.src = '';
-        } catch (e) {
-            console.warn('Failed to stop custom audio:', e);
-        }
-        state.currentAudio = null;
+/**
+ * Show the live-mic badge on the active page, moving it when the user
+ * switches tabs.
+ * @param {'listening'|'paused'|'awake'} mode
+ */
+async function updateMicIndicator(mode) {
+    state.micIndicatorMode = mode;
+    const tab = await getActiveTab();
+    if (!tab?.id) return;
+
+    if (state.micIndicatorTabId && state.micIndicatorTabId !== tab.id) {
+        hideMicIndicator();
     }
+    state.micIndicatorTabId = tab.id;
 
-    if (state.currentAudioUrl) {
-        URL.revokeObjectURL(state.currentAudioUrl);
-        state.currentAudioUrl = null;
+    try {
+        await chrome.tabs.sendMessage(tab.id, { action: 'showMicIndicator', mode, wakePhrase: state.wakePhrase });
+    } catch (error) {
+        // No content script on this page (e.g. browser pages)
     }
+}
 
-    state.activeSpeechEngine = null;
-    state.isSpeaking = false;
-    elements.stopSpeechBtn.disabled = true;
+function hideMicIndicator() {
+    const tabId = state.micIndicatorTabId;
+    state.micIndicatorTabId = null;
+    if (!tabId) return;
 
-    if (updateUI) {
-        updateStatus('ready', 'Ready to guide');
-    }
+    chrome.tabs.sendMessage(tabId, { action: 'hideMicIndicator' }).catch(() => {});
 }
 
 // ============================================
-// COMMAND PROCESSING
+// SPEECH OUTPUT
 // ============================================
-async function processVoiceCommand(transcript) {
-    const prompt = String(transcript || '').trim();
-    if (!prompt) return;
-    await processCommand('navigate', prompt);
+// speak() splits a message into chunks of a sentence or two and plays them in
+// order. The next chunk is synthesized while the current one plays, and every
+// clip goes into AudioCache, so phrases the guide repeats play without a wait.
+// state.speech keeps the message after it ends or is stopped, for "repeat
+// that", "skip" and "slower".
+
+const SPEECH_CHUNK_MIN_CHARS = 80; // Shorter sentences are joined to the next
+const SPEECH_CHUNK_MAX_CHARS = 240;
+
+async function loadSpeechRate() {
+    const settingsResponse = await sendRuntimeMessage({ action: 'getSettings' });
+    state.speechRate = clampSpeechRate(Number(settingsResponse?.speechRate) || 1);
 }
 
-async function processCommand(type, customQuery = null) {
-    if (state.isProcessing) return;
-    
-    state.isProcessing = true;
-    updateStatus('processing', 'Analyzing page...');
-    updateResponse('<span class="loading"></span> Processing your request...');
-    
-    try {
-        // Get page content from content script
-        const pageData = await getPageContent();
-        
-        if (!pageData) {
-            throw new Error('Could not access page content. Please refresh the page and try again.');
-        }
+function clampSpeechRate(rate) {
+    return Math.min(CONFIG.VOICE.MAX_RATE, Math.max(CONFIG.VOICE.MIN_RATE, Math.round(rate * 100) / 100));
+}
 
-        // Reset previous guidance before generating a new recommendation
-        if (CONFIG.FEATURES.VISUAL_ARROWS) {
-            await sendToContentScript({ action: 'clearHighlights' });
-        }
-        
-        // Build prompt based on command type
-        let prompt = buildPrompt(type, pageData, customQuery);
-        
-        // Call Gemini API
-        const response = await callGeminiAPI(prompt);
-        
-        // Parse and display response
-        await handleGeminiResponse(response, type, pageData);
-        
-    } catch (error) {
-        console.error('Command processing error:', error);
-        const errorMessage = `Sorry, I encountered an error: ${error.message}`;
-        updateResponse(errorMessage);
-        speak(errorMessage);
-    } finally {
-        state.isProcessing = false;
-        updateStatus('ready', 'Ready to guide');
-    }
+/**
+ * Say text with the configured voice.
+ * @param {string} text
+ * @param {{always?: boolean, rate?: number, lang?: string}} options - `always`
+ *   speaks even when voice output is off (read aloud); `rate` sets the speed
+ *   instead of the user's speech rate; `lang` is the text's language (the
+ *   extension's own messages are English, model replies are in
+ *   state.replyLanguage).
+ * @returns {Promise<boolean>} Resolves when speech ends: true if the text was
+ *   spoken to the end, false if it was stopped, replaced or failed.
+ */
+async function speak(text, options = {}) {
+    const message = String(text || '').trim();
+    if (!message) return false;
+
+    state.lastSpokenText = message;
+    if (!state.voiceOutputEnabled && !options.always) return false;
+
+    const lang = options.lang || CONFIG.VOICE.LANGUAGE;
+    return startSpeech({
+        chunks: splitSpeechChunks(message, lang),
+        index: 0,
+        lang,
+        rate: options.rate || null,
+        always: Boolean(options.always),
+    });
 }
 
-// ============================================
-// PAGE CONTENT EXTRACTION
-// ============================================
-async function getPageContent() {
-    return new Promise(async (resolve) => {
+/**
+ * Split a message into whole sentences, joining short ones so a chunk is
+ * worth a request to the voice provider.
+ * @param {string} text
+ * @param {string} lang
+ * @returns {string[]}
+ */
+function splitSpeechChunks(text, lang) {
+    let sentences;
+    try {
+        const segmenter = new Intl.Segmenter(lang, { granularity: 'sentence' });
+        sentences = Array.from(segmenter.segment(text), part => part.segment.trim()).filter(Boolean);
+    } catch (e) {
+        sentences = [text];
+    }
+
+    const chunks = [];
+    sentences.forEach((sentence) => {
+        const last = chunks[chunks.length - 1];
+        if (last && last.length < SPEECH_CHUNK_MIN_CHARS && last.length + sentence.length < SPEECH_CHUNK_MAX_CHARS) {
+            chunks[chunks.length - 1] = `${last} ${sentence}`;
+        } else {
+            chunks.push(sentence);
+        }
+    });
+    return chunks.length ? chunks : [text];
+}
+
+/**
+ * Play a message from chunk `message.index` on, replacing any speech in
+ * progress.
+ * @param {{chunks: string[], index: number, lang: string, rate: number|null, always: boolean}} message
+ * @returns {Promise<boolean>} See speak().
+ */
+function startSpeech(message) {
+    // Start a new speech cycle and invalidate older callbacks.
+    stopSpeaking(false);
+    const requestId = state.currentSpeakRequestId;
+    state.speech = {
+        ...message,
+        providerIndex: 0, // Position in the voice chain; stays on the one that worked
+        prefetch: null, // { index, providerId, audio } for the chunk after the current one
+        controller: new AbortController(),
+    };
+    pauseHandsFree();
+    const done = new Promise((resolve) => {
+        state.resolveSpeech = resolve;
+    });
+
+    playSpeech(requestId, state.speech);
+    return done;
+}
+
+/**
+ * Speak the chunks in order until the end, or until requestId is replaced by
+ * a stop or a restart.
+ */
+async function playSpeech(requestId, speech) {
+    const chain = await TTSProviders.getChain();
+    if (requestId !== state.currentSpeakRequestId) return;
+
+    while (speech.index < speech.chunks.length) {
+        const played = await playSpeechChunk(requestId, speech, chain);
+        if (requestId !== state.currentSpeakRequestId) return;
+        if (!played) {
+            stopSpeaking(true, false);
+            return;
+        }
+        speech.index += 1;
+    }
+
+    finishSpeech(true);
+    stopSpeaking(true, false);
+}
+
+/**
+ * Speak the current chunk, trying the voices in the order chosen in settings
+ * until one works; voices without an API key are already left out.
+ * @returns {Promise<boolean>} Whether the chunk was spoken to the end.
+ */
+async function playSpeechChunk(requestId, speech, chain) {
+    let lastError = null;
+
+    for (; speech.providerIndex < chain.length; speech.providerIndex += 1) {
+        const providerId = chain[speech.providerIndex];
+        if (TTSProviders.providers[providerId].builtIn) {
+            return speakWithBrowserTTS(requestId, speech);
+        }
+
+        try {
+            return await playCustomTTSAudio(requestId, speech, providerId);
+        } catch (error) {
+            if (error?.name === 'AbortError' || requestId !== state.currentSpeakRequestId) {
+                return false;
+            }
+
+            console.error('Voice failed, trying the next one:', error);
+            lastError = error;
+            speech.prefetch = null;
+            updateStatus('processing', 'Voice unavailable, trying the next one...');
+        }
+    }
+
+    updateResponse(`Voice output error: ${lastError?.message || 'No voice is available.'}`);
+    return false;
+}
+
+/**
+ * Play the current chunk with one of the TTS providers (see tts-providers.js)
+ * while the next chunk is synthesized.
+ * @param {number} requestId - Monotonic request id used to ignore stale events.
+ * @param {Object} speech - state.speech.
+ * @param {string} providerId - TTSProviders id other than 'browser'.
+ * @returns {Promise<boolean>} Whether the chunk played to the end.
+ */
+async function playCustomTTSAudio(requestId, speech, providerId) {
+    if (!state.isSpeaking) {
+        updateStatus('processing', 'Generating voice...');
+    }
+    elements.stopSpeechBtn.disabled = false;
+
+    const audioBlob = await getSpeechAudio(providerId, speech, speech.index);
+    if (requestId !== state.currentSpeakRequestId) return false;
+    prefetchSpeechAudio(providerId, speech, speech.index + 1);
+
+    const audioUrl = URL.createObjectURL(audioBlob);
+    const audio = new Audio(audioUrl);
+    audio.preload = 'auto';
+    audio.playbackRate = speech.rate || state.speechRate;
+
+    state.currentAudio = audio;
+    state.currentAudioUrl = audioUrl;
+    state.activeSpeechEngine = 'custom';
+
+    await audio.play();
+    if (requestId !== state.currentSpeakRequestId) return false;
+
+    noteSpeechEngine(providerId);
+    state.isSpeaking = true;
+    elements.stopSpeechBtn.disabled = false;
+    updateStatus('speaking', 'Speaking...');
+
+    await new Promise((resolve, reject) => {
+        audio.onended = resolve;
+        audio.onerror = () => reject(new Error('The voice audio could not be played.'));
+    });
+    if (requestId !== state.currentSpeakRequestId) return false;
+
+    state.currentAudio = null;
+    state.currentAudioUrl = null;
+    URL.revokeObjectURL(audioUrl);
+    return true;
+}
+
+/**
+ * Audio for one chunk: the prefetched clip when there is one, otherwise from
+ * the cache or the provider.
+ * @returns {Promise<Blob>}
+ */
+function getSpeechAudio(providerId, speech, index) {
+    const prefetch = speech.prefetch;
+    speech.prefetch = null;
+    if (prefetch && prefetch.index === index && prefetch.providerId === providerId) {
+        return prefetch.audio;
+    }
+    return loadSpeechAudio(providerId, speech.chunks[index], speech.lang, speech.controller.signal);
+}
+
+function prefetchSpeechAudio(providerId, speech, index) {
+    if (index >= speech.chunks.length) return;
+
+    const audio = loadSpeechAudio(providerId, speech.chunks[index], speech.lang, speech.controller.signal);
+    // A failure is dealt with when the chunk's turn comes
+    audio.catch(() => {});
+    speech.prefetch = { index, providerId, audio };
+}
+
+async function loadSpeechAudio(providerId, text, lang, signal) {
+    const key = await AudioCache.buildKey(providerId, text, lang);
+    const cached = await AudioCache.get(key);
+    if (cached) return cached;
+
+    const audio = await TTSProviders.synthesize(providerId, text, { lang, signal });
+    AudioCache.set(key, audio).catch((error) => {
+        console.warn('Failed to cache speech audio:', error);
+    });
+    return audio;
+}
+
+/**
+ * Speak the current chunk with browser SpeechSynthesis.
+ * @param {number} requestId - Monotonic request id used to ignore stale events.
+ * @param {Object} speech - state.speech.
+ * @returns {Promise<boolean>} Whether the chunk was spoken to the end.
+ */
+function speakWithBrowserTTS(requestId, speech) {
+    return new Promise((resolve) => {
+        const utterance = new SpeechSynthesisUtterance(speech.chunks[speech.index]);
+        utterance.rate = CONFIG.VOICE.SPEECH_RATE * (speech.rate || state.speechRate);
+        utterance.pitch = CONFIG.VOICE.SPEECH_PITCH;
+        utterance.lang = speech.lang;
+        utterance.voice = pickBrowserVoice(speech.lang);
+
+        state.currentUtterance = utterance;
+        state.activeSpeechEngine = 'browser';
+
+        utterance.onstart = () => {
+            if (requestId !== state.currentSpeakRequestId) return;
+            noteSpeechEngine('browser');
+            state.isSpeaking = true;
+            elements.stopSpeechBtn.disabled = false;
+            updateStatus('speaking', 'Speaking...');
+        };
+
+        // A stale chunk still settles, so the playSpeech() loop waiting on it ends
+        utterance.onend = () => {
+            if (requestId !== state.currentSpeakRequestId) {
+                resolve(false);
+                return;
+            }
+            state.currentUtterance = null;
+            resolve(true);
+        };
+
+        utterance.onerror = (event) => {
+            if (requestId !== state.currentSpeakRequestId) {
+                resolve(false);
+                return;
+            }
+            console.error('Browser TTS error:', event.error);
+            state.currentUtterance = null;
+            resolve(false);
+        };
+
+        elements.stopSpeechBtn.disabled = false;
+        state.synthesis.speak(utterance);
+    });
+}
+
+/**
+ * Pick an installed voice for a language: an exact match first, then any
+ * voice for the same language. With none, Chrome falls back on its own.
+ * @param {string} lang
+ * @returns {SpeechSynthesisVoice|null}
+ */
+function pickBrowserVoice(lang) {
+    const voices = state.synthesis.getVoices();
+    return voices.find(voice => voice.lang === lang)
+        || voices.find(voice => Languages.isSame(voice.lang, lang))
+        || null;
+}
+
+/**
+ * Carry on with the latest message from chunk `index`, whether it is still
+ * playing or was stopped. Whoever is waiting on speak() keeps waiting.
+ * @param {number} index
+ */
+function resumeSpeech(index) {
+    const speech = state.speech;
+    if (!state.voiceOutputEnabled && !speech.always) return;
+
+    const resolve = state.resolveSpeech;
+    state.resolveSpeech = null;
+    const done = startSpeech({ ...speech, index });
+    if (resolve) done.then(resolve);
+}
+
+function hasUnfinishedSpeech() {
+    return Boolean(state.speech) && state.speech.index < state.speech.chunks.length;
+}
+
+/**
+ * "Repeat that": say the current chunk again, or the whole message once it
+ * has been spoken to the end.
+ * @returns {boolean} False when nothing has been said yet.
+ */
+function repeatSpeech() {
+    if (hasUnfinishedSpeech()) {
+        resumeSpeech(state.speech.index);
+        return true;
+    }
+    if (!state.lastSpokenText) return false;
+
+    updateResponse(state.lastSpokenText);
+    speak(state.lastSpokenText, { lang: state.speech?.lang });
+    return true;
+}
+
+/**
+ * "Skip": move on to the next chunk.
+ * @returns {boolean} False when there is nothing left to skip.
+ */
+function skipSpeech() {
+    if (!hasUnfinishedSpeech()) return false;
+    resumeSpeech(state.speech.index + 1);
+    return true;
+}
+
+/**
+ * "Slower" / "faster": change the user's speech rate, then say the current
+ * chunk (or the last message) again at the new speed. Audio that is already
+ * playing just changes speed.
+ * @param {number} direction - -1 for slower, 1 for faster.
+ */
+async function changeSpeechRate(direction) {
+    state.speechRate = clampSpeechRate(state.speechRate + direction * CONFIG.VOICE.RATE_STEP);
+    await sendRuntimeMessage({ action: 'updateSettings', settings: { speechRate: state.speechRate } });
+
+    if (state.currentAudio && !state.speech?.rate) {
+        state.currentAudio.playbackRate = state.speechRate;
+    } else if (hasUnfinishedSpeech()) {
+        resumeSpeech(state.speech.index);
+    } else if (state.lastSpokenText) {
+        speak(state.lastSpokenText, { lang: state.speech?.lang });
+    }
+}
+
+/**
+ * Settle the promise returned by speak().
+ * @param {boolean} completed - Whether the text was spoken to the end.
+ */
+function finishSpeech(completed) {
+    const resolve = state.resolveSpeech;
+    state.resolveSpeech = null;
+    if (resolve) resolve(completed);
+}
+
+/**
+ * Stop all speech output (custom audio and browser TTS), cancel the rest of
+ * the message and any audio being fetched for it, and reset UI.
+ * @param {boolean} updateUI - Whether to set status back to ready.
+ * @param {boolean} invalidateRequest - Whether to invalidate in-flight speech callbacks.
+ */
+function stopSpeaking(updateUI = true, invalidateRequest = true) {
+    if (invalidateRequest) {
+        state.currentSpeakRequestId += 1;
+    }
+
+    if (state.speech) {
+        state.speech.controller.abort();
+        state.speech.prefetch = null;
+    }
+
+    try {
+        state.synthesis.cancel();
+    } catch (e) {
+        console.warn('Failed to cancel browser TTS:', e);
+    }
+
+    state.currentUtterance = null;
+
+    if (state.currentAudio) {
+        try {
+            state.currentAudio.pause();
+            state.currentAudio.src = '';
+        } catch (e) {
+            console.warn('Failed to stop custom audio:', e);
+        }
+        state.currentAudio = null;
+    }
+
+    if (state.currentAudioUrl) {
+        URL.revokeObjectURL(state.currentAudioUrl);
+        state.currentAudioUrl = null;
+    }
+
+    state.activeSpeechEngine = null;
+    state.isSpeaking = false;
+    elements.stopSpeechBtn.disabled = !state.currentResponseController;
+    finishSpeech(false);
+    resumeHandsFree();
+
+    if (updateUI) {
+        updateStatus('ready', 'Ready to guide');
+    }
+}
+
+/**
+ * Speak part of a model reply after whatever is already queued instead of
+ * cutting it off. Anything that interrupts the voice (Stop, another message)
+ * empties the queue.
+ * @param {string} text
+ */
+function queueSpeech(text) {
+    const message = String(text || '').trim();
+    if (!message) return;
+
+    state.speechQueue.push({ text: message, lang: state.replyLanguage });
+    if (!state.speechQueueRunning) {
+        runSpeechQueue();
+    }
+}
+
+async function runSpeechQueue() {
+    state.speechQueueRunning = true;
+    let spoken = '';
+
+    while (state.speechQueue.length) {
+        const item = state.speechQueue.shift();
+        const completed = await speak(item.text, { lang: item.lang });
+        if (!completed) {
+            state.speechQueue = [];
+            break;
+        }
+        // "Repeat" should say the whole answer, not just its last sentence
+        spoken = [spoken, item.text].filter(Boolean).join(' ');
+        state.lastSpokenText = spoken;
+    }
+
+    state.speechQueueRunning = false;
+}
+
+// ============================================
+// COMMAND PROCESSING
+// ============================================
+async function processVoiceCommand(transcript) {
+    const prompt = String(transcript || '').trim();
+    if (!prompt) return;
+
+    if (/^(start over|start again|new conversation|reset)[.!]?$/i.test(prompt)) {
+        await startOver();
+        return;
+    }
+
+    if (state.formActive) {
+        await handleFormReply(prompt);
+        return;
+    }
+
+    if (isFormStartCommand(prompt)) {
+        await startFormGuide();
+        return;
+    }
+
+    if (state.pendingAction && await handleActionReply(prompt)) return;
+
+    const readCommand = matchReadAloudCommand(prompt);
+    if (readCommand) {
+        await runReadAloudCommand(readCommand);
+        return;
+    }
+
+    const pathDirection = matchPathStepCommand(prompt);
+    if (pathDirection && await stepGuidePath(pathDirection)) return;
+
+    const localCommand = CommandRouter.match(prompt);
+    if (localCommand) {
+        await runLocalCommand(localCommand);
+        return;
+    }
+
+    await processCommand('navigate', prompt);
+}
+
+/**
+ * Carry out a command matched by CommandRouter right away, without asking
+ * the model.
+ * @param {{intent: string, isPageCommand: boolean}} command
+ */
+async function runLocalCommand(command) {
+    startHistoryEntry();
+    getActiveTab().then(tab => recordHistoryEntry({ site: getSiteFromUrl(tab?.url), type: 'command', intent: command.intent }));
+
+    if (command.intent === 'stopSpeaking') {
+        cancelResponseStream();
+        stopSpeaking();
+        updateResponse('Okay, I stopped.');
+        return;
+    }
+
+    if (command.intent === 'repeat') {
+        if (!repeatSpeech()) {
+            const message = "I haven't said anything yet.";
+            updateResponse(message);
+            speak(message);
+        }
+        return;
+    }
+
+    if (command.intent === 'skipSpeech') {
+        if (!skipSpeech()) {
+            updateResponse('There is nothing to skip right now.');
+        }
+        return;
+    }
+
+    if (command.intent === 'slower' || command.intent === 'faster') {
+        await changeSpeechRate(command.intent === 'slower' ? -1 : 1);
+        return;
+    }
+
+    // Moving to another heading or link, or clearing, changes what is highlighted
+    if (command.intent === 'clearHighlights' || /(Heading|Link)$/.test(command.intent)) {
+        clearPendingAction();
+    }
+
+    let message = '';
+    if (command.isPageCommand) {
+        const result = await sendToContentScript({ action: 'pageCommand', intent: command.intent });
+        message = result?.message || 'I could not reach the page. Please refresh it and try again.';
+    } else if (command.intent === 'clearHighlights') {
+        await sendToContentScript({ action: 'clearHighlights' });
+        message = 'I cleared the highlights.';
+    } else {
+        message = await runTabCommand(command.intent);
+    }
+
+    updateResponse(message);
+    speak(message);
+}
+
+/**
+ * History and reload commands act on the tab itself.
+ * @param {'goBack'|'goForward'|'reload'} intent
+ * @returns {Promise<string>} What to tell the user.
+ */
+async function runTabCommand(intent) {
+    const tab = await getActiveTab();
+    if (!tab?.id) return 'I could not find the current tab.';
+
+    try {
+        if (intent === 'goBack') {
+            await chrome.tabs.goBack(tab.id);
+            return 'Going back.';
+        }
+        if (intent === 'goForward') {
+            await chrome.tabs.goForward(tab.id);
+            return 'Going forward.';
+        }
+        await chrome.tabs.reload(tab.id);
+        return 'Reloading the page.';
+    } catch (error) {
+        console.warn('Tab command failed:', error);
+        return intent === 'goForward'
+            ? 'There is no page to go forward to.'
+            : 'There is no earlier page to go back to.';
+    }
+}
+
+/**
+ * Recognise "next" / "back" style commands used to walk a multi-step path.
+ * @param {string} text - User utterance.
+ * @returns {'next'|'back'|null}
+ */
+function matchPathStepCommand(text) {
+    const normalized = Languages.normalizeUtterance(text);
+    if (/^(next|next step|continue|done|ok next|okay next)$/.test(normalized)) return 'next';
+    if (/^(back|go back a step|previous|previous step|step back)$/.test(normalized)) return 'back';
+    return null;
+}
+
+/**
+ * Move the active on-page path one step. Returns false when no path is active
+ * so the utterance can be handled as a normal request instead.
+ */
+async function stepGuidePath(direction) {
+    const result = await sendToContentScript({ action: 'pathStep', direction });
+    if (!result) return false;
+
+    if (result.finished) {
+        const doneText = 'That was the last step. You are all set.';
+        updateResponse(doneText);
+        speak(doneText);
+        return true;
+    }
+
+    if (!result.active) return false;
+
+    const stepText = result.success
+        ? result.label
+        : `${result.label}. I cannot see it yet, so finish the previous step first.`;
+    const offer = offerAction(result.success ? result.action : null);
+    updateResponse([stepText, offer].filter(Boolean).join('\n'));
+    speak([stepText, offer].filter(Boolean).join(' '));
+    return true;
+}
+
+/**
+ * @param {'summarize'|'guide'|'navigate'} type
+ * @param {string|null} customQuery
+ * @param {{bypassCache?: boolean}} options - bypassCache asks the model even
+ *   when a saved answer exists ("Get a fresh answer").
+ */
+async function processCommand(type, customQuery = null, options = {}) {
+    if (state.isProcessing) return;
+    
+    state.isProcessing = true;
+    startHistoryEntry();
+    clearPendingAction();
+    updateStatus('processing', 'Analyzing page...');
+    showLoading('Processing your request...');
+    
+    try {
+        // Get page content from content script
+        const pageData = await getPageContent();
+        
+        if (!pageData) {
+            throw new Error('Could not access page content. Please refresh the page and try again.');
+        }
+
+        // Reset previous guidance before generating a new recommendation
+        if (CONFIG.FEATURES.VISUAL_ARROWS) {
+            await sendToContentScript({ action: 'clearHighlights' });
+        }
+        
+        // Load what was said earlier in this tab
+        const tab = await getActiveTab();
+        const site = getSiteFromUrl(pageData.url);
+        const history = tab ? await loadConversation(tab.id, site) : [];
+        
+        // Replies are in the user's language, whatever the page's language
+        const language = await Languages.resolve(type, pageData);
+        state.replyLanguage = language.reply;
+
+        // A reply to our clarification question only makes sense in context
+        const cacheKey = history.at(-1)?.clarification
+            ? null
+            : await ResponseCache.buildKey(type, pageData, customQuery, language.reply);
+        let response = cacheKey && !options.bypassCache ? await ResponseCache.get(cacheKey) : null;
+        const fromCache = Boolean(response);
+        let stream = null;
+        
+        if (!response) {
+            // Build prompt based on command type
+            const prompt = GuideAssistant.buildPrompt(type, pageData, customQuery, history.length > 0, null, language);
+            
+            // Call the configured language model and validate its reply,
+            // showing and speaking it while it streams in
+            stream = CONFIG.FEATURES.STREAM_RESPONSES ? createResponseStream(type, pageData) : null;
+            const controller = new AbortController();
+            state.currentResponseController = controller;
+            elements.stopSpeechBtn.disabled = false;
+            try {
+                response = await GuideAssistant.getGuideResponse(prompt, pageData, history, () => {
+                    updateStatus('processing', 'Double-checking the answer...');
+                }, {
+                    signal: controller.signal,
+                    onText: stream ? text => stream.update(text) : null,
+                });
+            } finally {
+                if (state.currentResponseController === controller) {
+                    state.currentResponseController = null;
+                }
+                elements.stopSpeechBtn.disabled = !state.isSpeaking;
+            }
+            
+            if (cacheKey && !response.clarification) {
+                await ResponseCache.set(cacheKey, response);
+            }
+        }
+        state.lastCommand = { type, customQuery };
+        
+        // Display and act on the response; the target is re-resolved on the live page
+        state.lastAnswer = null;
+        const highlightedLabel = await handleModelResponse(response, type, pageData, stream);
+        showCacheNote(fromCache);
+        if (state.lastAnswer) {
+            await addToRequestHistory(site, type, customQuery, state.lastAnswer);
+        }
+        recordHistoryEntry({
+            site,
+            type,
+            found: ['guide', 'navigate'].includes(type) ? Boolean(highlightedLabel) : null,
+            cached: fromCache,
+        });
+
+        if (tab) {
+            await rememberExchange(tab.id, site, GuideAssistant.describeUserTurn(type, customQuery), response, highlightedLabel);
+        }
+        
+    } catch (error) {
+        const tab = await getActiveTab();
+        recordHistoryEntry({
+            site: getSiteFromUrl(tab?.url),
+            type,
+            error: error?.name === 'AbortError' ? 'Stopped before the answer finished' : error.message,
+        });
+        if (error?.name === 'AbortError') {
+            updateResponse('Okay, I stopped.');
+            return;
+        }
+        console.error('Command processing error:', error);
+        if (error.code === 'missing_key') {
+            showSetupPrompt([(await LLMProviders.getActive()).keyName]);
+        }
+        const errorMessage = `Sorry, I encountered an error: ${error.message}`;
+        updateResponse(errorMessage);
+        speak(errorMessage);
+    } finally {
+        state.isProcessing = false;
+        updateStatus('ready', 'Ready to guide');
+    }
+}
+
+// ============================================
+// PAGE CONTENT EXTRACTION
+// ============================================
+async function getPageContent() {
+    return new Promise(async (resolve) => {
         try {
             const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
             
@@ -747,7 +1730,7 @@ async function getPageContent() {
             try {
                 await chrome.scripting.executeScript({
                     target: { tabId: tab.id },
-                    files: ['config.js', 'content.js']
+                    files: ['content.js']
                 });
                 
                 // Also inject CSS
@@ -793,304 +1776,1027 @@ async function getPageContent() {
 }
 
 // ============================================
-// GEMINI API INTEGRATION
+// LANGUAGE MODEL INTEGRATION
+// ============================================
+// Prompt building and reply validation live in guide-assistant.js.
+/**
+ * Show, speak and highlight a validated reply.
+ * @param {Object} response - Validated guide response.
+ * @param {string} type - Prompt type.
+ * @param {Object} pageData - Page the prompt was built from.
+ * @param {Object|null} stream - The reply's response stream when it was
+ *   streamed; only what the stream has not already done is repeated here.
+ * @returns {Promise<string|null>} Description of what was highlighted.
+ */
+async function handleModelResponse(response, type, pageData, stream = null) {
+    if (response.clarification) {
+        updateResponse(response.clarification);
+        say(response.clarification, '', stream);
+        noteAnswer(response.clarification, response.clarification);
+        await sendToContentScript({ action: 'clearHighlights' });
+        return null;
+    }
+
+    const isActionType = ['guide', 'navigate'].includes(type);
+    const displayResponse = isActionType
+        ? GuideAssistant.formatActionStepResponse(response.display)
+        : response.display;
+    const alternativesNote = isActionType ? GuideAssistant.describeAlternatives(response) : '';
+    const responseToDisplay = [displayResponse, alternativesNote].filter(Boolean).join('\n');
+    const spokenResponse = [response.speech, alternativesNote].filter(Boolean).join(' ');
+
+    if (!isActionType) {
+        updateResponse(responseToDisplay);
+        say(spokenResponse, '', stream);
+        noteAnswer(responseToDisplay, spokenResponse);
+        return null;
+    }
+
+    if (response.steps.length >= 2) {
+        const pathSteps = GuideAssistant.resolvePathSteps(response.steps, pageData);
+        if (pathSteps.length >= 2) {
+            await rememberSuggestions([]);
+            const pathResult = await sendToContentScript({ action: 'showPath', steps: pathSteps });
+            announceGuidance(responseToDisplay, spokenResponse, pathResult?.success ? pathResult.action : null, stream);
+            noteAnswer(responseToDisplay, spokenResponse, { steps: pathSteps });
+            return pathSteps.map(step => step.description).join(' > ');
+        }
+    }
+
+    const target = GuideAssistant.resolveHighlightTarget(
+        { elementIndex: response.elementIndex, description: response.elementLabel },
+        pageData
+    );
+
+    if (target) {
+        await rememberSuggestions(GuideAssistant.collectSuggestions(response, pageData));
+        const early = stream?.highlight?.elementIndex === response.elementIndex ? stream.highlight : null;
+        const result = early ? await early.result : await sendToContentScript({
+            action: 'highlightElement',
+            selector: target.selector,
+            description: target.description,
+            locator: target.locator
+        });
+        if (!result?.success) {
+            console.warn(`Could not locate "${target.description}" on the page`, target.locator);
+        }
+        announceGuidance(responseToDisplay, spokenResponse, result?.success ? result.action : null, stream);
+        noteAnswer(responseToDisplay, spokenResponse, {
+            selector: target.selector,
+            description: target.description,
+            locator: target.locator,
+        });
+        return target.description;
+    }
+
+    const reprompt = 'I could not match that to anything on this page. What did you mean, or what should I look for?';
+    updateResponse(reprompt);
+    speak(reprompt);
+    await sendToContentScript({ action: 'clearHighlights' });
+    console.warn('No actionable target available to highlight for this prompt.');
+    return null;
+}
+
+/**
+ * Let the "next suggestion" shortcut cycle through this answer's suggestions.
+ */
+async function rememberSuggestions(suggestions) {
+    const tab = await getActiveTab();
+    if (!tab) return;
+    await sendRuntimeMessage({ action: 'setSuggestions', tabId: tab.id, suggestions });
+}
+
+/**
+ * Show and speak guidance, offering to act on the highlighted element when
+ * "do it for me" mode is on.
+ */
+function announceGuidance(displayText, spokenText, action, stream = null) {
+    const offer = offerAction(action);
+    updateResponse([displayText, offer].filter(Boolean).join('\n'));
+    say(spokenText, offer, stream);
+}
+
+/**
+ * Speak a reply followed by an optional extra (an offer, a note). For a
+ * streamed reply only the part not already queued is added.
+ */
+function say(text, extra, stream) {
+    if (stream) {
+        stream.speakRest(text, extra);
+    } else {
+        speak([text, extra].filter(Boolean).join(' '), { lang: state.replyLanguage });
+    }
+}
+
+// ============================================
+// STREAMED RESPONSES
+// ============================================
+// While a reply streams in, its display text is shown as it grows, each
+// finished sentence of its speech goes to the speech queue, and the target is
+// highlighted as soon as its index and label have arrived.
+
+/**
+ * @param {string} type - Prompt type.
+ * @param {Object} pageData - Page the prompt was built from.
+ * @returns {Object} Stream handler; pass update() as the onText callback.
+ */
+function createResponseStream(type, pageData) {
+    const isActionType = ['guide', 'navigate'].includes(type);
+
+    return {
+        queuedSpeech: '', // Start of the speech field already queued
+        highlight: null, // { elementIndex, result } once highlighted early
+
+        update(text) {
+            const fields = GuideResponse.parsePartial(text);
+
+            const shown = fields.clarification?.value || fields.display?.value;
+            if (typeof shown === 'string' && shown.trim()) {
+                updateStatus('processing', 'Answering...');
+                updateResponse(shown);
+            }
+
+            const speech = fields.speech;
+            if (typeof speech?.value === 'string' && speech.value.length > this.queuedSpeech.length) {
+                const pending = speech.value.slice(this.queuedSpeech.length);
+                const { sentences, rest } = speech.complete
+                    ? { sentences: [pending], rest: '' }
+                    : takeFinishedSentences(pending);
+                sentences.forEach(queueSpeech);
+                this.queuedSpeech = speech.value.slice(0, speech.value.length - rest.length);
+            }
+
+            const elementIndex = fields.elementIndex?.value;
+            if (isActionType && !this.highlight && Number.isInteger(elementIndex) && fields.elementLabel?.complete) {
+                this.highlightEarly(elementIndex, fields.elementLabel.value);
+            }
+        },
+
+        highlightEarly(elementIndex, label) {
+            if (!CONFIG.FEATURES.VISUAL_ARROWS) return;
+
+            const target = GuideAssistant.resolveHighlightTarget({ elementIndex, description: label }, pageData);
+            if (!target) return;
+
+            this.highlight = {
+                elementIndex,
+                result: sendToContentScript({
+                    action: 'highlightElement',
+                    selector: target.selector,
+                    description: target.description,
+                    locator: target.locator
+                }),
+            };
+        },
+
+        /**
+         * Queue what is left of the final speech after the streamed part.
+         */
+        speakRest(text, extra = '') {
+            const full = String(text || '').trim();
+            const queued = this.queuedSpeech.trim();
+            // A repaired reply may not continue the streamed one; then only
+            // the extra is added rather than saying the answer twice
+            const rest = full.startsWith(queued) ? full.slice(queued.length) : (queued ? '' : full);
+            queueSpeech([rest.trim(), extra].filter(Boolean).join(' '));
+        },
+    };
+}
+
+/**
+ * Split off the sentences at the start of `text` that are certainly
+ * finished, leaving the unfinished tail.
+ * @param {string} text
+ * @returns {{sentences: string[], rest: string}}
+ */
+function takeFinishedSentences(text) {
+    const sentences = [];
+    let start = 0;
+
+    for (const match of text.matchAll(/[.!?…]+["'”’)\]]*\s+/g)) {
+        const end = match.index + match[0].length;
+        const sentence = text.slice(start, end).trim();
+        if (sentence) sentences.push(sentence);
+        start = end;
+    }
+
+    return { sentences, rest: text.slice(start) };
+}
+
+/**
+ * Abort the model reply being streamed, if any.
+ */
+function cancelResponseStream() {
+    if (state.currentResponseController) {
+        state.currentResponseController.abort();
+        state.currentResponseController = null;
+    }
+}
+
+// ============================================
+// GUIDED FORM FILLING
+// ============================================
+/**
+ * Pick up a form walkthrough that is still running in the tab, e.g. after
+ * switching back to it.
+ */
+async function restoreFormGuide() {
+    const status = await sendToContentScript({ action: 'formGuide', command: 'status' });
+    state.formActive = Boolean(status?.active);
+}
+
+function isFormStartCommand(text) {
+    const normalized = Languages.normalizeUtterance(text);
+    return /^(help me |can you help me |please )?(fill in|fill out|complete|fill) (this|the|a) form( for me)?( please)?$/.test(normalized) ||
+        normalized === 'form mode';
+}
+
+async function startFormGuide() {
+    clearPendingAction();
+    const result = await sendToContentScript({ action: 'formGuide', command: 'start' });
+    if (!result) {
+        const message = 'I could not reach the page. Please refresh it and try again.';
+        updateResponse(message);
+        speak(message);
+        return;
+    }
+    announceFormStep(result, 'I will go through the form one field at a time. Say "skip" to leave a field empty, "back" to go back, or "stop" to finish.');
+}
+
+/**
+ * While a form is active every reply is either a navigation word or the
+ * answer for the current field.
+ */
+async function handleFormReply(text) {
+    const normalized = Languages.normalizeUtterance(text);
+    let command = 'answer';
+
+    if (/^(stop|exit|quit|cancel|stop filling|exit form|stop the form|cancel form)$/.test(normalized)) command = 'stop';
+    else if (/^(skip|skip it|skip this|skip this one|leave it empty|leave it blank)$/.test(normalized)) command = 'skip';
+    else if (/^(next|done|next field|i'?m done|i am done|i'?ve typed it|i typed it)$/.test(normalized)) command = 'next';
+    else if (/^(back|go back|previous|previous field)$/.test(normalized)) command = 'back';
+    else if (/^(repeat|say that again|what was that|again)$/.test(normalized)) command = 'repeat';
+
+    const result = await sendToContentScript({ action: 'formGuide', command, value: text });
+    if (!result) {
+        state.formActive = false;
+        const message = 'The form is no longer available. The page may have changed.';
+        updateResponse(message);
+        speak(message);
+        return;
+    }
+    announceFormStep(result);
+}
+
+/**
+ * Speak the current field, a validation error, or the end of the form.
+ * @param {Object} result - Reply from the content script's FormGuide.
+ * @param {string} [intro] - Sentence said before the first field.
+ */
+function announceFormStep(result, intro = '') {
+    state.formActive = Boolean(result.active);
+
+    let message;
+    if (result.finished) {
+        message = 'That was the last field. Check the form, then submit it when you are ready.';
+    } else if (result.stopped) {
+        message = 'Okay, I stopped helping with the form.';
+    } else if (!result.active) {
+        message = result.message || 'I could not find a form to fill in on this page.';
+    } else {
+        message = [
+            result.error ? `That did not work: ${result.error} Please try again, or say skip.` : intro,
+            describeFormField(result),
+        ].filter(Boolean).join(' ');
+    }
+
+    updateResponse(message);
+    speak(message);
+}
+
+function describeFormField({ index, total, field }) {
+    const parts = [`Field ${index + 1} of ${total}: ${field.label}.`];
+    parts.push(field.required ? 'Required.' : 'Optional.');
+    if (field.hints.length) parts.push(`${field.hints.join(', ').replace(/\.$/, '')}.`);
+    if (field.value) parts.push(`It currently says ${field.value}.`);
+
+    const instructions = {
+        text: 'Say your answer.',
+        select: `Choose one of: ${field.options.join(', ')}.`,
+        radio: `Choose one of: ${field.options.join(', ')}.`,
+        checkbox: 'Say yes or no.',
+        sensitive: 'For your privacy, type this one yourself, then say "next".',
+    };
+    parts.push(instructions[field.kind] || instructions.text);
+    return parts.join(' ');
+}
+
+// ============================================
+// ACTION EXECUTION ("DO IT FOR ME")
 // ============================================
-function getIndexedInteractiveElements(pageData) {
-    return (pageData.interactiveElements || []).slice(0, 20).map((element, index) => ({
-        index,
-        tag: element.tag,
-        type: element.type,
-        text: element.text || null,
-        ariaLabel: element.ariaLabel || null,
-        href: element.href || null,
-    }));
-}
-
-function buildPrompt(type, pageData, customQuery) {
-    const indexedInteractiveElements = getIndexedInteractiveElements(pageData);
-
-    const baseContext = `
-You are a helpful web accessibility guide. Your role is to help users understand web pages and navigate them effectively.
-You speak in a friendly, clear, and concise manner - like a helpful tour guide.
-
-Current Page Information:
-- URL: ${pageData.url}
-- Title: ${pageData.title}
-- Main Content Summary: ${pageData.textContent.substring(0, 3000)}
-- Interactive Elements (indexed): ${JSON.stringify(indexedInteractiveElements)}
-- Navigation Links: ${JSON.stringify(pageData.navigationLinks.slice(0, 15))}
-- Page Structure: ${JSON.stringify(pageData.headings)}
-`;
-
-    const prompts = {
-        summarize: `${baseContext}
-
-Task: Summarize this page for the user.
-Please provide:
-1. A brief explanation of what this page is (1-2 sentences)
-2. The main purpose or content of the page
-3. Key sections or features available
-
-Keep your response concise (under 100 words) and speak naturally as if talking to the user.
-Format your response as plain text, not markdown.`,
-
-        guide: `${baseContext}
-
-Task: Answer this exact question for the user: "What's the best next action?"
-Please provide:
-1. One clear recommended next action
-2. 1-2 short alternatives
-
-If the user's request is unclear, seems unrelated to the page, or could reflect a speech impairment/misheard phrase, ask one short clarification question instead.
-When asking a clarification question, wrap it in:
-[CLARIFY]your question here[/CLARIFY]
-Do not include a highlight block when clarifying.
-
-Output rules (strict):
-- Return exactly 1-2 short, simple, concrete next-step sentences.
-- Each sentence must start with an action verb (for example: "Click", "Review", "Upload", "Open", "Select", "Enter").
-- No preamble, no filler, no markdown, no bullet points.
-- Maximum 2 lines total.
-
-IMPORTANT OUTPUT FORMAT:
-At the end, include exactly one JSON block:
-[HIGHLIGHT_ELEMENT]{"elementIndex": NUMBER, "description": "SHORT_LABEL"}[/HIGHLIGHT_ELEMENT]
-
-Rules:
-- elementIndex must be one of the interactive element indexes provided above.
-- Choose the single best button/link/input the user should act on next.
-- description should be a short label suitable for a tooltip.`,
-
-        navigate: `${baseContext}
-
-User Request: "${customQuery}"
-
-Task: Help the user find what they're looking for.
-1. Identify if the requested item/action exists on this page
-2. If yes, explain where it is and how to access it
-3. If no, suggest the closest alternative or explain what's available
-
-If the user's request is unclear, not aligned with anything on the page, or could reflect a speech impairment/misheard phrase, ask one short clarification question instead.
-When asking a clarification question, wrap it in:
-[CLARIFY]your question here[/CLARIFY]
-Do not include a highlight block when clarifying.
-
-Output rules (strict):
-- Return exactly 1-2 short, simple, concrete next-step sentences.
-- Each sentence must start with an action verb (for example: "Click", "Review", "Upload", "Open", "Select", "Enter").
-- No preamble, no filler, no markdown, no bullet points.
-- Maximum 2 lines total.
-
-IMPORTANT: If you found a relevant element, include a JSON block:
-[HIGHLIGHT_ELEMENT]{"elementIndex": NUMBER, "description": "BRIEF_DESCRIPTION"}[/HIGHLIGHT_ELEMENT]
-
-Even if no exact match exists, choose the closest practical next step and still include the highlight block.`
-    };
+function applyActionModeUI(enabled) {
+    state.actionModeEnabled = Boolean(enabled);
+
+    if (elements.actionModeToggle) {
+        elements.actionModeToggle.checked = state.actionModeEnabled;
+    }
 
-    return prompts[type] || prompts.summarize;
+    if (elements.actionModeStatus) {
+        elements.actionModeStatus.textContent = state.actionModeEnabled
+            ? 'I can click and type after you confirm'
+            : 'I only point things out';
+    }
 }
 
-async function callGeminiAPI(prompt) {
-    const url = `${CONFIG.GEMINI_API_URL}?key=${CONFIG.GEMINI_API_KEY}`;
-    
-    const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-            contents: [{
-                parts: [{
-                    text: prompt
-                }]
-            }],
-            generationConfig: {
-                temperature: 0.7,
-                topK: 40,
-                topP: 0.95,
-                maxOutputTokens: 500,
-            },
-            safetySettings: [
-                {
-                    category: "HARM_CATEGORY_HARASSMENT",
-                    threshold: "BLOCK_NONE"
-                },
-                {
-                    category: "HARM_CATEGORY_HATE_SPEECH",
-                    threshold: "BLOCK_NONE"
-                },
-                {
-                    category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-                    threshold: "BLOCK_NONE"
-                },
-                {
-                    category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-                    threshold: "BLOCK_NONE"
-                }
-            ]
-        })
+async function loadActionModePreference() {
+    const settingsResponse = await sendRuntimeMessage({ action: 'getSettings' });
+    const enabled = typeof settingsResponse?.actionMode === 'boolean'
+        ? settingsResponse.actionMode
+        : CONFIG.FEATURES.ACTION_MODE;
+    applyActionModeUI(enabled);
+}
+
+async function saveActionModePreference(enabled) {
+    const result = await sendRuntimeMessage({
+        action: 'updateSettings',
+        settings: { actionMode: Boolean(enabled) },
     });
-    
-    if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error?.message || `API request failed with status ${response.status}`);
+    if (!result?.success) {
+        console.warn('Failed to persist action mode setting');
     }
-    
-    const data = await response.json();
-    
-    if (!data.candidates || !data.candidates[0]?.content?.parts?.[0]?.text) {
-        throw new Error('Invalid response from Gemini API');
+}
+
+/**
+ * Remember the action available on the highlighted element and return the
+ * sentence that tells the user how to confirm it.
+ * @param {{kind: string, label: string, risk: string|null, options: string[]}|null} action
+ * @returns {string}
+ */
+function offerAction(action) {
+    clearPendingAction();
+    if (!state.actionModeEnabled || !action) return '';
+
+    state.pendingAction = { ...action, confirmations: 0, awaitingValue: false };
+
+    let offer;
+    if (action.kind === 'type') {
+        offer = `Say "type" followed by what you want, and I'll fill in ${action.label} for you.`;
+    } else if (action.kind === 'select') {
+        offer = `Say "choose" followed by an option, and I'll pick it in ${action.label} for you.`;
+    } else {
+        offer = `Say "yes, do it" and I'll click ${action.label} for you.`;
     }
-    
-    return data.candidates[0].content.parts[0].text;
+    if (action.risk) {
+        offer += ` This looks like it ${describeActionRisk(action.risk)}, so I will ask you twice.`;
+    }
+
+    showActionCard(offer);
+    return offer;
+}
+
+function describeActionRisk(risk) {
+    return risk === 'payment' ? 'makes a payment' : 'deletes data';
 }
 
-function resolveHighlightTarget(highlightData, pageData) {
-    const interactiveElements = pageData?.interactiveElements || [];
-    const parsedIndex = Number(highlightData?.elementIndex);
-    let selector = null;
-    let description = typeof highlightData?.description === 'string' ? highlightData.description.trim() : '';
+/**
+ * Interpret a reply while an action is waiting for confirmation. Returns
+ * false when the reply is not about the action so it is handled as a new request.
+ */
+async function handleActionReply(text) {
+    const action = state.pendingAction;
+    const normalized = Languages.normalizeUtterance(text);
 
-    if (Number.isInteger(parsedIndex) && parsedIndex >= 0 && parsedIndex < interactiveElements.length) {
-        const recommendedElement = interactiveElements[parsedIndex];
-        selector = recommendedElement.selector;
+    if (/^(no|nope|cancel|stop|never mind|nevermind|dont|don't|do not)( .*)?$/.test(normalized)) {
+        cancelPendingAction();
+        return true;
+    }
 
-        if (!description) {
-            description =
-                recommendedElement.text ||
-                recommendedElement.ariaLabel ||
-                'Recommended action';
-        }
+    const valueMatch = text.match(/^(?:(?:yes|yeah|ok|okay|sure)[,\s]+)?(?:type|enter|write|fill in|put|select|choose|pick)\s+(.+?)[.!]?$/i);
+    if (valueMatch && ['type', 'select'].includes(action.kind)) {
+        await confirmPendingAction(valueMatch[1].replace(/^["']|["']$/g, ''));
+        return true;
     }
 
-    if (!selector && typeof highlightData?.selector === 'string' && highlightData.selector.trim()) {
-        selector = highlightData.selector.trim();
+    if (action.awaitingValue) {
+        await confirmPendingAction(text.trim().replace(/[.!]$/, ''));
+        return true;
     }
 
-    if (!selector) return null;
-    if (!description) description = 'Recommended action';
+    if (/^(?:(?:yes|yeah|yep|sure|ok|okay)(?: please)?(?: (?:do it|go ahead|click it|press it|do that))?|do it|go ahead|click it|press it|confirm|i confirm)$/.test(normalized)) {
+        await confirmPendingAction();
+        return true;
+    }
 
-    return { selector, description };
+    return false;
 }
 
-function formatActionStepResponse(text) {
-    const cleaned = String(text || '')
-        .replace(/\r/g, '')
-        .replace(/^\s*[-*•]\s*/gm, '')
-        .replace(/^\s*\d+[.)]\s*/gm, '')
-        .trim();
-
-    if (!cleaned) {
-        return 'Click the recommended option to continue.';
+/**
+ * Count one confirmation and run the action once it has enough of them.
+ * Risky actions need two; typing and choosing also need a value.
+ * @param {string} [value]
+ */
+async function confirmPendingAction(value) {
+    const action = state.pendingAction;
+    if (!action) return;
+
+    if (['type', 'select'].includes(action.kind) && !value) {
+        action.awaitingValue = true;
+        const question = action.kind === 'type'
+            ? `What should I type into ${action.label}?`
+            : `Which option should I choose? The choices are: ${action.options.join(', ')}.`;
+        showActionCard(question);
+        updateResponse(question);
+        speak(question);
+        return;
     }
 
-    const sentenceLikeParts = cleaned
-        .split(/\n+/)
-        .flatMap(line => line.split(/(?<=[.!?])\s+/))
-        .map(part => part.trim())
-        .filter(Boolean);
+    action.confirmations += 1;
+    if (action.risk && action.confirmations < 2) {
+        const warning = `Are you sure? ${action.label} ${describeActionRisk(action.risk)}. Say "yes, do it" again to go ahead, or "cancel".`;
+        showActionCard(warning);
+        updateResponse(warning);
+        speak(warning);
+        return;
+    }
 
-    const actionLines = sentenceLikeParts.slice(0, 2).map((line) => {
-        const normalized = line.replace(/\s+/g, ' ').trim();
-        return normalized.charAt(0).toUpperCase() + normalized.slice(1);
+    updateStatus('processing', 'Working on it...');
+    const result = await sendToContentScript({
+        action: 'executeAction',
+        value,
+        confirmations: action.confirmations,
+        locator: action.locator,
     });
+    clearPendingAction();
+
+    // No reply usually means the click navigated away and unloaded the page.
+    const report = result?.message || 'Done. The page is loading something new.';
+    updateResponse(report);
+    speak(report);
+    updateStatus('ready', 'Ready to guide');
+}
+
+function cancelPendingAction() {
+    if (!state.pendingAction) return;
+    clearPendingAction();
+    const message = "Okay, I won't do that.";
+    updateResponse(message);
+    speak(message);
+}
+
+function clearPendingAction() {
+    state.pendingAction = null;
+    if (elements.actionCard) {
+        elements.actionCard.hidden = true;
+    }
+}
+
+function showActionCard(text) {
+    if (!elements.actionCard) return;
+    elements.actionText.textContent = text;
+    elements.confirmActionBtn.textContent = state.pendingAction?.confirmations ? 'Yes, really do it' : 'Do it';
+    elements.actionCard.hidden = false;
+}
+
+// ============================================
+// READ ALOUD
+// ============================================
+// The content script keeps the sentence list and reading position; the
+// panel speaks one sentence at a time so the highlight follows the voice.
+
+const READING_SPEEDS = [0.75, 1, 1.25, 1.5];
+
+async function loadReadingSpeed() {
+    const settingsResponse = await sendRuntimeMessage({ action: 'getSettings' });
+    applyReadingSpeed(Number(settingsResponse?.readingSpeed) || 1);
+}
+
+function applyReadingSpeed(rate) {
+    state.readAloud.rate = READING_SPEEDS.includes(rate) ? rate : 1;
+    if (elements.readingSpeed) {
+        elements.readingSpeed.value = String(state.readAloud.rate);
+    }
+}
+
+async function setReadingSpeed(rate) {
+    applyReadingSpeed(rate);
+    await sendRuntimeMessage({ action: 'updateSettings', settings: { readingSpeed: state.readAloud.rate } });
+
+    // Say the current sentence again at the new speed
+    if (state.readAloud.active && !state.readAloud.paused) {
+        resumeReadAloud();
+    }
+}
+
+function sendToReadingTab(command) {
+    if (!state.readAloud.tabId) return Promise.resolve(null);
+    return chrome.tabs.sendMessage(state.readAloud.tabId, { action: 'readAloud', command }).catch(() => null);
+}
 
-    if (actionLines.length === 0) {
-        return 'Click the recommended option to continue.';
+async function startReadAloud() {
+    await stopReadAloud();
+    clearPendingAction();
+
+    const tab = await getActiveTab();
+    state.readAloud.tabId = tab?.id || null;
+    const result = await sendToReadingTab('start');
+    if (!result?.success) {
+        state.readAloud.tabId = null;
+        const message = result?.message || 'I could not reach the page. Please refresh it and try again.';
+        updateResponse(message);
+        speak(message);
+        return;
     }
 
-    return actionLines.join('\n');
+    // Read in the page's language, not the user's
+    const pageLanguage = await Languages.detectPageLanguage({ lang: result.lang, textContent: result.sample });
+    state.readAloud.lang = Languages.toSpeechTag(pageLanguage, state.language);
+    state.readAloud.active = true;
+    state.readAloud.paused = false;
+    updateResponse('Reading the page. Say "pause", "skip" or "stop", or use the reading buttons.');
+    updateReaderUI();
+    readSentences();
 }
 
-function resolveFallbackHighlightTarget(pageData, responseText) {
-    const interactiveElements = pageData?.interactiveElements || [];
-    if (!interactiveElements.length) return null;
+/**
+ * Speak sentences until the page ends or reading is paused, stopped or
+ * moved. Each loop takes a run number; bumping it ends the loop.
+ */
+async function readSentences() {
+    const run = ++state.readAloud.run;
 
-    const lowerText = String(responseText || '').toLowerCase();
-    let bestElement = interactiveElements[0];
-    let bestScore = -1;
+    while (state.readAloud.active && !state.readAloud.paused && run === state.readAloud.run) {
+        const sentence = await sendToReadingTab('current');
+        if (run !== state.readAloud.run) return;
 
-    for (const element of interactiveElements) {
-        const combined = `${element.text || ''} ${element.ariaLabel || ''}`.toLowerCase().trim();
-        if (!combined) continue;
+        if (!sentence || sentence.done) {
+            await finishReadAloud(sentence ? "That's the end of the page." : 'I lost track of the page, so I stopped reading.');
+            return;
+        }
 
-        let score = 0;
-        if (lowerText.includes(combined)) score += 50;
-        const tokens = combined.split(/\s+/).filter(Boolean);
-        const tokenMatches = tokens.filter(token => lowerText.includes(token)).length;
-        score += tokenMatches * 4;
+        updateReaderStatus(`Reading sentence ${sentence.index + 1} of ${sentence.count}`);
+        const completed = await speak(sentence.text, { always: true, rate: state.readAloud.rate, lang: state.readAloud.lang });
+        if (run !== state.readAloud.run || !state.readAloud.active) return;
 
-        if (score > bestScore) {
-            bestScore = score;
-            bestElement = element;
+        // Stop Speaking, the microphone or another answer cut in
+        if (!completed) {
+            pauseReadAloud(false);
+            return;
         }
+
+        await sendToReadingTab('advance');
     }
+}
 
-    if (!bestElement?.selector) return null;
-    return {
-        selector: bestElement.selector,
-        description: bestElement.text || bestElement.ariaLabel || 'Start here'
-    };
+function pauseReadAloud(stopVoice = true) {
+    if (!state.readAloud.active) return;
+
+    state.readAloud.paused = true;
+    state.readAloud.run += 1;
+    if (stopVoice) {
+        stopSpeaking();
+    }
+    updateReaderUI();
 }
 
-async function handleGeminiResponse(response, type, pageData) {
-    const clarifyMatch = response.match(/\[CLARIFY\](.*?)\[\/CLARIFY\]/s);
-    if (clarifyMatch) {
-        const clarifyText = clarifyMatch[1].trim() || 'Could you clarify what you want to do on this page?';
-        updateResponse(clarifyText);
-        speak(clarifyText);
-        await sendToContentScript({ action: 'clearHighlights' });
+/**
+ * Continue from the start of the sentence that was interrupted.
+ */
+function resumeReadAloud() {
+    if (!state.readAloud.active) return;
+
+    state.readAloud.paused = false;
+    state.readAloud.run += 1;
+    stopSpeaking();
+    updateReaderUI();
+    readSentences();
+}
+
+/**
+ * @param {'skipParagraph'|'skipHeading'} command
+ */
+async function skipReadAloud(command) {
+    if (!state.readAloud.active) return;
+
+    state.readAloud.run += 1;
+    stopSpeaking();
+    const result = await sendToReadingTab(command);
+    if (result && !result.success) {
+        await finishReadAloud(result.message);
         return;
     }
+    resumeReadAloud();
+}
+
+async function stopReadAloud() {
+    const wasActive = state.readAloud.active;
+    state.readAloud.active = false;
+    state.readAloud.paused = false;
+    state.readAloud.run += 1;
+
+    if (wasActive) {
+        stopSpeaking();
+    }
+    await sendToReadingTab('stop');
+    state.readAloud.tabId = null;
+    updateReaderUI();
+}
 
-    // Extract highlight element if present
-    const highlightMatch = response.match(/\[HIGHLIGHT_ELEMENT\](.*?)\[\/HIGHLIGHT_ELEMENT\]/s);
-    const cleanResponse = response.replace(/\[HIGHLIGHT_ELEMENT\].*?\[\/HIGHLIGHT_ELEMENT\]/s, '').trim();
-    const displayResponse = ['guide', 'navigate'].includes(type)
-        ? formatActionStepResponse(cleanResponse)
-        : cleanResponse;
-    const responseToDisplay = displayResponse || 'I found a recommendation, but could not format it clearly.';
-    
-    // Update UI with response
-    updateResponse(responseToDisplay);
-    
-    // Speak the response
-    speak(responseToDisplay);
-    
-    let target = null;
-    if (highlightMatch) {
-        try {
-            const highlightData = JSON.parse(highlightMatch[1]);
-            target = resolveHighlightTarget(highlightData, pageData);
-        } catch (e) {
-            console.error('Failed to parse highlight data:', e);
+async function finishReadAloud(message) {
+    await stopReadAloud();
+    updateResponse(message);
+    speak(message);
+}
+
+/**
+ * Reading controls by voice. "Read this page" always works; the others only
+ * while reading (or paused).
+ * @param {string} text
+ * @returns {'start'|'pause'|'resume'|'skipParagraph'|'skipHeading'|'faster'|'slower'|'stop'|null}
+ */
+function matchReadAloudCommand(text) {
+    const normalized = Languages.normalizeUtterance(text)
+        .replace(/^(please |can you |could you )+/, '')
+        .replace(/( please| for me)+$/, '');
+
+    if (/^(read( (it|this|the) (page|article))?( aloud| out loud| to me)?|read aloud|read to me)$/.test(normalized)) return 'start';
+    if (!state.readAloud.active) return null;
+
+    if (/^(pause|pause reading|hold on|wait)$/.test(normalized)) return 'pause';
+    if (/^(resume|resume reading|continue|continue reading|keep reading|go on)$/.test(normalized)) return 'resume';
+    if (/^(skip|skip (this )?paragraph|next paragraph|skip ahead)$/.test(normalized)) return 'skipParagraph';
+    if (/^(next heading|next section|skip to (the )?next (heading|section))$/.test(normalized)) return 'skipHeading';
+    if (/^(faster|read faster|speed up)$/.test(normalized)) return 'faster';
+    if (/^(slower|read slower|slow down)$/.test(normalized)) return 'slower';
+    if (/^(stop|stop reading|that's enough|enough)$/.test(normalized)) return 'stop';
+    return null;
+}
+
+async function runReadAloudCommand(command) {
+    switch (command) {
+        case 'start':
+            await startReadAloud();
+            break;
+        case 'pause':
+            pauseReadAloud();
+            break;
+        case 'resume':
+            resumeReadAloud();
+            break;
+        case 'skipParagraph':
+        case 'skipHeading':
+            await skipReadAloud(command);
+            break;
+        case 'faster':
+        case 'slower': {
+            const current = READING_SPEEDS.indexOf(state.readAloud.rate);
+            const next = Math.max(0, Math.min(READING_SPEEDS.length - 1, current + (command === 'faster' ? 1 : -1)));
+            await setReadingSpeed(READING_SPEEDS[next]);
+            if (state.readAloud.paused) {
+                resumeReadAloud();
+            }
+            break;
         }
+        case 'stop':
+            await stopReadAloud();
+            updateResponse('Stopped reading.');
+            break;
+    }
+}
+
+function updateReaderUI() {
+    if (!elements.readPageBtn) return;
+
+    const { active, paused } = state.readAloud;
+    elements.readPageBtn.textContent = !active ? 'Read page' : paused ? 'Resume reading' : 'Pause reading';
+    elements.skipParagraphBtn.disabled = !active;
+    elements.skipHeadingBtn.disabled = !active;
+    elements.stopReadingBtn.disabled = !active;
+
+    if (!active) {
+        updateReaderStatus('Reads the main text, one sentence at a time');
+    } else if (paused) {
+        updateReaderStatus('Paused');
     }
+}
 
-    if (!target) {
-        target = resolveFallbackHighlightTarget(pageData, responseToDisplay);
+function updateReaderStatus(text) {
+    if (elements.readerStatus) {
+        elements.readerStatus.textContent = text;
     }
+}
 
-    if (target) {
-        await sendToContentScript({
+// ============================================
+// USAGE HISTORY
+// ============================================
+// Each command is recorded by the background worker for the history page.
+// The voice that speaks the answer may start before or after the entry is
+// stored, so it is filled in by whichever happens last.
+
+function startHistoryEntry() {
+    state.historyEntry = { id: crypto.randomUUID(), startedAt: Date.now(), tts: null, recorded: false };
+}
+
+/**
+ * Store the current command's entry; see recordCommand in background.js for
+ * the fields.
+ * @param {Object} details
+ */
+function recordHistoryEntry(details) {
+    const entry = state.historyEntry;
+    if (!entry || entry.recorded) return;
+
+    entry.recorded = true;
+    sendRuntimeMessage({
+        action: 'recordCommand',
+        entry: {
+            id: entry.id,
+            source: 'panel',
+            latencyMs: details.type === 'command' ? null : Date.now() - entry.startedAt,
+            tts: entry.tts,
+            ...details,
+        },
+    });
+}
+
+/**
+ * Note which voice spoke the answer to the latest command.
+ * @param {string} providerId - TTSProviders id.
+ */
+function noteSpeechEngine(providerId) {
+    const entry = state.historyEntry;
+    if (!entry || entry.tts) return;
+
+    entry.tts = providerId;
+    if (entry.recorded) {
+        sendRuntimeMessage({ action: 'updateHistoryEntry', id: entry.id, changes: { tts: providerId } });
+    }
+}
+
+// ============================================
+// REQUEST HISTORY
+// ============================================
+// "Earlier on this site": past requests and their answers per site, kept in
+// chrome.storage.local so they are still there on the next visit. Each one
+// can be asked again on the current page, said again, or shown again; the
+// stored locator finds the element on the live page.
+
+const REQUEST_HISTORY_KEY = 'requestHistory';
+
+/**
+ * Remember what an answer showed, said and highlighted.
+ * @param {string} display
+ * @param {string} speech
+ * @param {{selector: string, description: string, locator: Object}|{steps: Object[]}|null} highlight
+ */
+function noteAnswer(display, speech, highlight = null) {
+    state.lastAnswer = { display, speech, lang: state.replyLanguage, highlight };
+}
+
+async function loadRequestHistory() {
+    const data = await chrome.storage.local.get(REQUEST_HISTORY_KEY);
+    return data?.[REQUEST_HISTORY_KEY] || {};
+}
+
+/**
+ * Put a request at the top of its site's list. Asking the same thing again
+ * replaces the older entry, so the list stays one line per request.
+ * @param {string|null} site
+ * @param {string} type - Prompt type.
+ * @param {string|null} customQuery
+ * @param {{display: string, speech: string, lang: string, highlight: Object|null}} answer
+ */
+async function addToRequestHistory(site, type, customQuery, answer) {
+    if (!site) return;
+
+    const history = await loadRequestHistory();
+    const request = GuideAssistant.describeUserTurn(type, customQuery);
+    const sameRequest = entry => entry.type === type && entry.request.toLowerCase() === request.toLowerCase();
+
+    history[site] = [
+        { id: crypto.randomUUID(), time: Date.now(), type, query: customQuery, request, ...answer },
+        ...(history[site] || []).filter(entry => !sameRequest(entry)),
+    ].slice(0, CONFIG.HISTORY.REQUESTS_PER_SITE);
+
+    // Forget the sites used least recently
+    const sites = Object.keys(history).sort((a, b) => history[b][0].time - history[a][0].time);
+    sites.slice(CONFIG.HISTORY.REQUEST_SITES).forEach(oldSite => delete history[oldSite]);
+
+    await chrome.storage.local.set({ [REQUEST_HISTORY_KEY]: history });
+    await renderRequestHistory();
+}
+
+async function clearRequestHistory() {
+    const tab = await getActiveTab();
+    const site = getSiteFromUrl(tab?.url);
+    const history = await loadRequestHistory();
+    delete history[site];
+    await chrome.storage.local.set({ [REQUEST_HISTORY_KEY]: history });
+    await renderRequestHistory();
+}
+
+/**
+ * Show the current site's requests, newest first.
+ */
+async function renderRequestHistory() {
+    if (!elements.requestHistoryList) return;
+
+    const tab = await getActiveTab();
+    const site = getSiteFromUrl(tab?.url);
+    const entries = site ? (await loadRequestHistory())[site] || [] : [];
+
+    elements.requestHistoryList.replaceChildren(...entries.map(createRequestHistoryItem));
+    elements.requestHistoryEmpty.hidden = entries.length > 0;
+    elements.clearRequestHistoryBtn.hidden = entries.length === 0;
+}
+
+function createRequestHistoryItem(entry) {
+    const item = document.createElement('li');
+    item.className = 'request-history-item';
+
+    const request = document.createElement('div');
+    request.className = 'request-history-request';
+    request.textContent = entry.request;
+
+    const answer = document.createElement('div');
+    answer.className = 'request-history-answer';
+    answer.textContent = entry.display.replace(/\s+/g, ' ');
+
+    const buttons = document.createElement('div');
+    buttons.className = 'request-history-buttons';
+    const addButton = (label, onClick) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'transcript-send';
+        button.textContent = label;
+        button.setAttribute('aria-label', `${label}: ${entry.request}`);
+        button.addEventListener('click', onClick);
+        buttons.appendChild(button);
+    };
+
+    addButton('Ask again', () => processCommand(entry.type, entry.query));
+    addButton('Say again', () => {
+        updateResponse(entry.display);
+        speak(entry.speech, { lang: entry.lang });
+    });
+    if (entry.highlight) {
+        addButton('Show again', () => showRequestHighlight(entry));
+    }
+
+    item.append(request, answer, buttons);
+    return item;
+}
+
+/**
+ * Highlight an earlier answer's element (or path) on the current page.
+ */
+async function showRequestHighlight(entry) {
+    clearPendingAction();
+    const highlight = entry.highlight;
+    const result = highlight.steps
+        ? await sendToContentScript({ action: 'showPath', steps: highlight.steps })
+        : await sendToContentScript({
             action: 'highlightElement',
-            selector: target.selector,
-            description: target.description
+            selector: highlight.selector,
+            description: highlight.description,
+            locator: highlight.locator,
         });
-    } else {
-        if (['guide', 'navigate'].includes(type)) {
-            const reprompt = 'I could not match that to anything on this page. What did you mean, or what should I look for?';
-            updateResponse(reprompt);
-            speak(reprompt);
-            await sendToContentScript({ action: 'clearHighlights' });
+
+    if (result?.success) {
+        updateResponse(entry.display);
+        speak(entry.speech, { lang: entry.lang });
+        return;
+    }
+
+    const message = 'I could not find that on this page any more. Press "Ask again" to look for it afresh.';
+    updateResponse(message);
+    speak(message);
+}
+
+// ============================================
+// CONVERSATION MEMORY
+// ============================================
+function getSiteFromUrl(url) {
+    try {
+        return new URL(url).hostname;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Earlier turns for this tab. The background resets them when the tab
+ * moves to a different site.
+ */
+async function loadConversation(tabId, site) {
+    const conversation = await sendRuntimeMessage({ action: 'getConversation', tabId, site });
+    return Array.isArray(conversation?.turns) ? conversation.turns : [];
+}
+
+async function rememberExchange(tabId, site, userText, response, highlightedLabel) {
+    await sendRuntimeMessage({
+        action: 'appendConversation',
+        tabId,
+        site,
+        turns: [
+            { role: 'user', text: userText },
+            {
+                role: 'assistant',
+                text: GuideAssistant.describeAssistantTurn(response, highlightedLabel),
+                clarification: Boolean(response.clarification),
+            },
+        ],
+    });
+}
+
+/**
+ * Forget the conversation for the current tab and clear the page.
+ */
+async function startOver() {
+    const tab = await getActiveTab();
+    if (tab) {
+        await sendRuntimeMessage({ action: 'resetConversation', tabId: tab.id });
+    }
+    if (state.formActive) {
+        await sendToContentScript({ action: 'formGuide', command: 'stop' });
+        state.formActive = false;
+    }
+    await sendToContentScript({ action: 'clearHighlights' });
+    clearPendingAction();
+    await stopReadAloud();
+    setTranscriptText('');
+
+    const message = "Okay, let's start over. What would you like to do?";
+    updateResponse(message);
+    speak(message);
+}
+
+// ============================================
+// TAB TRACKING
+// ============================================
+// The panel outlives page loads and tab switches, so state tied to one page
+// is dropped whenever the page it belongs to goes away.
+async function watchActiveTab() {
+    try {
+        state.windowId = (await chrome.windows.getCurrent()).id;
+    } catch (error) {
+        console.warn('Failed to read the current window:', error);
+    }
+
+    chrome.tabs.onActivated.addListener((activeInfo) => {
+        if (activeInfo.windowId === state.windowId) {
+            handlePageChange();
+        }
+    });
+
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+        if (changeInfo.status === 'complete' && tab.active && tab.windowId === state.windowId) {
+            handlePageChange();
+        }
+    });
+
+    // Single-page apps change view without a page load; the content script
+    // reports it (see PageWatcher in content.js). The background worker
+    // answers these messages, so this listener never responds.
+    chrome.runtime.onMessage.addListener((message, sender) => {
+        if (message.action !== 'pageChanged' || !sender.tab?.active || sender.tab.windowId !== state.windowId) {
+            return;
         }
-        console.warn('No actionable target available to highlight for this prompt.');
+        if (message.reason === 'route') {
+            handlePageChange();
+        } else if (message.reason === 'targetLost') {
+            const notice = 'The page changed and what I highlighted is gone. Ask me again to find it on the updated page.';
+            updateResponse(notice);
+            speak(notice);
+        }
+    });
+}
+
+async function handlePageChange() {
+    clearPendingAction();
+    if (state.readAloud.active) {
+        await stopReadAloud();
+    }
+    await restoreFormGuide();
+    await renderRequestHistory();
+
+    if (state.handsFreeEnabled && state.micIndicatorMode) {
+        await updateMicIndicator(state.micIndicatorMode);
     }
 }
 
 // ============================================
 // CONTENT SCRIPT COMMUNICATION
 // ============================================
+async function getActiveTab() {
+    try {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        return tab || null;
+    } catch (error) {
+        console.error('Tab query error:', error);
+        return null;
+    }
+}
+
 async function sendToContentScript(message) {
     return new Promise(async (resolve) => {
         try {
@@ -1141,6 +2847,24 @@ function updateStatus(status, text) {
 }
 
 function updateResponse(text) {
-    // Convert newlines to <br> for HTML display
-    elements.responseArea.innerHTML = text.replace(/\n/g, '<br>');
+    // Replies quote the page (form labels, alerts), so never parse them as HTML;
+    // line breaks are kept by white-space: pre-line
+    elements.responseArea.textContent = text;
+    showCacheNote(false);
+}
+
+function showLoading(text) {
+    const spinner = document.createElement('span');
+    spinner.className = 'loading';
+    elements.responseArea.replaceChildren(spinner, ` ${text}`);
+    showCacheNote(false);
+}
+
+/**
+ * Mark the answer on screen as a saved one, with a button to ask again.
+ */
+function showCacheNote(visible) {
+    if (elements.cacheNote) {
+        elements.cacheNote.hidden = !visible;
+    }
 }
@@ -0,0 +1,141 @@
+/**
+ * Web Guide Extension - Response Cache
+ *
+ * Remembers validated guide responses so asking the same thing about the
+ * same page again does not cost another model call. Entries are keyed by
+ * page URL, request type, normalized query, reply language, the selected
+ * model and a hash of the extracted page content, so any change to the page
+ * is a cache miss.
+ *
+ * Stored in chrome.storage.local under one key; the oldest-used entries are
+ * evicted once the entry or size limit is reached, and entries expire after
+ * CONFIG.CACHE.TTL_MINUTES.
+ *
+ * Depends on CONFIG (config.js) and LLMProviders (llm-providers.js).
+ */
+
+const ResponseCache = {
+    STORAGE_KEY: 'responseCache',
+
+    /**
+     * Build the cache key for a request.
+     * @param {string} type - Prompt type ('summarize', 'guide', 'navigate', ...).
+     * @param {Object} pageData - Output of PageExtractor.getPageContent().
+     * @param {string|null} query - What the user asked, if anything.
+     * @param {string} language - Language the reply is written in.
+     * @returns {Promise<string>}
+     */
+    async buildKey(type, pageData, query, language) {
+        const settings = await LLMProviders.getSettings();
+        const model = settings[settings.provider]?.model || '';
+        const contentHash = await this.hash(JSON.stringify(this.getContentFingerprint(pageData)));
+
+        return [
+            type,
+            this.normalizeUrl(pageData.url),
+            this.normalizeQuery(query),
+            language || '',
+            `${settings.provider}:${model}`,
+            contentHash,
+        ].join('|');
+    },
+
+    /**
+     * The parts of the page a response depends on. Element indexes in a
+     * cached response stay valid only while this is unchanged.
+     */
+    getContentFingerprint(pageData) {
+        return {
+            title: pageData.title,
+            text: pageData.textContent,
+            elements: (pageData.interactiveElements || []).map(el => [el.tag, el.type, el.role, el.name || el.text, el.href]),
+            headings: pageData.headings,
+            forms: (pageData.forms || []).map(form => (form.inputs || []).map(input => [input.type, input.label || input.name])),
+        };
+    },
+
+    normalizeUrl(url) {
+        try {
+            const parsed = new URL(url);
+            parsed.hash = '';
+            return parsed.href;
+        } catch (e) {
+            return String(url || '');
+        }
+    },
+
+    normalizeQuery(query) {
+        return String(query || '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}\s']/gu, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+
+    async hash(text) {
+        const bytes = new TextEncoder().encode(text);
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+
+    async load() {
+        const data = await chrome.storage.local.get(this.STORAGE_KEY);
+        return data?.[this.STORAGE_KEY] || {};
+    },
+
+    /**
+     * Look up a response; refreshes its last-used time on a hit.
+     * @param {string} key
+     * @returns {Promise<Object|null>} The cached guide response, or null.
+     */
+    async get(key) {
+        if (!CONFIG.CACHE.ENABLED) return null;
+
+        const entries = await this.load();
+        const entry = entries[key];
+        if (!entry) return null;
+
+        if (Date.now() - entry.createdAt > CONFIG.CACHE.TTL_MINUTES * 60 * 1000) {
+            delete entries[key];
+            await chrome.storage.local.set({ [this.STORAGE_KEY]: entries });
+            return null;
+        }
+
+        entry.lastUsed = Date.now();
+        await chrome.storage.local.set({ [this.STORAGE_KEY]: entries });
+        return entry.response;
+    },
+
+    /**
+     * Store a response, evicting expired and least recently used entries to
+     * stay within the limits.
+     * @param {string} key
+     * @param {Object} response - Validated guide response.
+     */
+    async set(key, response) {
+        if (!CONFIG.CACHE.ENABLED) return;
+
+        const entries = await this.load();
+        const now = Date.now();
+        entries[key] = { response, createdAt: now, lastUsed: now };
+
+        const maxAge = CONFIG.CACHE.TTL_MINUTES * 60 * 1000;
+        Object.keys(entries).forEach((entryKey) => {
+            if (now - entries[entryKey].createdAt > maxAge) delete entries[entryKey];
+        });
+
+        const byAge = Object.keys(entries).sort((a, b) => entries[a].lastUsed - entries[b].lastUsed);
+        let size = JSON.stringify(entries).length;
+        while (byAge.length > 1 && (byAge.length > CONFIG.CACHE.MAX_ENTRIES || size > CONFIG.CACHE.MAX_BYTES)) {
+            const oldest = byAge.shift();
+            size -= JSON.stringify(entries[oldest]).length + oldest.length;
+            delete entries[oldest];
+        }
+
+        await chrome.storage.local.set({ [this.STORAGE_KEY]: entries });
+    },
+
+    async clear() {
+        await chrome.storage.local.remove(this.STORAGE_KEY);
+    },
+};
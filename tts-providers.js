@@ -0,0 +1,287 @@
+/**
+ * Web Guide Extension - Text-to-Speech Providers
+ *
+ * One interface for every speech engine that returns audio:
+ *   provider.synthesize({ text, config, apiKey, options }) -> Promise<Blob>
+ *     options.lang:   language of the text (BCP 47 tag)
+ *     options.signal: cancels the request
+ *
+ * The browser's built-in voice is listed as well ('browser') so it can take
+ * its place in the fallback chain, but it has no synthesize(): the guide
+ * panel plays it with speechSynthesis directly.
+ *
+ * Engines are tried in the order saved on the options page; one whose API key
+ * is missing is skipped. Failures are thrown as TTSProviders.error(...).
+ *
+ * Providers:
+ * - elevenlabs: ElevenLabs text-to-speech
+ * - openai:     any OpenAI-compatible /audio/speech endpoint
+ * - local:      a speech server on this computer, such as Piper's HTTP server
+ * - browser:    the browser's own voices (speechSynthesis)
+ *
+ * Depends on CONFIG (config.js) and ApiKeyStore (api-keys.js).
+ */
+
+const TTSProviders = {
+    SETTINGS_KEY: 'tts',
+
+    DEFAULT_SETTINGS: {
+        chain: CONFIG.TTS.FALLBACK_CHAIN,
+        elevenlabs: {
+            voiceId: CONFIG.TTS.ELEVENLABS.VOICE_ID,
+        },
+        openai: {
+            baseUrl: CONFIG.TTS.OPENAI.BASE_URL,
+            model: CONFIG.TTS.OPENAI.MODEL,
+            voice: CONFIG.TTS.OPENAI.VOICE,
+        },
+        local: {
+            baseUrl: CONFIG.TTS.LOCAL.BASE_URL,
+            voice: CONFIG.TTS.LOCAL.VOICE,
+        },
+        browser: {},
+    },
+
+    PREVIEW_TEXT: 'Hello! This is how your Web Guide will sound when it reads answers to you.',
+
+    // ============================================
+    // PROVIDER REGISTRY
+    // ============================================
+    providers: {
+        elevenlabs: {
+            id: 'elevenlabs',
+            label: 'ElevenLabs',
+            keyName: 'elevenlabs',
+
+            synthesize({ text, config, apiKey, options }) {
+                const elevenLabs = CONFIG.TTS.ELEVENLABS;
+                if (!config.voiceId) {
+                    throw TTSProviders.error(this, 'No voice ID is set. Add one on the options page.');
+                }
+
+                const endpoint = `${elevenLabs.API_URL.replace(/\/$/, '')}/${encodeURIComponent(config.voiceId)}` +
+                    `?output_format=${encodeURIComponent(elevenLabs.OUTPUT_FORMAT)}`;
+                return TTSProviders.fetchAudio(this, endpoint, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Accept': 'audio/mpeg',
+                        'xi-api-key': apiKey,
+                    },
+                    body: JSON.stringify({
+                        text,
+                        model_id: elevenLabs.MODEL_ID,
+                        voice_settings: {
+                            speed: elevenLabs.SPEED,
+                            stability: elevenLabs.STABILITY,
+                            similarity_boost: elevenLabs.SIMILARITY_BOOST,
+                            style: elevenLabs.STYLE,
+                            use_speaker_boost: elevenLabs.USE_SPEAKER_BOOST,
+                        },
+                    }),
+                    signal: options.signal,
+                });
+            },
+        },
+
+        openai: {
+            id: 'openai',
+            label: 'OpenAI-compatible speech API',
+            keyName: 'openaiSpeech',
+
+            synthesize({ text, config, apiKey, options }) {
+                return TTSProviders.fetchAudio(this, `${config.baseUrl.replace(/\/+$/, '')}/audio/speech`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': `Bearer ${apiKey}`,
+                    },
+                    body: JSON.stringify({
+                        model: config.model,
+                        voice: config.voice,
+                        input: text,
+                        response_format: 'mp3',
+                    }),
+                    signal: options.signal,
+                });
+            },
+        },
+
+        local: {
+            id: 'local',
+            label: 'Local speech server (Piper)',
+            keyName: null,
+
+            synthesize({ text, config, options }) {
+                // Piper's HTTP server takes { text, voice } and answers with WAV audio
+                return TTSProviders.fetchAudio(this, config.baseUrl, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        text,
+                        ...(config.voice ? { voice: config.voice } : {}),
+                    }),
+                    signal: options.signal,
+                });
+            },
+        },
+
+        browser: {
+            id: 'browser',
+            label: 'Browser voice',
+            keyName: null,
+            builtIn: true,
+        },
+    },
+
+    // ============================================
+    // PUBLIC API
+    // ============================================
+
+    /**
+     * Read saved voice settings merged over defaults.
+     */
+    async getSettings() {
+        const data = await chrome.storage.local.get('settings');
+        const saved = data?.settings?.[this.SETTINGS_KEY] || {};
+        const merged = {
+            chain: (Array.isArray(saved.chain) ? saved.chain : this.DEFAULT_SETTINGS.chain)
+                .filter(id => this.providers[id]),
+        };
+
+        Object.keys(this.providers).forEach((id) => {
+            merged[id] = { ...this.DEFAULT_SETTINGS[id], ...(saved[id] || {}) };
+        });
+        return merged;
+    },
+
+    /**
+     * Persist voice settings inside the shared `settings` object.
+     */
+    async saveSettings(ttsSettings) {
+        const data = await chrome.storage.local.get('settings');
+        await chrome.storage.local.set({
+            settings: {
+                ...(data.settings || {}),
+                [this.SETTINGS_KEY]: ttsSettings,
+            },
+        });
+    },
+
+    /**
+     * Provider ids to try, in order, leaving out engines without a key.
+     * Falls back to the browser voice when nothing else is usable.
+     * @returns {Promise<string[]>}
+     */
+    async getChain() {
+        if (!CONFIG.FEATURES.CUSTOM_TTS_OUTPUT || !CONFIG.TTS.ENABLE_CUSTOM_TTS) {
+            return ['browser'];
+        }
+
+        const settings = await this.getSettings();
+        const keys = await ApiKeyStore.getAll();
+        const chain = settings.chain.filter((id) => {
+            const keyName = this.providers[id].keyName;
+            return !keyName || Boolean(keys[keyName]?.trim());
+        });
+        return chain.length ? chain : ['browser'];
+    },
+
+    /**
+     * Turn text into audio with a saved provider.
+     * @param {string} providerId - Any provider except 'browser'.
+     * @param {string} text
+     * @param {{lang?: string, signal?: AbortSignal}} options
+     * @returns {Promise<Blob>}
+     */
+    async synthesize(providerId, text, options = {}) {
+        const settings = await this.getSettings();
+        const provider = this.providers[providerId];
+        const apiKey = provider.keyName
+            ? this.requireKey(provider, await ApiKeyStore.get(provider.keyName))
+            : '';
+
+        return this.run(provider, {
+            text,
+            config: settings[providerId],
+            apiKey,
+            options: { lang: CONFIG.VOICE.LANGUAGE, ...options },
+        });
+    },
+
+    /**
+     * Say a sample sentence with a provider configuration (possibly unsaved).
+     * @returns {Promise<Blob>}
+     */
+    async preview(providerId, config, apiKey, lang) {
+        const provider = this.providers[providerId];
+        return this.run(provider, {
+            text: this.PREVIEW_TEXT,
+            config: { ...this.DEFAULT_SETTINGS[providerId], ...config },
+            apiKey: this.requireKey(provider, String(apiKey || '').trim()),
+            options: { lang },
+        });
+    },
+
+    /**
+     * Build the uniform provider error.
+     * @param {{id: string, label: string}} provider
+     * @param {string} message
+     * @param {{status?: number, code?: string}} details
+     */
+    error(provider, message, details = {}) {
+        const error = new Error(`${provider.label}: ${message}`);
+        error.name = 'TTSProviderError';
+        error.provider = provider.id;
+        error.status = details.status || null;
+        error.code = details.code || 'provider_error';
+        return error;
+    },
+
+    // ============================================
+    // HELPERS
+    // ============================================
+    requireKey(provider, apiKey) {
+        if (provider.keyName && !apiKey) {
+            throw this.error(provider, 'API key is not set. Open settings to add it.', { code: 'missing_key' });
+        }
+        return apiKey;
+    },
+
+    /**
+     * Call a provider's synthesize(), converting network failures into
+     * provider errors so every engine fails the same way.
+     */
+    async run(provider, request) {
+        try {
+            return await provider.synthesize(request);
+        } catch (error) {
+            if (error?.name === 'TTSProviderError' || error?.name === 'AbortError') {
+                throw error;
+            }
+            throw this.error(provider, error?.message || String(error), { code: 'network' });
+        }
+    },
+
+    async fetchAudio(provider, url, init) {
+        const response = await fetch(url, init);
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            const message =
+                errorData.detail?.message ||
+                (typeof errorData.detail === 'string' ? errorData.detail : null) ||
+                errorData.error?.message ||
+                (typeof errorData.error === 'string' ? errorData.error : null) ||
+                `Request failed with status ${response.status}`;
+            const code = response.status === 401 || response.status === 403 ? 'auth' : 'http';
+            throw this.error(provider, message, { status: response.status, code });
+        }
+
+        const audio = await response.blob();
+        if (!audio.size) {
+            throw this.error(provider, 'The server returned no audio.');
+        }
+        return audio;
+    },
+};